@@ -0,0 +1,24 @@
+-- Migration 002: per-player, per-fixture match stats (SQL Server)
+
+-- ============================================
+-- FIXTURE_STATS TABLE (flattened fixtures.stats)
+-- ============================================
+IF OBJECT_ID('dbo.fixture_stats', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.fixture_stats (
+        fixture_id INT NOT NULL,
+        player_id INT NOT NULL,
+        identifier NVARCHAR(50) NOT NULL, -- goals_scored, assists, own_goals, yellow_cards, saves, bonus, bps, ...
+        side NCHAR(1) NOT NULL, -- 'h' = home, 'a' = away
+        value INT NOT NULL,
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_fixture_stats PRIMARY KEY (fixture_id, player_id, identifier),
+        CONSTRAINT FK_fixture_stats_fixture FOREIGN KEY (fixture_id) REFERENCES dbo.fixtures(id),
+        CONSTRAINT FK_fixture_stats_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_fixture_stats_player ON dbo.fixture_stats(player_id);
+    CREATE NONCLUSTERED INDEX IX_fixture_stats_identifier ON dbo.fixture_stats(identifier);
+END;
+GO
@@ -0,0 +1,30 @@
+-- Migration 003: price, ownership and transfer-volume history (SQL Server)
+
+-- Transfers made in the current gameweek, kept on the player row to detect changes
+IF COL_LENGTH('dbo.players', 'transfers_in_event') IS NULL
+    ALTER TABLE dbo.players ADD transfers_in_event INT DEFAULT 0;
+IF COL_LENGTH('dbo.players', 'transfers_out_event') IS NULL
+    ALTER TABLE dbo.players ADD transfers_out_event INT DEFAULT 0;
+GO
+
+-- ============================================
+-- PLAYER_MARKET_SNAPSHOTS TABLE (written whenever a value changes)
+-- ============================================
+IF OBJECT_ID('dbo.player_market_snapshots', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_market_snapshots (
+        player_id INT NOT NULL,
+        captured_at DATETIME2 NOT NULL,
+        event INT, -- Current gameweek when captured (NULL before the season starts)
+        now_cost INT NOT NULL,
+        selected_by_percent DECIMAL(5,2),
+        transfers_in_event INT,
+        transfers_out_event INT,
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_market_snapshots PRIMARY KEY (player_id, captured_at)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_market_snapshots_captured_at ON dbo.player_market_snapshots(captured_at);
+END;
+GO
@@ -0,0 +1,28 @@
+-- Migration 004: per-fixture points with provisional bonus (SQL Server)
+
+-- ============================================
+-- PLAYER_FIXTURE_POINTS TABLE (bonus from live BPS until FPL confirms it)
+-- ============================================
+IF OBJECT_ID('dbo.player_fixture_points', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_fixture_points (
+        player_id INT NOT NULL,
+        fixture_id INT NOT NULL,
+        event INT NOT NULL,
+        minutes INT NOT NULL,
+        bps INT NOT NULL,
+        base_points INT NOT NULL, -- Points from the live explain data, excluding bonus
+        provisional_bonus INT NOT NULL, -- 3/2/1 for the top BPS in the fixture, ties shared
+        bonus INT NOT NULL, -- provisional_bonus until confirmed, then the bonus FPL awarded
+        bonus_confirmed BIT NOT NULL,
+        total_points INT NOT NULL, -- base_points + bonus
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_fixture_points PRIMARY KEY (player_id, fixture_id),
+        CONSTRAINT FK_player_fixture_points_fixture FOREIGN KEY (fixture_id) REFERENCES dbo.fixtures(id),
+        CONSTRAINT FK_player_fixture_points_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_fixture_points_event ON dbo.player_fixture_points(event);
+END;
+GO
@@ -0,0 +1,52 @@
+-- Migration 005: tracked managers' picks and live gameweek scores (SQL Server)
+
+-- ============================================
+-- MANAGER_PICKS TABLE (the 15 picks of each tracked entry per gameweek)
+-- ============================================
+IF OBJECT_ID('dbo.manager_picks', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.manager_picks (
+        entry_id INT NOT NULL,
+        event INT NOT NULL,
+        position INT NOT NULL, -- 1-11 starting XI, 12-15 bench in order
+        player_id INT NOT NULL,
+        element_type INT,
+        is_captain BIT NOT NULL,
+        is_vice_captain BIT NOT NULL,
+        multiplier INT NOT NULL, -- Applied after chips, captaincy and automatic substitutions (0 = not counted)
+        minutes INT NOT NULL,
+        points INT NOT NULL, -- Player's live points including provisional bonus, before the multiplier
+        auto_sub_in BIT NOT NULL,
+        auto_sub_out BIT NOT NULL,
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_manager_picks PRIMARY KEY (entry_id, event, position),
+        CONSTRAINT FK_manager_picks_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+END;
+GO
+
+-- ============================================
+-- MANAGER_GAMEWEEKS TABLE (live score of each tracked entry per gameweek)
+-- ============================================
+IF OBJECT_ID('dbo.manager_gameweeks', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.manager_gameweeks (
+        entry_id INT NOT NULL,
+        event INT NOT NULL,
+        active_chip NVARCHAR(20), -- bboost, 3xc, freehit, wildcard or NULL
+        captain_id INT, -- Player whose points were multiplied (the vice-captain if the captain did not play)
+        live_points INT NOT NULL,
+        transfer_cost INT NOT NULL,
+        net_points INT NOT NULL, -- live_points - transfer_cost
+        bench_points INT NOT NULL,
+        auto_subs INT NOT NULL,
+        fpl_points INT, -- Gameweek points as currently published by FPL
+        previous_total INT, -- Overall points before this gameweek
+        live_total INT, -- previous_total + net_points
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_manager_gameweeks PRIMARY KEY (entry_id, event)
+    );
+END;
+GO
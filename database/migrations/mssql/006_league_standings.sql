@@ -0,0 +1,42 @@
+-- Migration 006: live classic league standings (SQL Server)
+
+-- ============================================
+-- LEAGUES TABLE (classic leagues in FPL_LEAGUE_IDS)
+-- ============================================
+IF OBJECT_ID('dbo.leagues', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.leagues (
+        id INT PRIMARY KEY,
+        name NVARCHAR(100) NOT NULL,
+        member_count INT NOT NULL,
+        last_updated DATETIME2 DEFAULT GETUTCDATE()
+    );
+END;
+GO
+
+-- ============================================
+-- LEAGUE_STANDINGS TABLE (one row per league member, updated every live run)
+-- ============================================
+IF OBJECT_ID('dbo.league_standings', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.league_standings (
+        league_id INT NOT NULL,
+        entry_id INT NOT NULL,
+        event INT NOT NULL,
+        entry_name NVARCHAR(100),
+        player_name NVARCHAR(100),
+        official_rank INT, -- Rank as currently published by FPL
+        last_rank INT, -- Rank at the end of the previous gameweek
+        official_total INT, -- Total as currently published by FPL
+        previous_total INT, -- Total before this gameweek
+        live_points INT NOT NULL, -- Live gameweek points after transfer cost
+        live_total INT NOT NULL, -- previous_total + live_points
+        live_rank INT NOT NULL,
+        rank_change INT, -- last_rank - live_rank (positive = moving up)
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_league_standings PRIMARY KEY (league_id, entry_id),
+        CONSTRAINT FK_league_standings_league FOREIGN KEY (league_id) REFERENCES dbo.leagues(id)
+    );
+END;
+GO
@@ -0,0 +1,27 @@
+-- Migration 007: log of live stat changes (SQL Server)
+
+-- ============================================
+-- PLAYER_EVENTS TABLE (one row per change detected between two live runs)
+-- ============================================
+IF OBJECT_ID('dbo.player_events', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_events (
+        detected_at DATETIME2 NOT NULL, -- Time of the run that saw the change
+        player_id INT NOT NULL,
+        fixture_id INT NOT NULL,
+        event_type NVARCHAR(30) NOT NULL, -- goals_scored, assists, own_goals, penalties_saved, penalties_missed, yellow_cards, red_cards, clean_sheets, minutes, bonus
+        event INT NOT NULL,
+        old_value INT,
+        new_value INT,
+        description NVARCHAR(100) NOT NULL, -- e.g. 'goal +1', 'yellow card +1', 'bonus changed 2→3', 'minutes 60+'
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_events PRIMARY KEY (detected_at, player_id, fixture_id, event_type),
+        CONSTRAINT FK_player_events_fixture FOREIGN KEY (fixture_id) REFERENCES dbo.fixtures(id),
+        CONSTRAINT FK_player_events_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_events_event ON dbo.player_events(event, detected_at);
+    CREATE NONCLUSTERED INDEX IX_player_events_player ON dbo.player_events(player_id);
+END;
+GO
@@ -0,0 +1,22 @@
+-- Migration 008: webhook delivery log, used to send each player event only once (SQL Server)
+
+-- ============================================
+-- WEBHOOK_DELIVERIES TABLE
+-- ============================================
+IF OBJECT_ID('dbo.webhook_deliveries', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.webhook_deliveries (
+        webhook_id NVARCHAR(16) NOT NULL, -- First 16 hex characters of the SHA-256 of the webhook URL
+        event_key NVARCHAR(100) NOT NULL, -- event:fixture_id:player_id:event_type:new_value
+        event INT NOT NULL,
+        status NVARCHAR(10) NOT NULL, -- 'sent' or 'failed'
+        last_error NVARCHAR(500),
+        delivered_at DATETIME2 NOT NULL,
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_webhook_deliveries PRIMARY KEY (webhook_id, event_key)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_webhook_deliveries_event ON dbo.webhook_deliveries(webhook_id, event);
+END;
+GO
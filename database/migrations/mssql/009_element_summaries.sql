@@ -0,0 +1,138 @@
+-- Migration 009: player history and fixture lists from /element-summary/{id}/ (SQL Server)
+
+-- ============================================
+-- PLAYER_SEASON_HISTORY TABLE
+-- ============================================
+IF OBJECT_ID('dbo.player_season_history', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_season_history (
+        element_code INT NOT NULL, -- Player code, stable across seasons (players.code)
+        season_name NVARCHAR(20) NOT NULL, -- e.g. '2023/24'
+        player_id INT, -- Current season id, NULL once the player has left
+        start_cost INT, -- Price at the start of the season, in tenths of a million
+        end_cost INT,
+        total_points INT,
+        minutes INT,
+        goals_scored INT,
+        assists INT,
+        clean_sheets INT,
+        goals_conceded INT,
+        own_goals INT,
+        penalties_saved INT,
+        penalties_missed INT,
+        yellow_cards INT,
+        red_cards INT,
+        saves INT,
+        bonus INT,
+        bps INT,
+        starts INT,
+        influence DECIMAL(10,2),
+        creativity DECIMAL(10,2),
+        threat DECIMAL(10,2),
+        ict_index DECIMAL(10,2),
+        expected_goals DECIMAL(10,2),
+        expected_assists DECIMAL(10,2),
+        expected_goal_involvements DECIMAL(10,2),
+        expected_goals_conceded DECIMAL(10,2),
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_season_history PRIMARY KEY (element_code, season_name)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_season_history_player ON dbo.player_season_history(player_id);
+END;
+GO
+
+-- ============================================
+-- PLAYER_MATCH_HISTORY TABLE
+-- ============================================
+IF OBJECT_ID('dbo.player_match_history', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_match_history (
+        player_id INT NOT NULL,
+        fixture_id INT NOT NULL,
+        event INT, -- Gameweek
+        opponent_team INT,
+        was_home BIT,
+        kickoff_time DATETIME2,
+        team_h_score INT,
+        team_a_score INT,
+        total_points INT,
+        minutes INT,
+        goals_scored INT,
+        assists INT,
+        clean_sheets INT,
+        goals_conceded INT,
+        own_goals INT,
+        penalties_saved INT,
+        penalties_missed INT,
+        yellow_cards INT,
+        red_cards INT,
+        saves INT,
+        bonus INT,
+        bps INT,
+        starts INT,
+        influence DECIMAL(10,2),
+        creativity DECIMAL(10,2),
+        threat DECIMAL(10,2),
+        ict_index DECIMAL(10,2),
+        expected_goals DECIMAL(10,2),
+        expected_assists DECIMAL(10,2),
+        expected_goal_involvements DECIMAL(10,2),
+        expected_goals_conceded DECIMAL(10,2),
+        value INT, -- Price at the time of the match
+        selected INT,
+        transfers_in INT,
+        transfers_out INT,
+        transfers_balance INT,
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_match_history PRIMARY KEY (player_id, fixture_id),
+        CONSTRAINT FK_player_match_history_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_match_history_event ON dbo.player_match_history(event);
+END;
+GO
+
+-- ============================================
+-- PLAYER_UPCOMING_FIXTURES TABLE
+-- ============================================
+IF OBJECT_ID('dbo.player_upcoming_fixtures', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_upcoming_fixtures (
+        player_id INT NOT NULL,
+        fixture_id INT NOT NULL,
+        event INT, -- Gameweek
+        kickoff_time DATETIME2,
+        is_home BIT,
+        opponent_team INT,
+        difficulty INT, -- FPL fixture difficulty rating (1-5)
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_upcoming_fixtures PRIMARY KEY (player_id, fixture_id),
+        CONSTRAINT FK_player_upcoming_fixtures_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_upcoming_fixtures_event ON dbo.player_upcoming_fixtures(event);
+END;
+GO
+
+-- ============================================
+-- PLAYER_SUMMARY_REFRESHES TABLE
+-- ============================================
+IF OBJECT_ID('dbo.player_summary_refreshes', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_summary_refreshes (
+        player_id INT NOT NULL,
+        refreshed_at DATETIME2 NOT NULL, -- Last successful import of /element-summary/{id}/
+        history_count INT, -- Rows in history (matches this season)
+        history_past_count INT, -- Rows in history_past (previous seasons)
+        fixtures_count INT, -- Upcoming fixtures
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_summary_refreshes PRIMARY KEY (player_id),
+        CONSTRAINT FK_player_summary_refreshes_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+END;
+GO
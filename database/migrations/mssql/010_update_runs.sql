@@ -0,0 +1,30 @@
+-- Migration 010: history of update runs with timings and row counts (SQL Server)
+
+-- ============================================
+-- UPDATE_RUNS TABLE
+-- ============================================
+IF OBJECT_ID('dbo.update_runs', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.update_runs (
+        run_id NVARCHAR(36) NOT NULL, -- Random UUID
+        command NVARCHAR(20) NOT NULL, -- 'sync' or 'daemon'
+        options NVARCHAR(200), -- JSON of the sync options (force, only)
+        started_at DATETIME2 NOT NULL,
+        finished_at DATETIME2, -- NULL while running, or if the process died
+        duration_ms INT,
+        gameweek INT,
+        live BIT, -- Whether any fixture was live
+        outcome NVARCHAR(10) NOT NULL, -- 'running', 'skipped', 'succeeded' or 'failed'
+        result NVARCHAR(10), -- runUpdate result: 'skipped', 'invalid', 'finalized' or 'updated'
+        api_calls NVARCHAR(MAX), -- JSON: endpoint -> { calls, ms, failed }
+        step_timings NVARCHAR(MAX), -- JSON: updater -> ms
+        table_rows NVARCHAR(MAX), -- JSON: table -> { inserted, updated, unchanged, deleted }
+        error NVARCHAR(MAX),
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_update_runs PRIMARY KEY (run_id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_update_runs_started_at ON dbo.update_runs(started_at);
+END;
+GO
@@ -0,0 +1,23 @@
+-- Migration 011: queue of entities to re-sync after reconciliation (SQL Server)
+
+-- ============================================
+-- REPAIR_QUEUE TABLE
+-- ============================================
+IF OBJECT_ID('dbo.repair_queue', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.repair_queue (
+        entity NVARCHAR(10) NOT NULL, -- 'player', 'fixture', 'team' or 'event'
+        entity_id INT NOT NULL,
+        gameweek INT, -- Gameweek whose live data must be re-synced, if known
+        checks NVARCHAR(200) NOT NULL, -- Comma-separated reconciliation checks that failed
+        details NVARCHAR(MAX),
+        queued_at DATETIME2 NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        last_error NVARCHAR(MAX),
+        resolved_at DATETIME2, -- NULL while pending
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_repair_queue PRIMARY KEY (entity, entity_id)
+    );
+END;
+GO
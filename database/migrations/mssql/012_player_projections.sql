@@ -0,0 +1,27 @@
+-- Migration 012: expected points per player for upcoming gameweeks (SQL Server)
+
+-- ============================================
+-- PLAYER_PROJECTIONS TABLE
+-- ============================================
+IF OBJECT_ID('dbo.player_projections', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.player_projections (
+        player_id INT NOT NULL,
+        event INT NOT NULL,
+        fixture_count INT NOT NULL, -- 0 for a blank gameweek, 2 for a double
+        play_probability DECIMAL(10,2),
+        expected_minutes DECIMAL(10,2),
+        expected_goals DECIMAL(10,2),
+        expected_assists DECIMAL(10,2),
+        expected_clean_sheets DECIMAL(10,2), -- Summed over the fixtures of a double gameweek
+        expected_points DECIMAL(10,2) NOT NULL,
+        projected_at DATETIME2 NOT NULL,
+        last_updated DATETIME2 DEFAULT GETUTCDATE(),
+
+        CONSTRAINT PK_player_projections PRIMARY KEY (player_id, event),
+        CONSTRAINT FK_player_projections_player FOREIGN KEY (player_id) REFERENCES dbo.players(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_player_projections_event ON dbo.player_projections(event, expected_points);
+END;
+GO
@@ -0,0 +1,7 @@
+-- Migration 013: keep the event of each webhook delivery so failed ones can be resent (SQL Server)
+
+IF COL_LENGTH('dbo.webhook_deliveries', 'payload') IS NULL
+    ALTER TABLE dbo.webhook_deliveries ADD payload NVARCHAR(MAX); -- JSON of the described event, as sent
+IF COL_LENGTH('dbo.webhook_deliveries', 'attempts') IS NULL
+    ALTER TABLE dbo.webhook_deliveries ADD attempts INT DEFAULT 0; -- Runs that tried to deliver the event
+GO
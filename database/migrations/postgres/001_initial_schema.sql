@@ -0,0 +1,265 @@
+-- Migration 001: initial FPL schema (PostgreSQL)
+-- Creates any missing tables; existing tables and data are left untouched.
+
+-- ============================================
+-- TEAMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    short_name VARCHAR(10) NOT NULL,
+    code INTEGER NOT NULL,
+    position INTEGER,
+    strength INTEGER,
+    strength_overall_home INTEGER,
+    strength_overall_away INTEGER,
+    strength_attack_home INTEGER,
+    strength_attack_away INTEGER,
+    strength_defence_home INTEGER,
+    strength_defence_away INTEGER,
+    pulse_id INTEGER,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+);
+
+CREATE INDEX IF NOT EXISTS ix_teams_short_name ON teams(short_name);
+
+-- ============================================
+-- ELEMENT_TYPES TABLE (Positions)
+-- ============================================
+CREATE TABLE IF NOT EXISTS element_types (
+    id INTEGER PRIMARY KEY,
+    plural_name VARCHAR(50) NOT NULL,
+    plural_name_short VARCHAR(10) NOT NULL,
+    singular_name VARCHAR(50) NOT NULL,
+    singular_name_short VARCHAR(10) NOT NULL,
+    squad_select INTEGER,
+    squad_min_play INTEGER,
+    squad_max_play INTEGER,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+);
+
+-- ============================================
+-- PLAYERS TABLE (Elements)
+-- ============================================
+CREATE TABLE IF NOT EXISTS players (
+    id INTEGER PRIMARY KEY,
+    web_name VARCHAR(100) NOT NULL,
+    first_name VARCHAR(100),
+    second_name VARCHAR(100),
+    team INTEGER NOT NULL REFERENCES teams(id),
+    element_type INTEGER NOT NULL REFERENCES element_types(id),
+    code INTEGER NOT NULL,
+
+    -- Pricing
+    now_cost INTEGER NOT NULL, -- Price in 0.1m (e.g., 100 = 10.0m)
+    cost_change_event INTEGER DEFAULT 0,
+    cost_change_start INTEGER DEFAULT 0,
+
+    -- Performance stats
+    total_points INTEGER DEFAULT 0,
+    event_points INTEGER DEFAULT 0,
+    form NUMERIC(5,2),
+    points_per_game NUMERIC(5,2),
+    selected_by_percent NUMERIC(5,2),
+
+    -- Availability
+    status VARCHAR(1), -- 'a' = available, 'd' = doubtful, 'i' = injured, etc.
+    news TEXT,
+    news_added TIMESTAMP,
+    chance_of_playing_next_round INTEGER,
+    chance_of_playing_this_round INTEGER,
+
+    -- Player stats
+    minutes INTEGER DEFAULT 0,
+    goals_scored INTEGER DEFAULT 0,
+    assists INTEGER DEFAULT 0,
+    clean_sheets INTEGER DEFAULT 0,
+    goals_conceded INTEGER DEFAULT 0,
+    own_goals INTEGER DEFAULT 0,
+    penalties_saved INTEGER DEFAULT 0,
+    penalties_missed INTEGER DEFAULT 0,
+    yellow_cards INTEGER DEFAULT 0,
+    red_cards INTEGER DEFAULT 0,
+    saves INTEGER DEFAULT 0,
+    bonus INTEGER DEFAULT 0,
+    bps INTEGER DEFAULT 0, -- Bonus points system
+
+    -- Expected stats
+    expected_goals NUMERIC(10,2) DEFAULT 0,
+    expected_assists NUMERIC(10,2) DEFAULT 0,
+    expected_goal_involvements NUMERIC(10,2) DEFAULT 0,
+    expected_goals_conceded NUMERIC(10,2) DEFAULT 0,
+
+    -- Influence/Creativity/Threat
+    influence NUMERIC(10,2) DEFAULT 0,
+    creativity NUMERIC(10,2) DEFAULT 0,
+    threat NUMERIC(10,2) DEFAULT 0,
+    ict_index NUMERIC(10,2) DEFAULT 0,
+
+    -- Starts
+    starts INTEGER DEFAULT 0,
+
+    -- Influence rank
+    influence_rank INTEGER,
+    influence_rank_type INTEGER,
+    creativity_rank INTEGER,
+    creativity_rank_type INTEGER,
+    threat_rank INTEGER,
+    threat_rank_type INTEGER,
+    ict_index_rank INTEGER,
+    ict_index_rank_type INTEGER,
+
+    -- Corners and indirect freekicks
+    corners_and_indirect_freekicks_order INTEGER,
+    corners_and_indirect_freekicks_text VARCHAR(100),
+    direct_freekicks_order INTEGER,
+    direct_freekicks_text VARCHAR(100),
+    penalties_order INTEGER,
+    penalties_text VARCHAR(100),
+
+    -- Additional
+    in_dreamteam BOOLEAN DEFAULT FALSE,
+    dreamteam_count INTEGER DEFAULT 0,
+    special BOOLEAN DEFAULT FALSE,
+
+    -- Metadata
+    photo VARCHAR(200),
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+);
+
+CREATE INDEX IF NOT EXISTS ix_players_team ON players(team);
+CREATE INDEX IF NOT EXISTS ix_players_element_type ON players(element_type);
+CREATE INDEX IF NOT EXISTS ix_players_web_name ON players(web_name);
+CREATE INDEX IF NOT EXISTS ix_players_total_points ON players(total_points DESC);
+CREATE INDEX IF NOT EXISTS ix_players_now_cost ON players(now_cost);
+
+-- ============================================
+-- EVENTS TABLE (Gameweeks)
+-- ============================================
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    deadline_time TIMESTAMP,
+    average_entry_score INTEGER,
+    finished BOOLEAN DEFAULT FALSE,
+    data_checked BOOLEAN DEFAULT FALSE,
+    highest_scoring_entry INTEGER,
+    highest_score INTEGER,
+    is_previous BOOLEAN DEFAULT FALSE,
+    is_current BOOLEAN DEFAULT FALSE,
+    is_next BOOLEAN DEFAULT FALSE,
+    cup_leagues_created BOOLEAN DEFAULT FALSE,
+    h2h_ko_matches_created BOOLEAN DEFAULT FALSE,
+    chip_plays TEXT, -- JSON array
+    most_selected INTEGER,
+    most_transferred_in INTEGER,
+    top_element INTEGER,
+    top_element_info TEXT, -- JSON
+    transfers_made INTEGER,
+    most_captained INTEGER,
+    most_vice_captained INTEGER,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+);
+
+CREATE INDEX IF NOT EXISTS ix_events_is_current ON events(is_current) WHERE is_current;
+CREATE INDEX IF NOT EXISTS ix_events_is_next ON events(is_next) WHERE is_next;
+
+-- ============================================
+-- FIXTURES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS fixtures (
+    id INTEGER PRIMARY KEY,
+    code INTEGER NOT NULL,
+    event INTEGER REFERENCES events(id), -- Gameweek (nullable for unscheduled fixtures)
+    finished BOOLEAN DEFAULT FALSE,
+    finished_provisional BOOLEAN DEFAULT FALSE,
+    kickoff_time TIMESTAMP,
+    minutes INTEGER DEFAULT 0,
+    provisional_start_time BOOLEAN DEFAULT FALSE,
+    started BOOLEAN DEFAULT FALSE,
+
+    -- Teams
+    team_a INTEGER NOT NULL REFERENCES teams(id),
+    team_h INTEGER NOT NULL REFERENCES teams(id),
+
+    -- Scores
+    team_a_score INTEGER,
+    team_h_score INTEGER,
+
+    -- Difficulty ratings
+    team_a_difficulty INTEGER,
+    team_h_difficulty INTEGER,
+
+    -- Stats (JSON)
+    stats TEXT, -- JSON array of match stats
+
+    -- Pulse ID
+    pulse_id INTEGER,
+
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+);
+
+CREATE INDEX IF NOT EXISTS ix_fixtures_event ON fixtures(event);
+CREATE INDEX IF NOT EXISTS ix_fixtures_team_a ON fixtures(team_a);
+CREATE INDEX IF NOT EXISTS ix_fixtures_team_h ON fixtures(team_h);
+CREATE INDEX IF NOT EXISTS ix_fixtures_kickoff ON fixtures(kickoff_time);
+
+-- ============================================
+-- PLAYER_GAMEWEEK_STATS TABLE (live stats per gameweek)
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_gameweek_stats (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    event INTEGER NOT NULL REFERENCES events(id), -- Gameweek
+
+    -- Points
+    total_points INTEGER DEFAULT 0,
+
+    -- Player stats
+    minutes INTEGER DEFAULT 0,
+    goals_scored INTEGER DEFAULT 0,
+    assists INTEGER DEFAULT 0,
+    clean_sheets INTEGER DEFAULT 0,
+    goals_conceded INTEGER DEFAULT 0,
+    own_goals INTEGER DEFAULT 0,
+    penalties_saved INTEGER DEFAULT 0,
+    penalties_missed INTEGER DEFAULT 0,
+    yellow_cards INTEGER DEFAULT 0,
+    red_cards INTEGER DEFAULT 0,
+    saves INTEGER DEFAULT 0,
+    bonus INTEGER DEFAULT 0,
+    bps INTEGER DEFAULT 0,
+    starts INTEGER DEFAULT 0,
+
+    -- Expected stats
+    expected_goals NUMERIC(10,2) DEFAULT 0,
+    expected_assists NUMERIC(10,2) DEFAULT 0,
+    expected_goal_involvements NUMERIC(10,2) DEFAULT 0,
+    expected_goals_conceded NUMERIC(10,2) DEFAULT 0,
+
+    -- Influence/Creativity/Threat
+    influence NUMERIC(10,2) DEFAULT 0,
+    creativity NUMERIC(10,2) DEFAULT 0,
+    threat NUMERIC(10,2) DEFAULT 0,
+    ict_index NUMERIC(10,2) DEFAULT 0,
+
+    in_dreamteam BOOLEAN DEFAULT FALSE,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (player_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_gameweek_stats_event ON player_gameweek_stats(event);
+
+-- ============================================
+-- METADATA TABLE (for tracking updates)
+-- ============================================
+CREATE TABLE IF NOT EXISTS metadata (
+    key_name VARCHAR(100) PRIMARY KEY,
+    value_text TEXT,
+    value_int INTEGER,
+    value_datetime TIMESTAMP,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+);
+
+-- Insert initial metadata
+INSERT INTO metadata (key_name) VALUES ('last_fpl_update') ON CONFLICT (key_name) DO NOTHING;
@@ -0,0 +1,18 @@
+-- Migration 002: per-player, per-fixture match stats (PostgreSQL)
+
+-- ============================================
+-- FIXTURE_STATS TABLE (flattened fixtures.stats)
+-- ============================================
+CREATE TABLE IF NOT EXISTS fixture_stats (
+    fixture_id INTEGER NOT NULL REFERENCES fixtures(id),
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    identifier VARCHAR(50) NOT NULL, -- goals_scored, assists, own_goals, yellow_cards, saves, bonus, bps, ...
+    side CHAR(1) NOT NULL, -- 'h' = home, 'a' = away
+    value INTEGER NOT NULL,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (fixture_id, player_id, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS ix_fixture_stats_player ON fixture_stats(player_id);
+CREATE INDEX IF NOT EXISTS ix_fixture_stats_identifier ON fixture_stats(identifier);
@@ -0,0 +1,23 @@
+-- Migration 003: price, ownership and transfer-volume history (PostgreSQL)
+
+-- Transfers made in the current gameweek, kept on the player row to detect changes
+ALTER TABLE players ADD COLUMN IF NOT EXISTS transfers_in_event INTEGER DEFAULT 0;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS transfers_out_event INTEGER DEFAULT 0;
+
+-- ============================================
+-- PLAYER_MARKET_SNAPSHOTS TABLE (written whenever a value changes)
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_market_snapshots (
+    player_id INTEGER NOT NULL,
+    captured_at TIMESTAMP NOT NULL,
+    event INTEGER, -- Current gameweek when captured (NULL before the season starts)
+    now_cost INTEGER NOT NULL,
+    selected_by_percent NUMERIC(5,2),
+    transfers_in_event INTEGER,
+    transfers_out_event INTEGER,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (player_id, captured_at)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_market_snapshots_captured_at ON player_market_snapshots(captured_at);
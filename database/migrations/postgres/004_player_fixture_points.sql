@@ -0,0 +1,22 @@
+-- Migration 004: per-fixture points with provisional bonus (PostgreSQL)
+
+-- ============================================
+-- PLAYER_FIXTURE_POINTS TABLE (bonus from live BPS until FPL confirms it)
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_fixture_points (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    fixture_id INTEGER NOT NULL REFERENCES fixtures(id),
+    event INTEGER NOT NULL,
+    minutes INTEGER NOT NULL,
+    bps INTEGER NOT NULL,
+    base_points INTEGER NOT NULL, -- Points from the live explain data, excluding bonus
+    provisional_bonus INTEGER NOT NULL, -- 3/2/1 for the top BPS in the fixture, ties shared
+    bonus INTEGER NOT NULL, -- provisional_bonus until confirmed, then the bonus FPL awarded
+    bonus_confirmed BOOLEAN NOT NULL,
+    total_points INTEGER NOT NULL, -- base_points + bonus
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (player_id, fixture_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_fixture_points_event ON player_fixture_points(event);
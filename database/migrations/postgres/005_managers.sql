@@ -0,0 +1,43 @@
+-- Migration 005: tracked managers' picks and live gameweek scores (PostgreSQL)
+
+-- ============================================
+-- MANAGER_PICKS TABLE (the 15 picks of each tracked entry per gameweek)
+-- ============================================
+CREATE TABLE IF NOT EXISTS manager_picks (
+    entry_id INTEGER NOT NULL,
+    event INTEGER NOT NULL,
+    position INTEGER NOT NULL, -- 1-11 starting XI, 12-15 bench in order
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    element_type INTEGER,
+    is_captain BOOLEAN NOT NULL,
+    is_vice_captain BOOLEAN NOT NULL,
+    multiplier INTEGER NOT NULL, -- Applied after chips, captaincy and automatic substitutions (0 = not counted)
+    minutes INTEGER NOT NULL,
+    points INTEGER NOT NULL, -- Player's live points including provisional bonus, before the multiplier
+    auto_sub_in BOOLEAN NOT NULL,
+    auto_sub_out BOOLEAN NOT NULL,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (entry_id, event, position)
+);
+
+-- ============================================
+-- MANAGER_GAMEWEEKS TABLE (live score of each tracked entry per gameweek)
+-- ============================================
+CREATE TABLE IF NOT EXISTS manager_gameweeks (
+    entry_id INTEGER NOT NULL,
+    event INTEGER NOT NULL,
+    active_chip VARCHAR(20), -- bboost, 3xc, freehit, wildcard or NULL
+    captain_id INTEGER, -- Player whose points were multiplied (the vice-captain if the captain did not play)
+    live_points INTEGER NOT NULL,
+    transfer_cost INTEGER NOT NULL,
+    net_points INTEGER NOT NULL, -- live_points - transfer_cost
+    bench_points INTEGER NOT NULL,
+    auto_subs INTEGER NOT NULL,
+    fpl_points INTEGER, -- Gameweek points as currently published by FPL
+    previous_total INTEGER, -- Overall points before this gameweek
+    live_total INTEGER, -- previous_total + net_points
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (entry_id, event)
+);
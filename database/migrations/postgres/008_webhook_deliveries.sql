@@ -0,0 +1,18 @@
+-- Migration 008: webhook delivery log, used to send each player event only once (PostgreSQL)
+
+-- ============================================
+-- WEBHOOK_DELIVERIES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    webhook_id VARCHAR(16) NOT NULL, -- First 16 hex characters of the SHA-256 of the webhook URL
+    event_key VARCHAR(100) NOT NULL, -- event:fixture_id:player_id:event_type:new_value
+    event INTEGER NOT NULL,
+    status VARCHAR(10) NOT NULL, -- 'sent' or 'failed'
+    last_error VARCHAR(500),
+    delivered_at TIMESTAMP NOT NULL,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (webhook_id, event_key)
+);
+
+CREATE INDEX IF NOT EXISTS ix_webhook_deliveries_event ON webhook_deliveries(webhook_id, event);
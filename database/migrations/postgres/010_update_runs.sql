@@ -0,0 +1,26 @@
+-- Migration 010: history of update runs with timings and row counts (PostgreSQL)
+
+-- ============================================
+-- UPDATE_RUNS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS update_runs (
+    run_id VARCHAR(36) NOT NULL, -- Random UUID
+    command VARCHAR(20) NOT NULL, -- 'sync' or 'daemon'
+    options VARCHAR(200), -- JSON of the sync options (force, only)
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP, -- NULL while running, or if the process died
+    duration_ms INTEGER,
+    gameweek INTEGER,
+    live BOOLEAN, -- Whether any fixture was live
+    outcome VARCHAR(10) NOT NULL, -- 'running', 'skipped', 'succeeded' or 'failed'
+    result VARCHAR(10), -- runUpdate result: 'skipped', 'invalid', 'finalized' or 'updated'
+    api_calls TEXT, -- JSON: endpoint -> { calls, ms, failed }
+    step_timings TEXT, -- JSON: updater -> ms
+    table_rows TEXT, -- JSON: table -> { inserted, updated, unchanged, deleted }
+    error TEXT,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (run_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_update_runs_started_at ON update_runs(started_at);
@@ -0,0 +1,19 @@
+-- Migration 011: queue of entities to re-sync after reconciliation (PostgreSQL)
+
+-- ============================================
+-- REPAIR_QUEUE TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS repair_queue (
+    entity VARCHAR(10) NOT NULL, -- 'player', 'fixture', 'team' or 'event'
+    entity_id INTEGER NOT NULL,
+    gameweek INTEGER, -- Gameweek whose live data must be re-synced, if known
+    checks VARCHAR(200) NOT NULL, -- Comma-separated reconciliation checks that failed
+    details TEXT,
+    queued_at TIMESTAMP NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    resolved_at TIMESTAMP, -- NULL while pending
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (entity, entity_id)
+);
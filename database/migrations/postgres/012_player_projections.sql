@@ -0,0 +1,22 @@
+-- Migration 012: expected points per player for upcoming gameweeks (PostgreSQL)
+
+-- ============================================
+-- PLAYER_PROJECTIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_projections (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    event INTEGER NOT NULL,
+    fixture_count INTEGER NOT NULL, -- 0 for a blank gameweek, 2 for a double
+    play_probability NUMERIC(10,2),
+    expected_minutes NUMERIC(10,2),
+    expected_goals NUMERIC(10,2),
+    expected_assists NUMERIC(10,2),
+    expected_clean_sheets NUMERIC(10,2), -- Summed over the fixtures of a double gameweek
+    expected_points NUMERIC(10,2) NOT NULL,
+    projected_at TIMESTAMP NOT NULL,
+    last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc'),
+
+    PRIMARY KEY (player_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_projections_event ON player_projections(event, expected_points);
@@ -0,0 +1,265 @@
+-- Migration 001: initial FPL schema (SQLite)
+-- Creates any missing tables; existing tables and data are left untouched.
+
+-- ============================================
+-- TEAMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    short_name TEXT NOT NULL,
+    code INTEGER NOT NULL,
+    position INTEGER,
+    strength INTEGER,
+    strength_overall_home INTEGER,
+    strength_overall_away INTEGER,
+    strength_attack_home INTEGER,
+    strength_attack_away INTEGER,
+    strength_defence_home INTEGER,
+    strength_defence_away INTEGER,
+    pulse_id INTEGER,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_teams_short_name ON teams(short_name);
+
+-- ============================================
+-- ELEMENT_TYPES TABLE (Positions)
+-- ============================================
+CREATE TABLE IF NOT EXISTS element_types (
+    id INTEGER PRIMARY KEY,
+    plural_name TEXT NOT NULL,
+    plural_name_short TEXT NOT NULL,
+    singular_name TEXT NOT NULL,
+    singular_name_short TEXT NOT NULL,
+    squad_select INTEGER,
+    squad_min_play INTEGER,
+    squad_max_play INTEGER,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- PLAYERS TABLE (Elements)
+-- ============================================
+CREATE TABLE IF NOT EXISTS players (
+    id INTEGER PRIMARY KEY,
+    web_name TEXT NOT NULL,
+    first_name TEXT,
+    second_name TEXT,
+    team INTEGER NOT NULL REFERENCES teams(id),
+    element_type INTEGER NOT NULL REFERENCES element_types(id),
+    code INTEGER NOT NULL,
+
+    -- Pricing
+    now_cost INTEGER NOT NULL, -- Price in 0.1m (e.g., 100 = 10.0m)
+    cost_change_event INTEGER DEFAULT 0,
+    cost_change_start INTEGER DEFAULT 0,
+
+    -- Performance stats
+    total_points INTEGER DEFAULT 0,
+    event_points INTEGER DEFAULT 0,
+    form REAL,
+    points_per_game REAL,
+    selected_by_percent REAL,
+
+    -- Availability
+    status TEXT, -- 'a' = available, 'd' = doubtful, 'i' = injured, etc.
+    news TEXT,
+    news_added TEXT,
+    chance_of_playing_next_round INTEGER,
+    chance_of_playing_this_round INTEGER,
+
+    -- Player stats
+    minutes INTEGER DEFAULT 0,
+    goals_scored INTEGER DEFAULT 0,
+    assists INTEGER DEFAULT 0,
+    clean_sheets INTEGER DEFAULT 0,
+    goals_conceded INTEGER DEFAULT 0,
+    own_goals INTEGER DEFAULT 0,
+    penalties_saved INTEGER DEFAULT 0,
+    penalties_missed INTEGER DEFAULT 0,
+    yellow_cards INTEGER DEFAULT 0,
+    red_cards INTEGER DEFAULT 0,
+    saves INTEGER DEFAULT 0,
+    bonus INTEGER DEFAULT 0,
+    bps INTEGER DEFAULT 0, -- Bonus points system
+
+    -- Expected stats
+    expected_goals REAL DEFAULT 0,
+    expected_assists REAL DEFAULT 0,
+    expected_goal_involvements REAL DEFAULT 0,
+    expected_goals_conceded REAL DEFAULT 0,
+
+    -- Influence/Creativity/Threat
+    influence REAL DEFAULT 0,
+    creativity REAL DEFAULT 0,
+    threat REAL DEFAULT 0,
+    ict_index REAL DEFAULT 0,
+
+    -- Starts
+    starts INTEGER DEFAULT 0,
+
+    -- Influence rank
+    influence_rank INTEGER,
+    influence_rank_type INTEGER,
+    creativity_rank INTEGER,
+    creativity_rank_type INTEGER,
+    threat_rank INTEGER,
+    threat_rank_type INTEGER,
+    ict_index_rank INTEGER,
+    ict_index_rank_type INTEGER,
+
+    -- Corners and indirect freekicks
+    corners_and_indirect_freekicks_order INTEGER,
+    corners_and_indirect_freekicks_text TEXT,
+    direct_freekicks_order INTEGER,
+    direct_freekicks_text TEXT,
+    penalties_order INTEGER,
+    penalties_text TEXT,
+
+    -- Additional
+    in_dreamteam INTEGER DEFAULT 0,
+    dreamteam_count INTEGER DEFAULT 0,
+    special INTEGER DEFAULT 0,
+
+    -- Metadata
+    photo TEXT,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_players_team ON players(team);
+CREATE INDEX IF NOT EXISTS ix_players_element_type ON players(element_type);
+CREATE INDEX IF NOT EXISTS ix_players_web_name ON players(web_name);
+CREATE INDEX IF NOT EXISTS ix_players_total_points ON players(total_points DESC);
+CREATE INDEX IF NOT EXISTS ix_players_now_cost ON players(now_cost);
+
+-- ============================================
+-- EVENTS TABLE (Gameweeks)
+-- ============================================
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    deadline_time TEXT,
+    average_entry_score INTEGER,
+    finished INTEGER DEFAULT 0,
+    data_checked INTEGER DEFAULT 0,
+    highest_scoring_entry INTEGER,
+    highest_score INTEGER,
+    is_previous INTEGER DEFAULT 0,
+    is_current INTEGER DEFAULT 0,
+    is_next INTEGER DEFAULT 0,
+    cup_leagues_created INTEGER DEFAULT 0,
+    h2h_ko_matches_created INTEGER DEFAULT 0,
+    chip_plays TEXT, -- JSON array
+    most_selected INTEGER,
+    most_transferred_in INTEGER,
+    top_element INTEGER,
+    top_element_info TEXT, -- JSON
+    transfers_made INTEGER,
+    most_captained INTEGER,
+    most_vice_captained INTEGER,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_events_is_current ON events(is_current) WHERE is_current = 1;
+CREATE INDEX IF NOT EXISTS ix_events_is_next ON events(is_next) WHERE is_next = 1;
+
+-- ============================================
+-- FIXTURES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS fixtures (
+    id INTEGER PRIMARY KEY,
+    code INTEGER NOT NULL,
+    event INTEGER REFERENCES events(id), -- Gameweek (nullable for unscheduled fixtures)
+    finished INTEGER DEFAULT 0,
+    finished_provisional INTEGER DEFAULT 0,
+    kickoff_time TEXT,
+    minutes INTEGER DEFAULT 0,
+    provisional_start_time INTEGER DEFAULT 0,
+    started INTEGER DEFAULT 0,
+
+    -- Teams
+    team_a INTEGER NOT NULL REFERENCES teams(id),
+    team_h INTEGER NOT NULL REFERENCES teams(id),
+
+    -- Scores
+    team_a_score INTEGER,
+    team_h_score INTEGER,
+
+    -- Difficulty ratings
+    team_a_difficulty INTEGER,
+    team_h_difficulty INTEGER,
+
+    -- Stats (JSON)
+    stats TEXT, -- JSON array of match stats
+
+    -- Pulse ID
+    pulse_id INTEGER,
+
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_fixtures_event ON fixtures(event);
+CREATE INDEX IF NOT EXISTS ix_fixtures_team_a ON fixtures(team_a);
+CREATE INDEX IF NOT EXISTS ix_fixtures_team_h ON fixtures(team_h);
+CREATE INDEX IF NOT EXISTS ix_fixtures_kickoff ON fixtures(kickoff_time);
+
+-- ============================================
+-- PLAYER_GAMEWEEK_STATS TABLE (live stats per gameweek)
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_gameweek_stats (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    event INTEGER NOT NULL REFERENCES events(id), -- Gameweek
+
+    -- Points
+    total_points INTEGER DEFAULT 0,
+
+    -- Player stats
+    minutes INTEGER DEFAULT 0,
+    goals_scored INTEGER DEFAULT 0,
+    assists INTEGER DEFAULT 0,
+    clean_sheets INTEGER DEFAULT 0,
+    goals_conceded INTEGER DEFAULT 0,
+    own_goals INTEGER DEFAULT 0,
+    penalties_saved INTEGER DEFAULT 0,
+    penalties_missed INTEGER DEFAULT 0,
+    yellow_cards INTEGER DEFAULT 0,
+    red_cards INTEGER DEFAULT 0,
+    saves INTEGER DEFAULT 0,
+    bonus INTEGER DEFAULT 0,
+    bps INTEGER DEFAULT 0,
+    starts INTEGER DEFAULT 0,
+
+    -- Expected stats
+    expected_goals REAL DEFAULT 0,
+    expected_assists REAL DEFAULT 0,
+    expected_goal_involvements REAL DEFAULT 0,
+    expected_goals_conceded REAL DEFAULT 0,
+
+    -- Influence/Creativity/Threat
+    influence REAL DEFAULT 0,
+    creativity REAL DEFAULT 0,
+    threat REAL DEFAULT 0,
+    ict_index REAL DEFAULT 0,
+
+    in_dreamteam INTEGER DEFAULT 0,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (player_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_gameweek_stats_event ON player_gameweek_stats(event);
+
+-- ============================================
+-- METADATA TABLE (for tracking updates)
+-- ============================================
+CREATE TABLE IF NOT EXISTS metadata (
+    key_name TEXT PRIMARY KEY,
+    value_text TEXT,
+    value_int INTEGER,
+    value_datetime TEXT,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Insert initial metadata
+INSERT OR IGNORE INTO metadata (key_name) VALUES ('last_fpl_update');
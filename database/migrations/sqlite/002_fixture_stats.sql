@@ -0,0 +1,18 @@
+-- Migration 002: per-player, per-fixture match stats (SQLite)
+
+-- ============================================
+-- FIXTURE_STATS TABLE (flattened fixtures.stats)
+-- ============================================
+CREATE TABLE IF NOT EXISTS fixture_stats (
+    fixture_id INTEGER NOT NULL REFERENCES fixtures(id),
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    identifier TEXT NOT NULL, -- goals_scored, assists, own_goals, yellow_cards, saves, bonus, bps, ...
+    side TEXT NOT NULL, -- 'h' = home, 'a' = away
+    value INTEGER NOT NULL,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (fixture_id, player_id, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS ix_fixture_stats_player ON fixture_stats(player_id);
+CREATE INDEX IF NOT EXISTS ix_fixture_stats_identifier ON fixture_stats(identifier);
@@ -0,0 +1,33 @@
+-- Migration 006: live classic league standings (SQLite)
+
+-- ============================================
+-- LEAGUES TABLE (classic leagues in FPL_LEAGUE_IDS)
+-- ============================================
+CREATE TABLE IF NOT EXISTS leagues (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    member_count INTEGER NOT NULL,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- LEAGUE_STANDINGS TABLE (one row per league member, updated every live run)
+-- ============================================
+CREATE TABLE IF NOT EXISTS league_standings (
+    league_id INTEGER NOT NULL REFERENCES leagues(id),
+    entry_id INTEGER NOT NULL,
+    event INTEGER NOT NULL,
+    entry_name TEXT,
+    player_name TEXT,
+    official_rank INTEGER, -- Rank as currently published by FPL
+    last_rank INTEGER, -- Rank at the end of the previous gameweek
+    official_total INTEGER, -- Total as currently published by FPL
+    previous_total INTEGER, -- Total before this gameweek
+    live_points INTEGER NOT NULL, -- Live gameweek points after transfer cost
+    live_total INTEGER NOT NULL, -- previous_total + live_points
+    live_rank INTEGER NOT NULL,
+    rank_change INTEGER, -- last_rank - live_rank (positive = moving up)
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (league_id, entry_id)
+);
@@ -0,0 +1,21 @@
+-- Migration 007: log of live stat changes (SQLite)
+
+-- ============================================
+-- PLAYER_EVENTS TABLE (one row per change detected between two live runs)
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_events (
+    detected_at TEXT NOT NULL, -- Time of the run that saw the change
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    fixture_id INTEGER NOT NULL REFERENCES fixtures(id),
+    event_type TEXT NOT NULL, -- goals_scored, assists, own_goals, penalties_saved, penalties_missed, yellow_cards, red_cards, clean_sheets, minutes, bonus
+    event INTEGER NOT NULL,
+    old_value INTEGER,
+    new_value INTEGER,
+    description TEXT NOT NULL, -- e.g. 'goal +1', 'yellow card +1', 'bonus changed 2→3', 'minutes 60+'
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (detected_at, player_id, fixture_id, event_type)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_events_event ON player_events(event, detected_at);
+CREATE INDEX IF NOT EXISTS ix_player_events_player ON player_events(player_id);
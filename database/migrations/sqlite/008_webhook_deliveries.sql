@@ -0,0 +1,18 @@
+-- Migration 008: webhook delivery log, used to send each player event only once (SQLite)
+
+-- ============================================
+-- WEBHOOK_DELIVERIES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    webhook_id TEXT NOT NULL, -- First 16 hex characters of the SHA-256 of the webhook URL
+    event_key TEXT NOT NULL, -- event:fixture_id:player_id:event_type:new_value
+    event INTEGER NOT NULL,
+    status TEXT NOT NULL, -- 'sent' or 'failed'
+    last_error TEXT,
+    delivered_at TEXT NOT NULL,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (webhook_id, event_key)
+);
+
+CREATE INDEX IF NOT EXISTS ix_webhook_deliveries_event ON webhook_deliveries(webhook_id, event);
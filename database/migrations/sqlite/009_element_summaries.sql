@@ -0,0 +1,119 @@
+-- Migration 009: player history and fixture lists from /element-summary/{id}/ (SQLite)
+
+-- ============================================
+-- PLAYER_SEASON_HISTORY TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_season_history (
+    element_code INTEGER NOT NULL, -- Player code, stable across seasons (players.code)
+    season_name TEXT NOT NULL, -- e.g. '2023/24'
+    player_id INTEGER, -- Current season id, NULL once the player has left
+    start_cost INTEGER, -- Price at the start of the season, in tenths of a million
+    end_cost INTEGER,
+    total_points INTEGER,
+    minutes INTEGER,
+    goals_scored INTEGER,
+    assists INTEGER,
+    clean_sheets INTEGER,
+    goals_conceded INTEGER,
+    own_goals INTEGER,
+    penalties_saved INTEGER,
+    penalties_missed INTEGER,
+    yellow_cards INTEGER,
+    red_cards INTEGER,
+    saves INTEGER,
+    bonus INTEGER,
+    bps INTEGER,
+    starts INTEGER,
+    influence REAL,
+    creativity REAL,
+    threat REAL,
+    ict_index REAL,
+    expected_goals REAL,
+    expected_assists REAL,
+    expected_goal_involvements REAL,
+    expected_goals_conceded REAL,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (element_code, season_name)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_season_history_player ON player_season_history(player_id);
+
+-- ============================================
+-- PLAYER_MATCH_HISTORY TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_match_history (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    fixture_id INTEGER NOT NULL,
+    event INTEGER, -- Gameweek
+    opponent_team INTEGER,
+    was_home INTEGER,
+    kickoff_time TEXT,
+    team_h_score INTEGER,
+    team_a_score INTEGER,
+    total_points INTEGER,
+    minutes INTEGER,
+    goals_scored INTEGER,
+    assists INTEGER,
+    clean_sheets INTEGER,
+    goals_conceded INTEGER,
+    own_goals INTEGER,
+    penalties_saved INTEGER,
+    penalties_missed INTEGER,
+    yellow_cards INTEGER,
+    red_cards INTEGER,
+    saves INTEGER,
+    bonus INTEGER,
+    bps INTEGER,
+    starts INTEGER,
+    influence REAL,
+    creativity REAL,
+    threat REAL,
+    ict_index REAL,
+    expected_goals REAL,
+    expected_assists REAL,
+    expected_goal_involvements REAL,
+    expected_goals_conceded REAL,
+    value INTEGER, -- Price at the time of the match
+    selected INTEGER,
+    transfers_in INTEGER,
+    transfers_out INTEGER,
+    transfers_balance INTEGER,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (player_id, fixture_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_match_history_event ON player_match_history(event);
+
+-- ============================================
+-- PLAYER_UPCOMING_FIXTURES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_upcoming_fixtures (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    fixture_id INTEGER NOT NULL,
+    event INTEGER, -- Gameweek
+    kickoff_time TEXT,
+    is_home INTEGER,
+    opponent_team INTEGER,
+    difficulty INTEGER, -- FPL fixture difficulty rating (1-5)
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (player_id, fixture_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_upcoming_fixtures_event ON player_upcoming_fixtures(event);
+
+-- ============================================
+-- PLAYER_SUMMARY_REFRESHES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_summary_refreshes (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    refreshed_at TEXT NOT NULL, -- Last successful import of /element-summary/{id}/
+    history_count INTEGER, -- Rows in history (matches this season)
+    history_past_count INTEGER, -- Rows in history_past (previous seasons)
+    fixtures_count INTEGER, -- Upcoming fixtures
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (player_id)
+);
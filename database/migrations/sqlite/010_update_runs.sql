@@ -0,0 +1,26 @@
+-- Migration 010: history of update runs with timings and row counts (SQLite)
+
+-- ============================================
+-- UPDATE_RUNS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS update_runs (
+    run_id TEXT NOT NULL, -- Random UUID
+    command TEXT NOT NULL, -- 'sync' or 'daemon'
+    options TEXT, -- JSON of the sync options (force, only)
+    started_at TEXT NOT NULL,
+    finished_at TEXT, -- NULL while running, or if the process died
+    duration_ms INTEGER,
+    gameweek INTEGER,
+    live INTEGER, -- Whether any fixture was live
+    outcome TEXT NOT NULL, -- 'running', 'skipped', 'succeeded' or 'failed'
+    result TEXT, -- runUpdate result: 'skipped', 'invalid', 'finalized' or 'updated'
+    api_calls TEXT, -- JSON: endpoint -> { calls, ms, failed }
+    step_timings TEXT, -- JSON: updater -> ms
+    table_rows TEXT, -- JSON: table -> { inserted, updated, unchanged, deleted }
+    error TEXT,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (run_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_update_runs_started_at ON update_runs(started_at);
@@ -0,0 +1,19 @@
+-- Migration 011: queue of entities to re-sync after reconciliation (SQLite)
+
+-- ============================================
+-- REPAIR_QUEUE TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS repair_queue (
+    entity TEXT NOT NULL, -- 'player', 'fixture', 'team' or 'event'
+    entity_id INTEGER NOT NULL,
+    gameweek INTEGER, -- Gameweek whose live data must be re-synced, if known
+    checks TEXT NOT NULL, -- Comma-separated reconciliation checks that failed
+    details TEXT,
+    queued_at TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    resolved_at TEXT, -- NULL while pending
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (entity, entity_id)
+);
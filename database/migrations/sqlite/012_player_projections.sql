@@ -0,0 +1,22 @@
+-- Migration 012: expected points per player for upcoming gameweeks (SQLite)
+
+-- ============================================
+-- PLAYER_PROJECTIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS player_projections (
+    player_id INTEGER NOT NULL REFERENCES players(id),
+    event INTEGER NOT NULL,
+    fixture_count INTEGER NOT NULL, -- 0 for a blank gameweek, 2 for a double
+    play_probability REAL,
+    expected_minutes REAL,
+    expected_goals REAL,
+    expected_assists REAL,
+    expected_clean_sheets REAL, -- Summed over the fixtures of a double gameweek
+    expected_points REAL NOT NULL,
+    projected_at TEXT NOT NULL,
+    last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (player_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS ix_player_projections_event ON player_projections(event, expected_points);
@@ -0,0 +1,4 @@
+-- Migration 013: keep the event of each webhook delivery so failed ones can be resent (SQLite)
+
+ALTER TABLE webhook_deliveries ADD COLUMN payload TEXT; -- JSON of the described event, as sent
+ALTER TABLE webhook_deliveries ADD COLUMN attempts INTEGER DEFAULT 0; -- Runs that tried to deliver the event
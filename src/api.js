@@ -0,0 +1,316 @@
+const http = require('http');
+const crypto = require('crypto');
+const { createDatabase, tables } = require('./db');
+
+function loadConfig(env = process.env) {
+    return {
+        port: Number(env.API_PORT) || 3000,
+        host: env.API_HOST || '0.0.0.0',
+        // max-age of data responses; the tables only change when a sync runs
+        cacheSeconds: Number(env.API_CACHE_SECONDS ?? 60),
+        // /health reports degraded when no run has completed (synced or skipped) for this long
+        healthMaxAgeMinutes: Number(env.API_HEALTH_MAX_AGE_MINUTES) || 120
+    };
+}
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Largest id the INT key columns hold
+const MAX_ID = 2147483647;
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function parseInteger(query, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    const value = query.get(name);
+    if (value === null || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw httpError(400, `${name} must be an integer from ${min} to ${max}, got "${value}"`);
+    }
+    return number;
+}
+
+// Price in £m as shown in the game ("7.5"), stored as now_cost in tenths
+function parsePrice(query, name) {
+    const value = query.get(name);
+    if (value === null || value === '') {
+        return undefined;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw httpError(400, `${name} must be a price in millions, e.g. 7.5, got "${value}"`);
+    }
+    return Math.round(price * 10);
+}
+
+function parseList(query, name) {
+    const value = query.get(name);
+    if (value === null || value === '') {
+        return undefined;
+    }
+    return value.split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+// ?limit=&offset=, limit defaults to 100 and is capped at 1000
+function parsePage(query) {
+    return {
+        limit: parseInteger(query, 'limit', { min: 1, max: MAX_LIMIT }) ?? DEFAULT_LIMIT,
+        offset: parseInteger(query, 'offset') ?? 0
+    };
+}
+
+// Ids from a list of ids or short names, e.g. team=ARS,14 or position=MID
+async function resolveIds(db, table, nameColumn, values, parameter) {
+    if (values.every(value => /^\d+$/.test(value))) {
+        return values.map(Number);
+    }
+    const byName = new Map((await db.select(table)).map(row => [row[nameColumn].toUpperCase(), row.id]));
+    return values.map((value) => {
+        const id = /^\d+$/.test(value) ? Number(value) : byName.get(value.toUpperCase());
+        if (id === undefined) {
+            throw httpError(400, `Unknown ${parameter} "${value}"`);
+        }
+        return id;
+    });
+}
+
+async function listPage(db, table, { where, orderBy, query }) {
+    const { limit, offset } = parsePage(query);
+    const data = await db.select(table, { where, orderBy, limit, offset });
+    const total = await db.count(table, { where });
+    return { data, pagination: { total, limit, offset } };
+}
+
+// GET /players?team=&position=&min_price=&max_price=&status=&limit=&offset=
+async function listPlayers(db, { query }) {
+    const where = {};
+
+    const team = parseList(query, 'team');
+    if (team) {
+        where.team = await resolveIds(db, tables.teams, 'short_name', team, 'team');
+    }
+    const position = parseList(query, 'position');
+    if (position) {
+        where.element_type = await resolveIds(db, tables.elementTypes, 'singular_name_short', position, 'position');
+    }
+    const price = { min: parsePrice(query, 'min_price'), max: parsePrice(query, 'max_price') };
+    if (price.min !== undefined || price.max !== undefined) {
+        where.now_cost = price;
+    }
+    const status = parseList(query, 'status');
+    if (status) {
+        where.status = status;
+    }
+
+    return listPage(db, tables.players, { where, orderBy: [['id']], query });
+}
+
+// GET /players/{id}
+async function getPlayer(db, { params }) {
+    const id = Number(params[0]);
+    if (!Number.isSafeInteger(id) || id < 1 || id > MAX_ID) {
+        throw httpError(400, `Player id must be an integer from 1 to ${MAX_ID}, got "${params[0]}"`);
+    }
+    const [player] = await db.select(tables.players, { where: { id } });
+    if (!player) {
+        throw httpError(404, `Player ${id} not found`);
+    }
+    return { data: player };
+}
+
+// GET /gameweeks/current
+async function getCurrentGameweek(db) {
+    const [gameweek] = await db.select(tables.events, { where: { is_current: true } });
+    if (!gameweek) {
+        throw httpError(404, 'No current gameweek');
+    }
+    return { data: gameweek };
+}
+
+// GET /fixtures?event=&limit=&offset=, with the match stats stored as JSON returned as an array
+async function listFixtures(db, { query }) {
+    const event = parseInteger(query, 'event', { min: 1, max: 38 });
+    const page = await listPage(db, tables.fixtures, { where: event !== undefined ? { event } : {}, orderBy: [['id']], query });
+    return { ...page, data: page.data.map(fixture => ({ ...fixture, stats: fixture.stats ? JSON.parse(fixture.stats) : [] })) };
+}
+
+// GET /teams
+async function listTeams(db, { query }) {
+    return listPage(db, tables.teams, { orderBy: [['id']], query });
+}
+
+// GET /health: the last successful sync from update_runs (or dbo.metadata for syncs from before it),
+// and the outcome of the latest run. Degraded (served as 503) when the latest run failed or no run
+// has completed, with a sync or a skip, within healthMaxAgeMinutes, so a failing or stopped updater shows up.
+async function getHealth(db, { config }) {
+    const [lastSucceeded] = await db.select(tables.updateRuns, { where: { outcome: 'succeeded' }, orderBy: [['started_at', 'desc']], limit: 1 });
+    const [lastCompleted] = await db.select(tables.updateRuns, { where: { outcome: ['succeeded', 'skipped'] }, orderBy: [['started_at', 'desc']], limit: 1 });
+    const [lastRun] = await db.select(tables.updateRuns, { orderBy: [['started_at', 'desc']], limit: 1 });
+    const [lastSync] = await db.select(tables.metadata, { where: { key_name: 'last_fpl_update' } });
+
+    const lastSuccessfulSync = lastSucceeded ? lastSucceeded.finished_at : (lastSync && lastSync.value_datetime) || null;
+    const lastCompletedAt = lastCompleted ? lastCompleted.finished_at : lastSuccessfulSync;
+
+    const problems = [];
+    if (lastRun && lastRun.outcome === 'failed') {
+        problems.push(`Last run failed: ${lastRun.error || 'no error recorded'}`);
+    }
+    if (!lastCompletedAt || Date.now() - lastCompletedAt.getTime() > config.healthMaxAgeMinutes * 60 * 1000) {
+        problems.push(`No run has completed in the last ${config.healthMaxAgeMinutes} minutes`);
+    }
+
+    return {
+        status: problems.length === 0 ? 'ok' : 'degraded',
+        problems,
+        database: db.dialect,
+        lastSuccessfulSync,
+        lastRun: lastRun ? {
+            outcome: lastRun.outcome,
+            startedAt: lastRun.started_at,
+            finishedAt: lastRun.finished_at,
+            gameweek: lastRun.gameweek,
+            error: lastRun.error
+        } : null
+    };
+}
+
+const ROUTES = [
+    { path: /^\/players$/, handler: listPlayers },
+    { path: /^\/players\/(\d+)$/, handler: getPlayer },
+    { path: /^\/gameweeks\/current$/, handler: getCurrentGameweek },
+    { path: /^\/fixtures$/, handler: listFixtures },
+    { path: /^\/teams$/, handler: listTeams },
+    { path: /^\/health$/, handler: getHealth, cache: false, status: body => (body.status === 'ok' ? 200 : 503) }
+];
+
+// The API shares one connection: tedious runs one request at a time, so queries are queued.
+// After an unexpected error the connection is dropped and reopened by the next request.
+function createConnectionQueue() {
+    let db = null;
+    let queue = Promise.resolve();
+
+    function withDb(fn) {
+        const result = queue.then(async () => {
+            if (!db) {
+                const connecting = createDatabase();
+                await connecting.connect();
+                db = connecting;
+            }
+            try {
+                return await fn(db);
+            } catch (error) {
+                if (!error.status) {
+                    const failed = db;
+                    db = null;
+                    await failed.close().catch(() => {});
+                }
+                throw error;
+            }
+        });
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    async function close() {
+        await queue;
+        if (db) {
+            await db.close();
+            db = null;
+        }
+    }
+
+    return { withDb, close };
+}
+
+function send(req, res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    const responseHeaders = { 'Content-Type': 'application/json; charset=utf-8', ETag: etag, ...headers };
+
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.writeHead(304, responseHeaders);
+        res.end();
+        return;
+    }
+
+    res.writeHead(status, { ...responseHeaders, 'Content-Length': Buffer.byteLength(json) });
+    res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+// Read-only JSON API over the synced tables. Returns an http.Server (not yet listening) and
+// close(), which releases the database connection.
+function createApiServer(config = loadConfig()) {
+    const connection = createConnectionQueue();
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = ROUTES.find(candidate => candidate.path.test(url.pathname));
+
+        if (!route) {
+            send(req, res, 404, { error: `Not found: ${url.pathname}` }, { 'Cache-Control': 'no-store' });
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            send(req, res, 405, { error: `Method ${req.method} not allowed` }, { Allow: 'GET, HEAD', 'Cache-Control': 'no-store' });
+            return;
+        }
+
+        const cacheControl = route.cache === false ? 'no-store' : `public, max-age=${config.cacheSeconds}`;
+        const params = url.pathname.match(route.path).slice(1);
+        try {
+            const body = await connection.withDb(db => route.handler(db, { params, query: url.searchParams, config }));
+            send(req, res, route.status ? route.status(body) : 200, body, { 'Cache-Control': cacheControl });
+        } catch (error) {
+            if (error.status) {
+                send(req, res, error.status, { error: error.message }, { 'Cache-Control': 'no-store' });
+                return;
+            }
+            console.error(`${req.method} ${req.url} failed:`, error.message);
+            if (route.handler === getHealth) {
+                send(req, res, 503, { status: 'error', error: error.message }, { 'Cache-Control': 'no-store' });
+            } else {
+                send(req, res, 500, { error: 'Internal server error' }, { 'Cache-Control': 'no-store' });
+            }
+        }
+    });
+
+    return {
+        server,
+        close: () => new Promise(resolve => server.close(resolve)).then(connection.close)
+    };
+}
+
+// Serve the API until SIGTERM or SIGINT
+async function runApiServer(config = loadConfig()) {
+    const api = createApiServer(config);
+
+    await new Promise((resolve, reject) => {
+        api.server.once('error', reject);
+        api.server.listen(config.port, config.host, resolve);
+    });
+    console.log(`API listening on http://${config.host}:${config.port}`);
+
+    await new Promise((resolve) => {
+        const stop = (signal) => {
+            console.log(`${signal} received, stopping the API...`);
+            resolve();
+        };
+        process.once('SIGTERM', () => stop('SIGTERM'));
+        process.once('SIGINT', () => stop('SIGINT'));
+    });
+
+    await api.close();
+    console.log('*** API stopped');
+}
+
+module.exports = {
+    loadConfig,
+    createApiServer,
+    runApiServer
+};
@@ -0,0 +1,160 @@
+const { parseArgs } = require('util');
+const { createDatabase, tables } = require('./db');
+const { sleep } = require('./retry');
+const { checkPayload } = require('./schemas');
+const { updatePlayerFixturePoints } = require('./bonus');
+const { getGameweekData, getFixturesData, updateFixtureStats, updatePlayerStats } = require('./updateScript');
+
+// Metadata key holding the progress of the last backfill, so an interrupted one can resume
+const PROGRESS_KEY = 'backfill_progress';
+
+// Gameweeks to backfill: the given range, or every finished gameweek in dbo.events
+async function getBackfillGameweeks(db, { from, to }) {
+    if (from !== undefined || to !== undefined) {
+        const events = await db.select(tables.events, { orderBy: [['id', 'asc']] });
+        const first = from ?? 1;
+        const last = to ?? Math.max(...events.map(event => event.id));
+        return events.map(event => event.id).filter(id => id >= first && id <= last);
+    }
+
+    const finished = await db.select(tables.events, { where: { finished: true }, orderBy: [['id', 'asc']] });
+    return finished.map(event => event.id);
+}
+
+// A fixture with the match stats of players not in knownPlayers left out
+function withKnownPlayers(fixture, knownPlayers) {
+    return {
+        ...fixture,
+        stats: (fixture.stats || []).map(stat => ({
+            ...stat,
+            h: (stat.h || []).filter(entry => knownPlayers.has(entry.element)),
+            a: (stat.a || []).filter(entry => knownPlayers.has(entry.element))
+        }))
+    };
+}
+
+// Fetch /event/{id}/live/ of one gameweek and store its player stats, fixture stats and
+// per-fixture points in one transaction, with afterWrite run inside the same transaction.
+// knownPlayers holds the ids in dbo.players; other players are skipped.
+async function backfillGameweek(db, client, gameweekId, { fixturesData, knownPlayers, afterWrite = async () => {} }) {
+    const gameweekData = await getGameweekData(client, gameweekId);
+    if (!checkPayload('live', { elements: gameweekData.elements }, { gameweek: gameweekId })) {
+        throw new Error(`Live data for gameweek ${gameweekId} failed validation; fix it and run the backfill again to resume`);
+    }
+
+    // Players no longer in bootstrap-static cannot be stored (foreign key to dbo.players)
+    const elements = gameweekData.elements.filter(element => knownPlayers.has(element.id));
+    if (elements.length < gameweekData.elements.length) {
+        console.warn(`Skipping ${gameweekData.elements.length - elements.length} unknown player(s) in gameweek ${gameweekId}`);
+    }
+
+    // Nor can their match stats
+    const fixtures = fixturesData.map(fixture => (fixture.event === gameweekId ? withKnownPlayers(fixture, knownPlayers) : fixture));
+
+    await db.transaction(async () => {
+        await updatePlayerStats(db, { gameweekId, elements });
+        await updateFixtureStats(db, fixtures, gameweekId);
+        await updatePlayerFixturePoints(db, { gameweekId, elements }, fixtures);
+        await afterWrite();
+    });
+}
+
+// Fetch /event/{id}/live/ for each gameweek and store its player stats, fixture stats and
+// per-fixture points, one transaction per gameweek. Requests are spaced by delayMs.
+// Progress is saved after every gameweek; a backfill of the same gameweeks resumes after the
+// last completed one unless restart is set. With dryRun the gameweeks are only listed.
+async function runBackfill(client, { from, to, delayMs = 1000, restart = false, dryRun = false } = {}) {
+    const db = createDatabase();
+    await db.connect();
+
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        const gameweeks = await getBackfillGameweeks(db, { from, to });
+        if (gameweeks.length === 0) {
+            console.log('No gameweeks to backfill. Run a sync first so dbo.events is populated.');
+            return 0;
+        }
+
+        const range = `${gameweeks[0]}-${gameweeks[gameweeks.length - 1]}`;
+        const [progress] = await db.select(tables.metadata, { where: { key_name: PROGRESS_KEY } });
+        let pending = gameweeks;
+        if (!restart && progress && progress.value_text === range) {
+            pending = gameweeks.filter(id => id > progress.value_int);
+            console.log(`Resuming backfill of gameweeks ${range} after gameweek ${progress.value_int}`);
+        }
+
+        if (pending.length === 0) {
+            console.log(`Gameweeks ${range} are already backfilled. Use --restart to run again.`);
+            return 0;
+        }
+
+        if (dryRun) {
+            console.log(`Dry run: would backfill ${pending.length} gameweek(s): ${pending.join(', ')}`);
+            return pending.length;
+        }
+
+        console.log(`Backfilling ${pending.length} gameweek(s): ${pending.join(', ')}`);
+
+        const fixturesData = await getFixturesData(client);
+        const knownPlayers = new Set((await db.select(tables.players)).map(player => player.id));
+
+        for (const [index, gameweekId] of pending.entries()) {
+            if (index > 0) {
+                await sleep(delayMs);
+            }
+
+            await backfillGameweek(db, client, gameweekId, {
+                fixturesData,
+                knownPlayers,
+                afterWrite: () => db.upsert(tables.metadata, [
+                    { key_name: PROGRESS_KEY, value_text: range, value_int: gameweekId, value_datetime: new Date() }
+                ])
+            });
+            console.log(`Gameweek ${gameweekId} backfilled (${index + 1}/${pending.length})`);
+        }
+
+        return pending.length;
+    } finally {
+        await db.close();
+    }
+}
+
+// Options of `cli backfill`: [--from N] [--to N] [--delay-ms N] [--restart] [--dry-run]
+function parseBackfillArgs(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            'delay-ms': { type: 'string' },
+            restart: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+
+    const toNumber = (name, value) => {
+        if (value === undefined) {
+            return undefined;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+        }
+        return number;
+    };
+
+    return {
+        from: toNumber('from', values.from),
+        to: toNumber('to', values.to),
+        delayMs: toNumber('delay-ms', values['delay-ms']) ?? (Number(process.env.BACKFILL_DELAY_MS) || 1000),
+        restart: values.restart,
+        dryRun: values['dry-run']
+    };
+}
+
+module.exports = {
+    backfillGameweek,
+    runBackfill,
+    parseBackfillArgs
+};
@@ -0,0 +1,100 @@
+const { tables } = require('./db');
+
+// Bonus points for the 1st, 2nd and 3rd highest BPS in a fixture
+const BONUS_BY_RANK = { 1: 3, 2: 2, 3: 1 };
+
+// Apply FPL's bonus rules to the BPS of every player who played in one fixture.
+// Tied players share the higher bonus and the next rank is skipped:
+// a tie for 1st gives 3, 3, 1; a tie for 2nd gives 3, 2, 2; a tie for 3rd gives 3, 2, 1, 1.
+function rankBonus(entries) {
+    const bonus = new Map();
+
+    for (const entry of entries) {
+        const rank = 1 + entries.filter(other => other.bps > entry.bps).length;
+        bonus.set(entry.player_id, BONUS_BY_RANK[rank] || 0);
+    }
+
+    return bonus;
+}
+
+// Group the live explain data by fixture and work out provisional and confirmed bonus.
+// Returns one row per player and fixture they played in.
+function computeFixturePoints(gameweekData, fixtures) {
+    const { gameweekId, elements } = gameweekData;
+    const fixturesById = new Map(fixtures.map(fixture => [fixture.id, fixture]));
+    const byFixture = new Map();
+
+    for (const element of elements) {
+        for (const explain of element.explain || []) {
+            const stats = new Map((explain.stats || []).map(stat => [stat.identifier, stat]));
+            const minutes = stats.get('minutes') ? stats.get('minutes').value : 0;
+
+            if (minutes <= 0) {
+                continue;
+            }
+
+            const basePoints = (explain.stats || [])
+                .filter(stat => stat.identifier !== 'bonus')
+                .reduce((sum, stat) => sum + (stat.points || 0), 0);
+
+            if (!byFixture.has(explain.fixture)) {
+                byFixture.set(explain.fixture, []);
+            }
+            byFixture.get(explain.fixture).push({
+                player_id: element.id,
+                fixture_id: explain.fixture,
+                event: gameweekId,
+                minutes,
+                bps: stats.get('bps') ? stats.get('bps').value : 0,
+                base_points: basePoints,
+                awarded_bonus: stats.get('bonus') ? stats.get('bonus').value : 0
+            });
+        }
+    }
+
+    const rows = [];
+    for (const [fixtureId, entries] of byFixture) {
+        const fixture = fixturesById.get(fixtureId);
+        const provisional = rankBonus(entries);
+
+        // Bonus is confirmed once FPL has awarded it in this fixture or marked the fixture finished
+        const confirmed = entries.some(entry => entry.awarded_bonus > 0) || Boolean(fixture && fixture.finished);
+
+        for (const entry of entries) {
+            const bonus = confirmed ? entry.awarded_bonus : provisional.get(entry.player_id);
+
+            rows.push({
+                player_id: entry.player_id,
+                fixture_id: entry.fixture_id,
+                event: entry.event,
+                minutes: entry.minutes,
+                bps: entry.bps,
+                base_points: entry.base_points,
+                provisional_bonus: provisional.get(entry.player_id),
+                bonus,
+                bonus_confirmed: confirmed,
+                total_points: entry.base_points + bonus
+            });
+        }
+    }
+
+    return rows;
+}
+
+// Store per-fixture points with provisional (or, once awarded, confirmed) bonus
+async function updatePlayerFixturePoints(db, gameweekData, fixtures) {
+    const rows = computeFixturePoints(gameweekData, fixtures);
+
+    console.log(`Updating points and bonus for ${rows.length} player fixtures...`);
+
+    const updateCount = await db.upsert(tables.playerFixturePoints, rows);
+    console.log(`Player fixture points updated: ${updateCount}`);
+
+    return updateCount;
+}
+
+module.exports = {
+    rankBonus,
+    computeFixturePoints,
+    updatePlayerFixturePoints
+};
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { createFplClient, listCaptures } = require('./fplClient');
+const { SYNC_STEPS, runUpdate } = require('./updateScript');
+const { initDatabase, verifyDatabase } = require('./initDatabase');
+const { runBackfill, parseBackfillArgs } = require('./backfill');
+const { importElementSummaries, parseElementSummaryArgs } = require('./elementSummary');
+const { runDaemon } = require('./daemon');
+const { getStatus } = require('./status');
+const { loadConfig: loadApiConfig, runApiServer } = require('./api');
+const { runReconcile, runRepairs } = require('./reconcile');
+const { MAX_HORIZON, loadConfig: loadProjectionConfig, updateProjections } = require('./projections');
+const { recordRun } = require('./runs');
+const { isJsonLogging, installJsonLogging } = require('./logger');
+
+const EXIT_CODES = {
+    ok: 0,
+    // Unexpected error: FPL API, database, ...
+    failed: 1,
+    // Unknown command or invalid options
+    usage: 2,
+    // FPL data failed validation, nothing was written
+    invalid: 3,
+    // init-db or verify found missing migrations or columns
+    schema: 4,
+    // reconcile found mismatches
+    mismatch: 5
+};
+
+const USAGE = `Usage: fplgenie <command> [options]
+
+Commands:
+  status [--json]            Current gameweek, live fixtures and the last sync
+  sync                       Sync the current gameweek if a game is live, otherwise refresh
+                             market data and finalize finished gameweeks
+    --force                  Sync the current gameweek without the live check
+    --only=STEPS             Only these steps: ${SYNC_STEPS.join(', ')}
+    --dry-run                Run every write, then roll back
+  backfill                   Store past gameweeks
+    --from N --to N          Gameweek range (default: every finished gameweek)
+    --delay-ms N --restart --dry-run
+  import-summaries           Import player history and fixtures from /element-summary/
+    --force --players 1,2,3 --max-age-hours N --concurrency N --interval-ms N --dry-run
+  project                    Project expected points for the next gameweeks
+    --gameweeks N --dry-run
+  verify                     Check migrations and schema without changing anything
+  reconcile                  Check the stored data for consistency and against the FPL API
+    --offline                Database checks only
+    --queue                  Add the affected entities to the repair queue
+  repair [--dry-run]         Re-sync the entities in the repair queue
+  init-db [--dry-run]        Apply pending migrations and check the schema
+  daemon                     Sync on a kickoff-aware schedule until SIGTERM
+  serve                      Serve the read-only HTTP API until SIGTERM
+    --port N --host HOST
+
+Exit codes: 0 success, 1 error, 2 usage error, 3 FPL data failed validation,
+            4 database schema out of date, 5 reconcile found mismatches`;
+
+function parseOptions(args, options) {
+    return parseArgs({ args, options }).values;
+}
+
+function parseSyncArgs(args) {
+    const values = parseOptions(args, {
+        force: { type: 'boolean', default: false },
+        only: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false }
+    });
+
+    let only = null;
+    if (values.only !== undefined) {
+        only = values.only.split(',').map(step => step.trim()).filter(step => step !== '');
+        const unknown = only.filter(step => !SYNC_STEPS.includes(step));
+        if (only.length === 0 || unknown.length > 0) {
+            throw new Error(`--only must list steps from ${SYNC_STEPS.join(', ')}, got "${values.only}"`);
+        }
+    }
+
+    return { force: values.force, only, dryRun: values['dry-run'] };
+}
+
+function parseProjectArgs(args) {
+    const values = parseOptions(args, {
+        gameweeks: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false }
+    });
+
+    let horizon = loadProjectionConfig().horizon;
+    if (values.gameweeks !== undefined) {
+        horizon = Number(values.gameweeks);
+        if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON) {
+            throw new Error(`--gameweeks must be an integer from 1 to ${MAX_HORIZON}, got "${values.gameweeks}"`);
+        }
+    }
+
+    return { horizon, dryRun: values['dry-run'] };
+}
+
+function parseServeArgs(args) {
+    const values = parseOptions(args, {
+        port: { type: 'string' },
+        host: { type: 'string' }
+    });
+
+    const config = loadApiConfig();
+    if (values.port !== undefined) {
+        config.port = Number(values.port);
+        if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+            throw new Error(`--port must be a port number, got "${values.port}"`);
+        }
+    }
+    if (values.host !== undefined) {
+        config.host = values.host;
+    }
+
+    return config;
+}
+
+function exitCodeForOutcome(outcome) {
+    return outcome === 'invalid' ? EXIT_CODES.invalid : EXIT_CODES.ok;
+}
+
+function syncRun(client, options) {
+    return recordRun({ command: 'sync', options }, () => runUpdate(client, options));
+}
+
+// One sync, or every capture in FPL_REPLAY_DIR in order without network access.
+// Each run is recorded in update_runs.
+async function sync(options) {
+    console.log('*** Update script started at:', new Date().toISOString());
+
+    const replayPath = process.env.FPL_REPLAY_DIR;
+    if (!replayPath) {
+        return exitCodeForOutcome(await syncRun(createFplClient(), options));
+    }
+
+    const captures = listCaptures(replayPath);
+    if (captures.length === 0) {
+        throw new Error(`No captures found in ${replayPath}`);
+    }
+
+    for (const captureDir of captures) {
+        console.log(`*** Replaying capture ${captureDir}`);
+        const outcome = await syncRun(createFplClient({ replayDir: captureDir }), options);
+        if (outcome === 'invalid') {
+            return EXIT_CODES.invalid;
+        }
+    }
+
+    return EXIT_CODES.ok;
+}
+
+function printStatus(status) {
+    console.log(`Database: ${status.dialect}`);
+
+    const gameweek = status.currentGameweek;
+    if (gameweek) {
+        console.log(`Current gameweek: ${gameweek.id} (${gameweek.status}, ${gameweek.finishedFixtures} fixture(s) finished)`);
+    } else {
+        console.log('Current gameweek: none');
+    }
+
+    console.log(`Live fixtures: ${status.liveFixtures.length}`);
+    for (const fixture of status.liveFixtures) {
+        console.log(`  ${fixture.label} (${fixture.minutes}')`);
+    }
+
+    if (status.lastSync) {
+        console.log(`Last sync: ${status.lastSync.at.toISOString()} (gameweek ${status.lastSync.gameweek})`);
+        if (status.lastSync.rowCounts) {
+            console.log(`  Row counts: ${JSON.stringify(status.lastSync.rowCounts)}`);
+        }
+    } else {
+        console.log('Last sync: never');
+    }
+
+    if (status.finalized) {
+        console.log(`Finalized: ${status.finalized.status}, ${status.finalized.finishedFixtures} fixture(s)`);
+    }
+}
+
+const COMMANDS = {
+    status: {
+        parse: args => parseOptions(args, { json: { type: 'boolean', default: false } }),
+        async run({ json }) {
+            const status = await getStatus(createFplClient());
+            if (json) {
+                console.log(JSON.stringify(status, null, 2));
+            } else {
+                printStatus(status);
+            }
+            return EXIT_CODES.ok;
+        }
+    },
+    sync: {
+        parse: parseSyncArgs,
+        run: sync
+    },
+    backfill: {
+        parse: parseBackfillArgs,
+        async run(options) {
+            const count = await runBackfill(createFplClient(), options);
+            if (!options.dryRun) {
+                console.log(`Backfill completed: ${count} gameweek(s)`);
+            }
+            return EXIT_CODES.ok;
+        }
+    },
+    'import-summaries': {
+        parse: args => parseElementSummaryArgs(args),
+        async run(options) {
+            const { refreshed, failed } = await importElementSummaries(createFplClient(), options);
+            if (!options.dryRun) {
+                console.log(`Element summary import completed: ${refreshed} refreshed, ${failed} failed`);
+            }
+            return failed > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+        }
+    },
+    project: {
+        parse: parseProjectArgs,
+        async run(options) {
+            await updateProjections(options);
+            return EXIT_CODES.ok;
+        }
+    },
+    verify: {
+        parse: args => parseOptions(args, {}),
+        async run() {
+            const { pending, problems } = await verifyDatabase();
+            return pending.length > 0 || problems.length > 0 ? EXIT_CODES.schema : EXIT_CODES.ok;
+        }
+    },
+    reconcile: {
+        parse: args => parseOptions(args, {
+            offline: { type: 'boolean', default: false },
+            queue: { type: 'boolean', default: false }
+        }),
+        async run(options) {
+            const report = await runReconcile(createFplClient(), options);
+            if (report.mismatches.length > 0) {
+                return EXIT_CODES.mismatch;
+            }
+            return report.invalid ? EXIT_CODES.invalid : EXIT_CODES.ok;
+        }
+    },
+    repair: {
+        parse: args => parseOptions(args, { 'dry-run': { type: 'boolean', default: false } }),
+        async run(values) {
+            await runRepairs(createFplClient(), { dryRun: values['dry-run'] });
+            return EXIT_CODES.ok;
+        }
+    },
+    'init-db': {
+        parse: args => parseOptions(args, { 'dry-run': { type: 'boolean', default: false } }),
+        async run(values) {
+            const { problems } = await initDatabase({ dryRun: values['dry-run'] });
+            return problems.length > 0 ? EXIT_CODES.schema : EXIT_CODES.ok;
+        }
+    },
+    daemon: {
+        parse: args => parseOptions(args, {}),
+        async run() {
+            await runDaemon();
+            return EXIT_CODES.ok;
+        }
+    },
+    serve: {
+        parse: parseServeArgs,
+        async run(config) {
+            await runApiServer(config);
+            return EXIT_CODES.ok;
+        }
+    }
+};
+
+// Run a command line (without "node cli.js") and return the exit code
+async function run(argv) {
+    const [name, ...args] = argv;
+
+    if (!name) {
+        console.error(USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    if (name === 'help' || name === '--help' || name === '-h') {
+        console.log(USAGE);
+        return EXIT_CODES.ok;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Unknown command: ${name}\n\n${USAGE}`);
+        return EXIT_CODES.usage;
+    }
+
+    let options;
+    try {
+        options = command.parse(args);
+    } catch (error) {
+        console.error(`${name}: ${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.usage;
+    }
+
+    try {
+        return await command.run(options);
+    } catch (error) {
+        console.error(`${name} failed:`, error);
+        return EXIT_CODES.failed;
+    }
+}
+
+if (require.main === module) {
+    if (isJsonLogging()) {
+        installJsonLogging();
+    }
+    run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    run
+};
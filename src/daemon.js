@@ -0,0 +1,110 @@
+const { createFplClient } = require('./fplClient');
+const { runUpdate } = require('./updateScript');
+const { recordRun } = require('./runs');
+
+function loadConfig(env = process.env) {
+    return {
+        // Poll interval while fixtures are live (or should have kicked off)
+        liveIntervalMs: (Number(env.DAEMON_LIVE_INTERVAL_SECONDS) || 60) * 1000,
+        // Longest sleep between runs when nothing is live; market data is refreshed at least this often
+        idleIntervalMs: (Number(env.DAEMON_IDLE_INTERVAL_SECONDS) || 3600) * 1000,
+        // How long before a kickoff to start polling again
+        kickoffLeadMs: (Number(env.DAEMON_KICKOFF_LEAD_SECONDS) || 120) * 1000
+    };
+}
+
+// Milliseconds to wait before the next run. While a run found live games, or a known fixture is
+// in progress (even when the run itself failed), the fast interval is used; afterwards the delay
+// doubles on every run up to the idle interval, but never sleeps past the next kickoff minus
+// the lead time. A fixture past its kickoff that FPL has not marked as started yet is polled
+// at the fast interval.
+function nextDelay({ fixtures, outcome, previousDelay, now = Date.now() }, config) {
+    if (outcome === 'updated') {
+        return config.liveIntervalMs;
+    }
+
+    const inProgress = (fixtures || []).some(fixture => fixture.started && !fixture.finished_provisional && !fixture.finished);
+    if (inProgress) {
+        return config.liveIntervalMs;
+    }
+
+    const pending = (fixtures || [])
+        .filter(fixture => fixture.kickoff_time && !fixture.started && !fixture.finished)
+        .map(fixture => Date.parse(fixture.kickoff_time));
+
+    if (pending.some(kickoff => kickoff <= now)) {
+        return config.liveIntervalMs;
+    }
+
+    const backoff = Math.min(Math.max(previousDelay || 0, config.liveIntervalMs) * 2, config.idleIntervalMs);
+    const nextKickoff = pending.length ? Math.min(...pending) : null;
+    if (nextKickoff === null) {
+        return backoff;
+    }
+
+    return Math.max(config.liveIntervalMs, Math.min(backoff, nextKickoff - config.kickoffLeadMs - now));
+}
+
+// Run updates in one long-lived process until SIGTERM or SIGINT.
+// A signal during a sync lets it finish (and commit) before exiting; a signal while sleeping exits at once.
+async function runDaemon(config = loadConfig()) {
+    const client = createFplClient();
+    let stopping = false;
+    let wake = null;
+
+    const stop = (signal) => {
+        console.log(`${signal} received, stopping after the current run...`);
+        stopping = true;
+        if (wake) {
+            wake();
+        }
+    };
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    process.on('SIGINT', () => stop('SIGINT'));
+
+    console.log(`*** Daemon started at: ${new Date().toISOString()}`);
+
+    let delay = 0;
+    // Fixtures as last fetched, kept across failed runs so a failure during a match keeps the fast interval
+    let fixtures = null;
+    while (!stopping) {
+        client.newRun();
+        console.log(`*** Update run started at: ${new Date().toISOString()}`);
+
+        let outcome = 'failed';
+        try {
+            outcome = await recordRun({ command: 'daemon' }, () => runUpdate(client));
+        } catch (error) {
+            console.error('Error in update run:', error);
+        }
+
+        try {
+            // Usually already fetched by the live check, so this does not make another request
+            fixtures = await client.getFixtures();
+        } catch (error) {
+            console.error('Error fetching fixtures, scheduling from the last known fixtures:', error.message);
+        }
+
+        delay = nextDelay({ fixtures, outcome, previousDelay: delay }, config);
+        if (stopping) {
+            break;
+        }
+
+        console.log(`Run ${outcome}. Next run at ${new Date(Date.now() + delay).toISOString()}`);
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        wake = null;
+    }
+
+    console.log('*** Daemon stopped');
+}
+
+module.exports = {
+    nextDelay,
+    runDaemon
+};
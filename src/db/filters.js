@@ -0,0 +1,10 @@
+// Helpers for the where option shared by the storage adapters
+
+// An inclusive range filter, e.g. { min: 50, max: 80 }; either bound may be left out
+function isRange(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+module.exports = {
+    isRange
+};
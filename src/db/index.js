@@ -0,0 +1,41 @@
+const { createSqlServerAdapter } = require('./sqlServer');
+const { createPostgresAdapter } = require('./postgres');
+const { createSqliteAdapter } = require('./sqlite');
+const tables = require('./tables');
+
+// Storage adapters, selected with DB_CLIENT. Every adapter implements:
+//   dialect                    'mssql' | 'postgres' | 'sqlite'
+//   connect() / close()
+//   transaction(fn, options)   run fn inside one transaction, rolled back if it throws
+//                              (or always, with { rollback: true }, for dry runs)
+//   upsert(table, rows)        insert or update rows of a table from ./tables, skipping unchanged rows
+//                              (the table's ignoreChanges columns are not compared);
+//                              returns the number of rows inserted or updated
+//   select(table, options)     read rows; options: where ({ column: value | [values] | { min, max } }), orderBy ([[column, 'asc' | 'desc']]), limit, offset
+//   count(table, { where })    number of matching rows
+//   deleteWhere(table, where)  delete matching rows, returns the row count
+//   deleteKeys(table, keys)    delete the rows with these keys ([{ key column: value }]) in one batch,
+//                              returns the row count
+//   executeScript(sql)         run a schema script (migrations)
+//   getColumns(name)           column names of a table in the live schema
+//   tableExists(name)
+const ADAPTERS = {
+    mssql: createSqlServerAdapter,
+    postgres: createPostgresAdapter,
+    sqlite: createSqliteAdapter
+};
+
+function createDatabase(client = process.env.DB_CLIENT || 'mssql') {
+    const createAdapter = ADAPTERS[client];
+
+    if (!createAdapter) {
+        throw new Error(`Unknown DB_CLIENT "${client}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    return createAdapter();
+}
+
+module.exports = {
+    createDatabase,
+    tables
+};
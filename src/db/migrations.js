@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const tables = require('./tables');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations');
+
+// Table recording which migrations have been applied, created before any migration runs
+const MIGRATIONS_TABLE_DDL = {
+    mssql: `
+        IF OBJECT_ID('dbo.schema_migrations', 'U') IS NULL
+        CREATE TABLE dbo.schema_migrations (
+            version INT PRIMARY KEY,
+            name NVARCHAR(200) NOT NULL,
+            applied_at DATETIME2,
+            last_updated DATETIME2 DEFAULT GETUTCDATE()
+        );
+    `,
+    postgres: `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            applied_at TIMESTAMP,
+            last_updated TIMESTAMP DEFAULT (now() AT TIME ZONE 'utc')
+        );
+    `,
+    sqlite: `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT,
+            last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+    `
+};
+
+// Tables whose columns are checked against ./tables after migrating
+const CHECKED_TABLES = [
+    tables.teams,
+    tables.elementTypes,
+    tables.players,
+    tables.events,
+    tables.fixtures,
+    tables.fixtureStats,
+    tables.playerGameweekStats,
+    tables.playerMarketSnapshots,
+    tables.playerFixturePoints,
+    tables.playerEvents,
+    tables.webhookDeliveries,
+    tables.managerPicks,
+    tables.managerGameweeks,
+    tables.leagues,
+    tables.leagueStandings,
+    tables.playerSeasonHistory,
+    tables.playerMatchHistory,
+    tables.playerUpcomingFixtures,
+    tables.playerSummaryRefreshes,
+    tables.playerProjections,
+    tables.updateRuns,
+    tables.repairQueue,
+    tables.metadata
+];
+
+// Migration files for a dialect, named NNN_description.sql, in version order
+function listMigrations(dialect) {
+    const dir = path.join(MIGRATIONS_DIR, dialect);
+
+    return fs.readdirSync(dir)
+        .map(file => file.match(/^(\d+)_(.+)\.sql$/))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: Number(version), name, file: path.join(dir, file) }))
+        .sort((a, b) => a.version - b.version);
+}
+
+// Migrations not yet recorded in schema_migrations (all of them on an empty database)
+async function getPendingMigrations(db) {
+    if (!await db.tableExists(tables.schemaMigrations.name)) {
+        return listMigrations(db.dialect);
+    }
+
+    const applied = new Set((await db.select(tables.schemaMigrations)).map(row => row.version));
+    return listMigrations(db.dialect).filter(migration => !applied.has(migration.version));
+}
+
+// Apply every migration that has not been recorded yet, each in its own transaction
+async function migrate(db) {
+    await db.executeScript(MIGRATIONS_TABLE_DDL[db.dialect]);
+
+    const pending = await getPendingMigrations(db);
+
+    if (pending.length === 0) {
+        console.log('Database schema is up to date');
+    }
+
+    for (const migration of pending) {
+        console.log(`Applying migration ${migration.version}: ${migration.name}...`);
+
+        await db.transaction(async () => {
+            await db.executeScript(fs.readFileSync(migration.file, 'utf8'));
+            await db.upsert(tables.schemaMigrations, [
+                { version: migration.version, name: migration.name, applied_at: new Date() }
+            ]);
+        });
+    }
+
+    return pending;
+}
+
+// Compare the live schema with the expected columns; returns the tables with missing columns
+async function checkSchema(db) {
+    const problems = [];
+
+    for (const table of CHECKED_TABLES) {
+        const expected = [...Object.keys(table.columns), 'last_updated'];
+        const actual = new Set(await db.getColumns(table.name));
+        const missing = expected.filter(column => !actual.has(column));
+
+        if (missing.length > 0) {
+            problems.push({ table: table.name, missing });
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    listMigrations,
+    getPendingMigrations,
+    migrate,
+    checkSchema
+};
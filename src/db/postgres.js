@@ -0,0 +1,188 @@
+const { recordRows } = require('../metrics');
+const { isRange } = require('./filters');
+
+// jsonb_to_recordset column types for each table column type
+const RECORDSET_TYPES = {
+    int: 'integer',
+    decimal: 'numeric(10,2)',
+    string: 'text',
+    bit: 'boolean',
+    datetime: 'timestamp'
+};
+
+function loadConfig() {
+    // Without DATABASE_URL the pg driver falls back to the standard PG* environment variables
+    return {
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.PGSSL === 'true' ? { rejectUnauthorized: false } : undefined,
+        connectionTimeoutMillis: 30000,
+        statement_timeout: 60000
+    };
+}
+
+// Build a WHERE clause from { column: value | [values] | { min, max } } with $n placeholders
+function buildWhere(where = {}) {
+    const clauses = [];
+    const values = [];
+
+    for (const [column, value] of Object.entries(where)) {
+        if (isRange(value)) {
+            for (const [bound, operator] of [['min', '>='], ['max', '<=']]) {
+                if (value[bound] !== undefined) {
+                    values.push(value[bound]);
+                    clauses.push(`"${column}" ${operator} $${values.length}`);
+                }
+            }
+            continue;
+        }
+        values.push(value);
+        clauses.push(Array.isArray(value) ? `"${column}" = ANY($${values.length})` : `"${column}" = $${values.length}`);
+    }
+
+    return {
+        sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+        values
+    };
+}
+
+// PostgreSQL storage adapter (pg, INSERT ... ON CONFLICT)
+function createPostgresAdapter(config = loadConfig()) {
+    const { Client, types } = require('pg');
+    let client = null;
+
+    // Timestamps are stored without time zone in UTC, and NUMERIC columns hold small decimals
+    types.setTypeParser(types.builtins.TIMESTAMP, value => new Date(`${value.replace(' ', 'T')}Z`));
+    types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+
+    return {
+        dialect: 'postgres',
+
+        async connect() {
+            client = new Client(config);
+            client.on('error', (err) => {
+                console.error('Connection error:', err.message);
+            });
+            await client.connect();
+            // Timestamps are stored as UTC, matching GETUTCDATE() on SQL Server
+            await client.query(`SET TIME ZONE 'UTC'`);
+        },
+
+        async close() {
+            if (client) {
+                await client.end();
+                client = null;
+            }
+        },
+
+        async transaction(fn, { rollback = false } = {}) {
+            await client.query('BEGIN');
+            try {
+                const result = await fn();
+                await client.query(rollback ? 'ROLLBACK' : 'COMMIT');
+                return result;
+            } catch (error) {
+                try {
+                    await client.query('ROLLBACK');
+                    console.error('Transaction rolled back');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError.message);
+                }
+                throw error;
+            }
+        },
+
+        // Upsert all rows into a table with a single INSERT ... ON CONFLICT statement.
+        // The rows are sent as one jsonb parameter and expanded with jsonb_to_recordset.
+        // Rows whose values are all unchanged are skipped, so last_updated only moves on a real change.
+        // xmax is 0 only for freshly inserted rows, which tells inserts from updates.
+        async upsert(table, rows) {
+            if (rows.length === 0) {
+                return 0;
+            }
+
+            const columns = Object.keys(table.columns);
+            const updateColumns = columns.filter(column => !table.key.includes(column));
+            const compareColumns = updateColumns.filter(column => !(table.ignoreChanges || []).includes(column));
+            const columnList = columns.map(column => `"${column}"`).join(', ');
+
+            const query = `
+                INSERT INTO ${table.name} AS target (${columnList})
+                SELECT ${columnList}
+                FROM jsonb_to_recordset($1::jsonb)
+                    AS source(${columns.map(column => `"${column}" ${RECORDSET_TYPES[table.columns[column]]}`).join(', ')})
+                ON CONFLICT (${table.key.map(column => `"${column}"`).join(', ')}) DO UPDATE SET
+                    ${updateColumns.map(column => `"${column}" = EXCLUDED."${column}"`).join(',\n                    ')},
+                    last_updated = now()
+                WHERE (${compareColumns.map(column => `target."${column}"`).join(', ')})
+                    IS DISTINCT FROM (${compareColumns.map(column => `EXCLUDED."${column}"`).join(', ')})
+                RETURNING (xmax = 0) AS inserted
+            `;
+
+            const result = await client.query(query, [JSON.stringify(rows)]);
+            const inserted = result.rows.filter(row => row.inserted).length;
+            recordRows(table.name, { inserted, updated: result.rowCount - inserted, unchanged: rows.length - result.rowCount });
+            return result.rowCount;
+        },
+
+        async select(table, { where, orderBy = [], limit, offset } = {}) {
+            const filter = buildWhere(where);
+            const order = orderBy.length
+                ? `ORDER BY ${orderBy.map(([column, direction = 'asc']) => `"${column}" ${direction.toUpperCase()}`).join(', ')}`
+                : '';
+            const page = limit !== undefined ? `LIMIT ${Number(limit)} OFFSET ${Number(offset) || 0}` : '';
+
+            const result = await client.query(`SELECT * FROM ${table.name} ${filter.sql} ${order} ${page}`, filter.values);
+            return result.rows;
+        },
+
+        async count(table, { where } = {}) {
+            const filter = buildWhere(where);
+            const result = await client.query(`SELECT COUNT(*)::integer AS count FROM ${table.name} ${filter.sql}`, filter.values);
+            return result.rows[0].count;
+        },
+
+        async deleteWhere(table, where) {
+            const filter = buildWhere(where);
+            const result = await client.query(`DELETE FROM ${table.name} ${filter.sql}`, filter.values);
+            recordRows(table.name, { deleted: result.rowCount });
+            return result.rowCount;
+        },
+
+        // Delete rows by key with a single DELETE ... USING over the keys sent as one jsonb parameter
+        async deleteKeys(table, keys) {
+            if (keys.length === 0) {
+                return 0;
+            }
+
+            const result = await client.query(`
+                DELETE FROM ${table.name} AS target
+                USING jsonb_to_recordset($1::jsonb)
+                    AS source(${table.key.map(column => `"${column}" ${RECORDSET_TYPES[table.columns[column]]}`).join(', ')})
+                WHERE ${table.key.map(column => `target."${column}" = source."${column}"`).join(' AND ')}
+            `, [JSON.stringify(keys)]);
+            recordRows(table.name, { deleted: result.rowCount });
+            return result.rowCount;
+        },
+
+        async executeScript(script) {
+            await client.query(script);
+        },
+
+        async getColumns(name) {
+            const result = await client.query(
+                'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+                [name]
+            );
+            return result.rows.map(row => row.name);
+        },
+
+        async tableExists(name) {
+            const result = await client.query('SELECT to_regclass($1) AS oid', [name]);
+            return result.rows[0].oid !== null;
+        }
+    };
+}
+
+module.exports = {
+    createPostgresAdapter
+};
@@ -0,0 +1,284 @@
+const sql = require('tedious');
+const { recordRows } = require('../metrics');
+const { isRange } = require('./filters');
+
+// OPENJSON column types for each table column type
+const OPENJSON_TYPES = {
+    int: 'INT',
+    decimal: 'DECIMAL(10,2)',
+    string: 'NVARCHAR(MAX)',
+    bit: 'BIT',
+    datetime: 'DATETIMEOFFSET'
+};
+
+// tedious parameter types for each table column type
+const PARAMETER_TYPES = {
+    int: { type: sql.TYPES.Int },
+    decimal: { type: sql.TYPES.Decimal, options: { precision: 10, scale: 2 } },
+    string: { type: sql.TYPES.NVarChar },
+    bit: { type: sql.TYPES.Bit },
+    datetime: { type: sql.TYPES.DateTime2 }
+};
+
+function loadConfig() {
+    return {
+        server: process.env.SQL_SERVER,
+        authentication: {
+            type: 'default',
+            options: {
+                userName: process.env.SQL_USER,
+                password: process.env.SQL_PASSWORD
+            }
+        },
+        options: {
+            database: process.env.SQL_DATABASE,
+            encrypt: process.env.SQL_ENCRYPT === 'true',
+            trustServerCertificate: false,
+            connectTimeout: 30000,
+            requestTimeout: 60000 // Increased timeout for multiple updates
+        }
+    };
+}
+
+// SQL Server storage adapter (tedious, T-SQL MERGE)
+function createSqlServerAdapter(config = loadConfig()) {
+    let connection = null;
+
+    // Run a statement and resolve with its rows and row count
+    function execSql(query, parameters = []) {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            const request = new sql.Request(query, (err, rowCount) => {
+                if (err) reject(err);
+                else resolve({ rows, rowCount });
+            });
+
+            for (const { name, type, value, options } of parameters) {
+                request.addParameter(name, type, value, options);
+            }
+
+            request.on('row', (columns) => {
+                const row = {};
+                for (const column of columns) {
+                    row[column.metadata.colName] = column.value;
+                }
+                rows.push(row);
+            });
+
+            connection.execSql(request);
+        });
+    }
+
+    // Build a WHERE clause from { column: value | [values] | { min, max } } using the table's column types
+    function buildWhere(table, where = {}) {
+        const clauses = [];
+        const parameters = [];
+
+        Object.entries(where).forEach(([column, value], index) => {
+            const { type, options } = PARAMETER_TYPES[table.columns[column]];
+            if (isRange(value)) {
+                for (const [bound, operator] of [['min', '>='], ['max', '<=']]) {
+                    if (value[bound] !== undefined) {
+                        const name = `w${index}_${bound}`;
+                        parameters.push({ name, type, value: value[bound], options });
+                        clauses.push(`[${column}] ${operator} @${name}`);
+                    }
+                }
+                return;
+            }
+            const values = Array.isArray(value) ? value : [value];
+            const names = values.map((_, i) => `w${index}_${i}`);
+
+            values.forEach((v, i) => parameters.push({ name: names[i], type, value: v, options }));
+            clauses.push(Array.isArray(value)
+                ? (values.length ? `[${column}] IN (${names.map(name => `@${name}`).join(', ')})` : '1 = 0')
+                : `[${column}] = @${names[0]}`);
+        });
+
+        return {
+            sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+            parameters
+        };
+    }
+
+    // Wrap the tedious callback API for transactions
+    function transactionStep(method) {
+        return new Promise((resolve, reject) => {
+            connection[method]((err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    return {
+        dialect: 'mssql',
+
+        connect() {
+            return new Promise((resolve, reject) => {
+                connection = new sql.Connection(config);
+
+                connection.on('connect', (err) => {
+                    if (err) {
+                        console.error('Database connection error:', err.message);
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+
+                connection.on('error', (err) => {
+                    console.error('Connection error:', err.message);
+                    reject(err);
+                });
+
+                connection.connect();
+            });
+        },
+
+        async close() {
+            if (connection) {
+                connection.close();
+                connection = null;
+            }
+        },
+
+        async transaction(fn, { rollback = false } = {}) {
+            await transactionStep('beginTransaction');
+            try {
+                const result = await fn();
+                await transactionStep(rollback ? 'rollbackTransaction' : 'commitTransaction');
+                return result;
+            } catch (error) {
+                try {
+                    await transactionStep('rollbackTransaction');
+                    console.error('Transaction rolled back');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError.message);
+                }
+                throw error;
+            }
+        },
+
+        // Upsert all rows into a table with a single MERGE statement.
+        // The rows are sent as one JSON parameter and shredded server-side with OPENJSON.
+        // Matched rows are only updated when a value differs (EXCEPT compares NULLs as equal).
+        // OUTPUT $action reports whether each written row was inserted or updated.
+        async upsert(table, rows) {
+            if (rows.length === 0) {
+                return 0;
+            }
+
+            const columns = Object.keys(table.columns);
+            const updateColumns = columns.filter(column => !table.key.includes(column));
+            const compareColumns = updateColumns.filter(column => !(table.ignoreChanges || []).includes(column));
+
+            const query = `
+                MERGE dbo.${table.name} AS target
+                USING (
+                    SELECT * FROM OPENJSON(@rows)
+                    WITH (${columns.map(column => `[${column}] ${OPENJSON_TYPES[table.columns[column]]}`).join(', ')})
+                ) AS source
+                ON ${table.key.map(column => `target.[${column}] = source.[${column}]`).join(' AND ')}
+                WHEN MATCHED AND EXISTS (
+                    SELECT ${compareColumns.map(column => `source.[${column}]`).join(', ')}
+                    EXCEPT
+                    SELECT ${compareColumns.map(column => `target.[${column}]`).join(', ')}
+                ) THEN
+                    UPDATE SET
+                        ${updateColumns.map(column => `[${column}] = source.[${column}]`).join(',\n                        ')},
+                        last_updated = GETUTCDATE()
+                WHEN NOT MATCHED THEN
+                    INSERT (${columns.map(column => `[${column}]`).join(', ')})
+                    VALUES (${columns.map(column => `source.[${column}]`).join(', ')})
+                OUTPUT $action AS merge_action;
+            `;
+
+            const { rows: actions } = await execSql(query, [
+                { name: 'rows', type: sql.TYPES.NVarChar, value: JSON.stringify(rows) }
+            ]);
+            const inserted = actions.filter(row => row.merge_action === 'INSERT').length;
+            recordRows(table.name, { inserted, updated: actions.length - inserted, unchanged: rows.length - actions.length });
+            return actions.length;
+        },
+
+        async select(table, { where, orderBy = [], limit, offset } = {}) {
+            const filter = buildWhere(table, where);
+            const order = orderBy.length
+                ? `ORDER BY ${orderBy.map(([column, direction = 'asc']) => `[${column}] ${direction.toUpperCase()}`).join(', ')}`
+                : '';
+            // OFFSET/FETCH needs an ORDER BY clause
+            const page = limit !== undefined
+                ? `${order ? '' : 'ORDER BY (SELECT NULL)'} OFFSET ${Number(offset) || 0} ROWS FETCH NEXT ${Number(limit)} ROWS ONLY`
+                : '';
+
+            const { rows } = await execSql(
+                `SELECT * FROM dbo.${table.name} ${filter.sql} ${order} ${page}`,
+                filter.parameters
+            );
+            return rows;
+        },
+
+        async count(table, { where } = {}) {
+            const filter = buildWhere(table, where);
+            const { rows } = await execSql(`SELECT COUNT(*) AS count FROM dbo.${table.name} ${filter.sql}`, filter.parameters);
+            return rows[0].count;
+        },
+
+        async deleteWhere(table, where) {
+            const filter = buildWhere(table, where);
+            const { rowCount } = await execSql(`DELETE FROM dbo.${table.name} ${filter.sql}`, filter.parameters);
+            recordRows(table.name, { deleted: rowCount });
+            return rowCount;
+        },
+
+        // Delete rows by key with a single DELETE joined to the keys sent as one JSON parameter
+        async deleteKeys(table, keys) {
+            if (keys.length === 0) {
+                return 0;
+            }
+
+            const query = `
+                DELETE target
+                FROM dbo.${table.name} AS target
+                INNER JOIN OPENJSON(@keys)
+                    WITH (${table.key.map(column => `[${column}] ${OPENJSON_TYPES[table.columns[column]]}`).join(', ')}) AS source
+                ON ${table.key.map(column => `target.[${column}] = source.[${column}]`).join(' AND ')};
+            `;
+
+            const { rowCount } = await execSql(query, [
+                { name: 'keys', type: sql.TYPES.NVarChar, value: JSON.stringify(keys) }
+            ]);
+            recordRows(table.name, { deleted: rowCount });
+            return rowCount;
+        },
+
+        // Run a multi-batch T-SQL script; batches are separated by GO lines
+        async executeScript(script) {
+            const batches = script.split(/^\s*GO\s*$/im).filter(batch => batch.trim());
+            for (const batch of batches) {
+                await execSql(batch);
+            }
+        },
+
+        async getColumns(name) {
+            const { rows } = await execSql(
+                `SELECT COLUMN_NAME AS name FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = @name`,
+                [{ name: 'name', type: sql.TYPES.NVarChar, value: name }]
+            );
+            return rows.map(row => row.name);
+        },
+
+        async tableExists(name) {
+            const { rows } = await execSql(
+                `SELECT OBJECT_ID(@name, 'U') AS object_id`,
+                [{ name: 'name', type: sql.TYPES.NVarChar, value: `dbo.${name}` }]
+            );
+            return rows[0].object_id !== null;
+        }
+    };
+}
+
+module.exports = {
+    createSqlServerAdapter
+};
@@ -0,0 +1,217 @@
+const { recordRows } = require('../metrics');
+const { isRange } = require('./filters');
+
+function loadConfig() {
+    return {
+        filename: process.env.SQLITE_PATH || 'fpl.sqlite'
+    };
+}
+
+// SQLite stores booleans as 0/1 and timestamps as ISO-8601 text
+function toSqliteValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+}
+
+// Convert a stored row back to JS values using the table's column types
+function fromSqliteRow(table, row) {
+    for (const [column, type] of Object.entries(table.columns)) {
+        if (row[column] === null || row[column] === undefined) {
+            continue;
+        }
+        if (type === 'bit') {
+            row[column] = row[column] === 1;
+        } else if (type === 'datetime') {
+            row[column] = new Date(row[column]);
+        }
+    }
+    return row;
+}
+
+// Build a WHERE clause from { column: value | [values] | { min, max } } with ? placeholders
+function buildWhere(where = {}) {
+    const clauses = [];
+    const values = [];
+
+    for (const [column, value] of Object.entries(where)) {
+        if (isRange(value)) {
+            for (const [bound, operator] of [['min', '>='], ['max', '<=']]) {
+                if (value[bound] !== undefined) {
+                    values.push(toSqliteValue(value[bound]));
+                    clauses.push(`"${column}" ${operator} ?`);
+                }
+            }
+        } else if (Array.isArray(value)) {
+            values.push(...value.map(toSqliteValue));
+            clauses.push(value.length ? `"${column}" IN (${value.map(() => '?').join(', ')})` : '1 = 0');
+        } else {
+            values.push(toSqliteValue(value));
+            clauses.push(`"${column}" = ?`);
+        }
+    }
+
+    return {
+        sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+        values
+    };
+}
+
+// SQLite storage adapter (better-sqlite3, INSERT ... ON CONFLICT)
+function createSqliteAdapter(config = loadConfig()) {
+    const Database = require('better-sqlite3');
+    let db = null;
+
+    return {
+        dialect: 'sqlite',
+
+        async connect() {
+            db = new Database(config.filename);
+            db.pragma('journal_mode = WAL');
+            db.pragma('foreign_keys = ON');
+        },
+
+        async close() {
+            if (db) {
+                db.close();
+                db = null;
+            }
+        },
+
+        async transaction(fn, { rollback = false } = {}) {
+            db.exec('BEGIN');
+            try {
+                const result = await fn();
+                db.exec(rollback ? 'ROLLBACK' : 'COMMIT');
+                return result;
+            } catch (error) {
+                try {
+                    db.exec('ROLLBACK');
+                    console.error('Transaction rolled back');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError.message);
+                }
+                throw error;
+            }
+        },
+
+        // Upsert all rows into a table with one prepared INSERT ... ON CONFLICT statement.
+        // SQLite runs in-process, so executing it per row inside one transaction is the batched path.
+        // Unchanged rows are skipped by the WHERE clause and do not count as changes.
+        async upsert(table, rows) {
+            if (rows.length === 0) {
+                return 0;
+            }
+
+            const columns = Object.keys(table.columns);
+            const updateColumns = columns.filter(column => !table.key.includes(column));
+            const compareColumns = updateColumns.filter(column => !(table.ignoreChanges || []).includes(column));
+
+            const statement = db.prepare(`
+                INSERT INTO ${table.name} (${columns.map(column => `"${column}"`).join(', ')})
+                VALUES (${columns.map(column => `@${column}`).join(', ')})
+                ON CONFLICT (${table.key.map(column => `"${column}"`).join(', ')}) DO UPDATE SET
+                    ${updateColumns.map(column => `"${column}" = excluded."${column}"`).join(',\n                    ')},
+                    last_updated = CURRENT_TIMESTAMP
+                WHERE ${compareColumns.map(column => `"${column}" IS NOT excluded."${column}"`).join(' OR ')}
+            `);
+            // Tells an insert from an update for the run metrics
+            const exists = db.prepare(`SELECT 1 FROM ${table.name} WHERE ${table.key.map(column => `"${column}" = @${column}`).join(' AND ')}`);
+
+            const upsertAll = db.transaction((batch) => {
+                const counts = { inserted: 0, updated: 0, unchanged: 0 };
+                for (const row of batch) {
+                    const values = {};
+                    for (const column of columns) {
+                        values[column] = toSqliteValue(row[column]);
+                    }
+                    const existed = exists.get(values) !== undefined;
+                    if (statement.run(values).changes === 0) {
+                        counts.unchanged++;
+                    } else if (existed) {
+                        counts.updated++;
+                    } else {
+                        counts.inserted++;
+                    }
+                }
+                return counts;
+            });
+
+            const counts = upsertAll(rows);
+            recordRows(table.name, counts);
+            return counts.inserted + counts.updated;
+        },
+
+        async select(table, { where, orderBy = [], limit, offset } = {}) {
+            const filter = buildWhere(where);
+            const order = orderBy.length
+                ? `ORDER BY ${orderBy.map(([column, direction = 'asc']) => `"${column}" ${direction.toUpperCase()}`).join(', ')}`
+                : '';
+            const page = limit !== undefined ? `LIMIT ${Number(limit)} OFFSET ${Number(offset) || 0}` : '';
+
+            return db.prepare(`SELECT * FROM ${table.name} ${filter.sql} ${order} ${page}`)
+                .all(...filter.values)
+                .map(row => fromSqliteRow(table, row));
+        },
+
+        async count(table, { where } = {}) {
+            const filter = buildWhere(where);
+            return db.prepare(`SELECT COUNT(*) AS count FROM ${table.name} ${filter.sql}`).get(...filter.values).count;
+        },
+
+        async deleteWhere(table, where) {
+            const filter = buildWhere(where);
+            const deleted = db.prepare(`DELETE FROM ${table.name} ${filter.sql}`).run(...filter.values).changes;
+            recordRows(table.name, { deleted });
+            return deleted;
+        },
+
+        // Delete rows by key with one prepared DELETE, run per key inside one transaction
+        async deleteKeys(table, keys) {
+            if (keys.length === 0) {
+                return 0;
+            }
+
+            const statement = db.prepare(`DELETE FROM ${table.name} WHERE ${table.key.map(column => `"${column}" = @${column}`).join(' AND ')}`);
+            const deleteAll = db.transaction((batch) => {
+                let deleted = 0;
+                for (const key of batch) {
+                    const values = {};
+                    for (const column of table.key) {
+                        values[column] = toSqliteValue(key[column]);
+                    }
+                    deleted += statement.run(values).changes;
+                }
+                return deleted;
+            });
+
+            const deleted = deleteAll(keys);
+            recordRows(table.name, { deleted });
+            return deleted;
+        },
+
+        async executeScript(script) {
+            db.exec(script);
+        },
+
+        async getColumns(name) {
+            return db.prepare(`SELECT name FROM pragma_table_info(?)`).all(name).map(row => row.name);
+        },
+
+        async tableExists(name) {
+            const row = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+            return row !== undefined;
+        }
+    };
+}
+
+module.exports = {
+    createSqliteAdapter
+};
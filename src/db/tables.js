@@ -0,0 +1,548 @@
+// Table definitions shared by all storage adapters.
+// Column types: int, decimal, string, bit, datetime
+// Every table also has a last_updated column maintained by the adapters.
+// ignoreChanges lists columns that are written with a changed row but do not by themselves
+// make a row changed, such as the time a derived row was computed.
+
+const teams = {
+    name: 'teams',
+    key: ['id'],
+    columns: {
+        id: 'int',
+        name: 'string',
+        short_name: 'string',
+        code: 'int',
+        position: 'int',
+        strength: 'int',
+        strength_overall_home: 'int',
+        strength_overall_away: 'int',
+        strength_attack_home: 'int',
+        strength_attack_away: 'int',
+        strength_defence_home: 'int',
+        strength_defence_away: 'int',
+        pulse_id: 'int'
+    }
+};
+
+const elementTypes = {
+    name: 'element_types',
+    key: ['id'],
+    columns: {
+        id: 'int',
+        plural_name: 'string',
+        plural_name_short: 'string',
+        singular_name: 'string',
+        singular_name_short: 'string',
+        squad_select: 'int',
+        squad_min_play: 'int',
+        squad_max_play: 'int'
+    }
+};
+
+const events = {
+    name: 'events',
+    key: ['id'],
+    columns: {
+        id: 'int',
+        name: 'string',
+        deadline_time: 'datetime',
+        average_entry_score: 'int',
+        finished: 'bit',
+        data_checked: 'bit',
+        highest_scoring_entry: 'int',
+        highest_score: 'int',
+        is_previous: 'bit',
+        is_current: 'bit',
+        is_next: 'bit',
+        most_selected: 'int',
+        most_transferred_in: 'int',
+        top_element: 'int',
+        transfers_made: 'int',
+        most_captained: 'int',
+        most_vice_captained: 'int'
+    }
+};
+
+const fixtures = {
+    name: 'fixtures',
+    key: ['id'],
+    columns: {
+        id: 'int',
+        code: 'int',
+        event: 'int',
+        finished: 'bit',
+        finished_provisional: 'bit',
+        kickoff_time: 'datetime',
+        minutes: 'int',
+        started: 'bit',
+        team_a: 'int',
+        team_h: 'int',
+        team_a_score: 'int',
+        team_h_score: 'int',
+        team_a_difficulty: 'int',
+        team_h_difficulty: 'int',
+        stats: 'string', // JSON array of match stats
+        pulse_id: 'int'
+    }
+};
+
+const fixtureStats = {
+    name: 'fixture_stats',
+    key: ['fixture_id', 'player_id', 'identifier'],
+    columns: {
+        fixture_id: 'int',
+        player_id: 'int',
+        identifier: 'string',
+        side: 'string',
+        value: 'int'
+    }
+};
+
+const players = {
+    name: 'players',
+    key: ['id'],
+    columns: {
+        id: 'int',
+        web_name: 'string',
+        first_name: 'string',
+        second_name: 'string',
+        team: 'int',
+        element_type: 'int',
+        code: 'int',
+        now_cost: 'int',
+        cost_change_event: 'int',
+        cost_change_start: 'int',
+        transfers_in_event: 'int',
+        transfers_out_event: 'int',
+        total_points: 'int',
+        form: 'decimal',
+        points_per_game: 'decimal',
+        selected_by_percent: 'decimal',
+
+        // Availability
+        status: 'string',
+        news: 'string',
+        news_added: 'datetime',
+        chance_of_playing_next_round: 'int',
+        chance_of_playing_this_round: 'int',
+
+        // Season totals
+        event_points: 'int',
+        minutes: 'int',
+        goals_scored: 'int',
+        assists: 'int',
+        clean_sheets: 'int',
+        goals_conceded: 'int',
+        own_goals: 'int',
+        penalties_saved: 'int',
+        penalties_missed: 'int',
+        yellow_cards: 'int',
+        red_cards: 'int',
+        saves: 'int',
+        bonus: 'int',
+        bps: 'int',
+        starts: 'int',
+        expected_goals: 'decimal',
+        expected_assists: 'decimal',
+        expected_goal_involvements: 'decimal',
+        expected_goals_conceded: 'decimal',
+        influence: 'decimal',
+        creativity: 'decimal',
+        threat: 'decimal',
+        ict_index: 'decimal',
+
+        // Ranks
+        influence_rank: 'int',
+        influence_rank_type: 'int',
+        creativity_rank: 'int',
+        creativity_rank_type: 'int',
+        threat_rank: 'int',
+        threat_rank_type: 'int',
+        ict_index_rank: 'int',
+        ict_index_rank_type: 'int',
+
+        // Set pieces
+        corners_and_indirect_freekicks_order: 'int',
+        corners_and_indirect_freekicks_text: 'string',
+        direct_freekicks_order: 'int',
+        direct_freekicks_text: 'string',
+        penalties_order: 'int',
+        penalties_text: 'string',
+
+        // Additional
+        in_dreamteam: 'bit',
+        dreamteam_count: 'int',
+        special: 'bit',
+        photo: 'string'
+    }
+};
+
+const playerMarketSnapshots = {
+    name: 'player_market_snapshots',
+    key: ['player_id', 'captured_at'],
+    columns: {
+        player_id: 'int',
+        captured_at: 'datetime',
+        event: 'int',
+        now_cost: 'int',
+        selected_by_percent: 'decimal',
+        transfers_in_event: 'int',
+        transfers_out_event: 'int'
+    }
+};
+
+const playerGameweekStats = {
+    name: 'player_gameweek_stats',
+    key: ['player_id', 'event'],
+    columns: {
+        player_id: 'int',
+        event: 'int',
+        total_points: 'int',
+        minutes: 'int',
+        goals_scored: 'int',
+        assists: 'int',
+        clean_sheets: 'int',
+        goals_conceded: 'int',
+        own_goals: 'int',
+        penalties_saved: 'int',
+        penalties_missed: 'int',
+        yellow_cards: 'int',
+        red_cards: 'int',
+        saves: 'int',
+        bonus: 'int',
+        bps: 'int',
+        starts: 'int',
+        expected_goals: 'decimal',
+        expected_assists: 'decimal',
+        expected_goal_involvements: 'decimal',
+        expected_goals_conceded: 'decimal',
+        influence: 'decimal',
+        creativity: 'decimal',
+        threat: 'decimal',
+        ict_index: 'decimal',
+        in_dreamteam: 'bit'
+    }
+};
+
+const playerFixturePoints = {
+    name: 'player_fixture_points',
+    key: ['player_id', 'fixture_id'],
+    columns: {
+        player_id: 'int',
+        fixture_id: 'int',
+        event: 'int',
+        minutes: 'int',
+        bps: 'int',
+        base_points: 'int',
+        provisional_bonus: 'int',
+        bonus: 'int',
+        bonus_confirmed: 'bit',
+        total_points: 'int'
+    }
+};
+
+const playerEvents = {
+    name: 'player_events',
+    key: ['detected_at', 'player_id', 'fixture_id', 'event_type'],
+    columns: {
+        detected_at: 'datetime',
+        player_id: 'int',
+        fixture_id: 'int',
+        event_type: 'string',
+        event: 'int',
+        old_value: 'int',
+        new_value: 'int',
+        description: 'string'
+    }
+};
+
+const webhookDeliveries = {
+    name: 'webhook_deliveries',
+    key: ['webhook_id', 'event_key'],
+    columns: {
+        webhook_id: 'string',
+        event_key: 'string',
+        event: 'int',
+        status: 'string',
+        last_error: 'string',
+        delivered_at: 'datetime',
+        payload: 'string',
+        attempts: 'int'
+    }
+};
+
+const managerPicks = {
+    name: 'manager_picks',
+    key: ['entry_id', 'event', 'position'],
+    columns: {
+        entry_id: 'int',
+        event: 'int',
+        position: 'int',
+        player_id: 'int',
+        element_type: 'int',
+        is_captain: 'bit',
+        is_vice_captain: 'bit',
+        multiplier: 'int',
+        minutes: 'int',
+        points: 'int',
+        auto_sub_in: 'bit',
+        auto_sub_out: 'bit'
+    }
+};
+
+const managerGameweeks = {
+    name: 'manager_gameweeks',
+    key: ['entry_id', 'event'],
+    columns: {
+        entry_id: 'int',
+        event: 'int',
+        active_chip: 'string',
+        captain_id: 'int',
+        live_points: 'int',
+        transfer_cost: 'int',
+        net_points: 'int',
+        bench_points: 'int',
+        auto_subs: 'int',
+        fpl_points: 'int',
+        previous_total: 'int',
+        live_total: 'int'
+    }
+};
+
+const leagues = {
+    name: 'leagues',
+    key: ['id'],
+    columns: {
+        id: 'int',
+        name: 'string',
+        member_count: 'int'
+    }
+};
+
+const leagueStandings = {
+    name: 'league_standings',
+    key: ['league_id', 'entry_id'],
+    columns: {
+        league_id: 'int',
+        entry_id: 'int',
+        event: 'int',
+        entry_name: 'string',
+        player_name: 'string',
+        official_rank: 'int',
+        last_rank: 'int',
+        official_total: 'int',
+        previous_total: 'int',
+        live_points: 'int',
+        live_total: 'int',
+        live_rank: 'int',
+        rank_change: 'int'
+    }
+};
+
+const playerSeasonHistory = {
+    name: 'player_season_history',
+    key: ['element_code', 'season_name'],
+    columns: {
+        element_code: 'int',
+        season_name: 'string',
+        player_id: 'int',
+        start_cost: 'int',
+        end_cost: 'int',
+        total_points: 'int',
+        minutes: 'int',
+        goals_scored: 'int',
+        assists: 'int',
+        clean_sheets: 'int',
+        goals_conceded: 'int',
+        own_goals: 'int',
+        penalties_saved: 'int',
+        penalties_missed: 'int',
+        yellow_cards: 'int',
+        red_cards: 'int',
+        saves: 'int',
+        bonus: 'int',
+        bps: 'int',
+        starts: 'int',
+        influence: 'decimal',
+        creativity: 'decimal',
+        threat: 'decimal',
+        ict_index: 'decimal',
+        expected_goals: 'decimal',
+        expected_assists: 'decimal',
+        expected_goal_involvements: 'decimal',
+        expected_goals_conceded: 'decimal'
+    }
+};
+
+const playerMatchHistory = {
+    name: 'player_match_history',
+    key: ['player_id', 'fixture_id'],
+    columns: {
+        player_id: 'int',
+        fixture_id: 'int',
+        event: 'int',
+        opponent_team: 'int',
+        was_home: 'bit',
+        kickoff_time: 'datetime',
+        team_h_score: 'int',
+        team_a_score: 'int',
+        total_points: 'int',
+        minutes: 'int',
+        goals_scored: 'int',
+        assists: 'int',
+        clean_sheets: 'int',
+        goals_conceded: 'int',
+        own_goals: 'int',
+        penalties_saved: 'int',
+        penalties_missed: 'int',
+        yellow_cards: 'int',
+        red_cards: 'int',
+        saves: 'int',
+        bonus: 'int',
+        bps: 'int',
+        starts: 'int',
+        influence: 'decimal',
+        creativity: 'decimal',
+        threat: 'decimal',
+        ict_index: 'decimal',
+        expected_goals: 'decimal',
+        expected_assists: 'decimal',
+        expected_goal_involvements: 'decimal',
+        expected_goals_conceded: 'decimal',
+        value: 'int',
+        selected: 'int',
+        transfers_in: 'int',
+        transfers_out: 'int',
+        transfers_balance: 'int'
+    }
+};
+
+const playerUpcomingFixtures = {
+    name: 'player_upcoming_fixtures',
+    key: ['player_id', 'fixture_id'],
+    columns: {
+        player_id: 'int',
+        fixture_id: 'int',
+        event: 'int',
+        kickoff_time: 'datetime',
+        is_home: 'bit',
+        opponent_team: 'int',
+        difficulty: 'int'
+    }
+};
+
+const playerSummaryRefreshes = {
+    name: 'player_summary_refreshes',
+    key: ['player_id'],
+    columns: {
+        player_id: 'int',
+        refreshed_at: 'datetime',
+        history_count: 'int',
+        history_past_count: 'int',
+        fixtures_count: 'int'
+    }
+};
+
+const playerProjections = {
+    name: 'player_projections',
+    key: ['player_id', 'event'],
+    columns: {
+        player_id: 'int',
+        event: 'int',
+        fixture_count: 'int',
+        play_probability: 'decimal',
+        expected_minutes: 'decimal',
+        expected_goals: 'decimal',
+        expected_assists: 'decimal',
+        expected_clean_sheets: 'decimal',
+        expected_points: 'decimal',
+        projected_at: 'datetime'
+    },
+    // Recomputed on every run; only a changed projection is rewritten
+    ignoreChanges: ['projected_at']
+};
+
+const updateRuns = {
+    name: 'update_runs',
+    key: ['run_id'],
+    columns: {
+        run_id: 'string',
+        command: 'string',
+        options: 'string',
+        started_at: 'datetime',
+        finished_at: 'datetime',
+        duration_ms: 'int',
+        gameweek: 'int',
+        live: 'bit',
+        outcome: 'string',
+        result: 'string',
+        api_calls: 'string',
+        step_timings: 'string',
+        table_rows: 'string',
+        error: 'string'
+    }
+};
+
+const repairQueue = {
+    name: 'repair_queue',
+    key: ['entity', 'entity_id'],
+    columns: {
+        entity: 'string',
+        entity_id: 'int',
+        gameweek: 'int',
+        checks: 'string',
+        details: 'string',
+        queued_at: 'datetime',
+        attempts: 'int',
+        last_error: 'string',
+        resolved_at: 'datetime'
+    }
+};
+
+const metadata = {
+    name: 'metadata',
+    key: ['key_name'],
+    columns: {
+        key_name: 'string',
+        value_text: 'string',
+        value_int: 'int',
+        value_datetime: 'datetime'
+    }
+};
+
+const schemaMigrations = {
+    name: 'schema_migrations',
+    key: ['version'],
+    columns: {
+        version: 'int',
+        name: 'string',
+        applied_at: 'datetime'
+    }
+};
+
+module.exports = {
+    teams,
+    elementTypes,
+    events,
+    fixtures,
+    fixtureStats,
+    players,
+    playerMarketSnapshots,
+    playerGameweekStats,
+    playerFixturePoints,
+    playerEvents,
+    webhookDeliveries,
+    managerPicks,
+    managerGameweeks,
+    leagues,
+    leagueStandings,
+    playerSeasonHistory,
+    playerMatchHistory,
+    playerUpcomingFixtures,
+    playerSummaryRefreshes,
+    playerProjections,
+    updateRuns,
+    repairQueue,
+    metadata,
+    schemaMigrations
+};
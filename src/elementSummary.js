@@ -0,0 +1,274 @@
+const { parseArgs } = require('util');
+const { createDatabase, tables } = require('./db');
+const { sleep } = require('./retry');
+const { parseIdList } = require('./managers');
+const { checkPayload, toDecimal } = require('./schemas');
+
+// Players fetched and written per transaction; an interrupted import keeps the chunks already written
+const CHUNK_SIZE = 50;
+
+// Season and match stats shared by history and history_past; a stat FPL did not send is stored as NULL
+function statValues(source) {
+    return {
+        total_points: source.total_points ?? null,
+        minutes: source.minutes ?? null,
+        goals_scored: source.goals_scored ?? null,
+        assists: source.assists ?? null,
+        clean_sheets: source.clean_sheets ?? null,
+        goals_conceded: source.goals_conceded ?? null,
+        own_goals: source.own_goals ?? null,
+        penalties_saved: source.penalties_saved ?? null,
+        penalties_missed: source.penalties_missed ?? null,
+        yellow_cards: source.yellow_cards ?? null,
+        red_cards: source.red_cards ?? null,
+        saves: source.saves ?? null,
+        bonus: source.bonus ?? null,
+        bps: source.bps ?? null,
+        starts: source.starts ?? null,
+        influence: toDecimal(source.influence),
+        creativity: toDecimal(source.creativity),
+        threat: toDecimal(source.threat),
+        ict_index: toDecimal(source.ict_index),
+        expected_goals: toDecimal(source.expected_goals),
+        expected_assists: toDecimal(source.expected_assists),
+        expected_goal_involvements: toDecimal(source.expected_goal_involvements),
+        expected_goals_conceded: toDecimal(source.expected_goals_conceded)
+    };
+}
+
+// Rows for the three element-summary tables from one /element-summary/{id}/ response
+function mapElementSummary(player, summary) {
+    const seasons = (summary.history_past || []).map(season => ({
+        element_code: season.element_code,
+        season_name: season.season_name,
+        player_id: player.id,
+        start_cost: season.start_cost,
+        end_cost: season.end_cost,
+        ...statValues(season)
+    }));
+
+    const matches = (summary.history || []).map(match => ({
+        player_id: player.id,
+        fixture_id: match.fixture,
+        event: match.round,
+        opponent_team: match.opponent_team,
+        was_home: match.was_home,
+        kickoff_time: match.kickoff_time ? new Date(match.kickoff_time) : null,
+        team_h_score: match.team_h_score,
+        team_a_score: match.team_a_score,
+        ...statValues(match),
+        value: match.value,
+        selected: match.selected,
+        transfers_in: match.transfers_in,
+        transfers_out: match.transfers_out,
+        transfers_balance: match.transfers_balance
+    }));
+
+    const upcoming = (summary.fixtures || []).map(fixture => ({
+        player_id: player.id,
+        fixture_id: fixture.id,
+        event: fixture.event,
+        kickoff_time: fixture.kickoff_time ? new Date(fixture.kickoff_time) : null,
+        is_home: fixture.is_home,
+        opponent_team: fixture.is_home ? fixture.team_a : fixture.team_h,
+        difficulty: fixture.difficulty
+    }));
+
+    return { seasons, matches, upcoming };
+}
+
+// Players whose summary needs fetching: never imported, imported more than maxAgeMs ago,
+// or imported before the kickoff of a finished fixture of their team
+async function getStalePlayers(db, { maxAgeMs, playerIds, force, now = Date.now() }) {
+    const players = await db.select(tables.players, {
+        where: playerIds && playerIds.length ? { id: playerIds } : {},
+        orderBy: [['id', 'asc']]
+    });
+    if (force) {
+        return players;
+    }
+
+    const refreshes = new Map((await db.select(tables.playerSummaryRefreshes)).map(row => [row.player_id, row.refreshed_at]));
+    const lastKickoff = new Map();
+    for (const fixture of await db.select(tables.fixtures, { where: { finished: true } })) {
+        const kickoff = fixture.kickoff_time ? fixture.kickoff_time.getTime() : 0;
+        for (const team of [fixture.team_h, fixture.team_a]) {
+            lastKickoff.set(team, Math.max(lastKickoff.get(team) || 0, kickoff));
+        }
+    }
+
+    return players.filter(player => {
+        const refreshedAt = refreshes.get(player.id);
+        if (!refreshedAt) {
+            return true;
+        }
+        return now - refreshedAt.getTime() > maxAgeMs || (lastKickoff.get(player.team) || 0) > refreshedAt.getTime();
+    });
+}
+
+// Call fn for each item with at most `concurrency` calls in flight and request starts
+// spaced at least intervalMs apart across all workers
+async function mapWithLimit(items, { concurrency, intervalMs }, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let nextStart = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            const wait = nextStart - Date.now();
+            nextStart = Math.max(Date.now(), nextStart) + intervalMs;
+            if (wait > 0) {
+                await sleep(wait);
+            }
+            results[index] = await fn(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+// Write the summaries of one chunk of players and mark them refreshed.
+// Upcoming fixtures no longer returned (played or postponed) are removed.
+async function writeSummaries(db, fetched) {
+    const seasons = fetched.flatMap(({ rows }) => rows.seasons);
+    const matches = fetched.flatMap(({ rows }) => rows.matches);
+    const upcoming = fetched.flatMap(({ rows }) => rows.upcoming);
+
+    let updateCount = 0;
+    updateCount += await db.upsert(tables.playerSeasonHistory, seasons);
+    updateCount += await db.upsert(tables.playerMatchHistory, matches);
+    updateCount += await db.upsert(tables.playerUpcomingFixtures, upcoming);
+
+    const current = new Set(upcoming.map(row => `${row.player_id}:${row.fixture_id}`));
+    const stored = await db.select(tables.playerUpcomingFixtures, { where: { player_id: fetched.map(({ player }) => player.id) } });
+    updateCount += await db.deleteKeys(tables.playerUpcomingFixtures, stored.filter(row => !current.has(`${row.player_id}:${row.fixture_id}`)));
+
+    const refreshedAt = new Date();
+    await db.upsert(tables.playerSummaryRefreshes, fetched.map(({ player, rows }) => ({
+        player_id: player.id,
+        refreshed_at: refreshedAt,
+        history_count: rows.matches.length,
+        history_past_count: rows.seasons.length,
+        fixtures_count: rows.upcoming.length
+    })));
+
+    return updateCount;
+}
+
+// Fetch /element-summary/{id}/ for every stale player in dbo.players and store past seasons,
+// this season's matches and upcoming fixtures. A player whose request fails is logged and
+// left stale for the next import. With dryRun the stale players are only counted.
+async function importElementSummaries(client, options = {}) {
+    const {
+        dryRun = false,
+        force = false,
+        playerIds = null,
+        maxAgeHours = 24,
+        concurrency = 4,
+        intervalMs = 250
+    } = options;
+
+    const db = createDatabase();
+    await db.connect();
+
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        const stale = await getStalePlayers(db, { maxAgeMs: maxAgeHours * 3600 * 1000, playerIds, force });
+        if (stale.length === 0) {
+            console.log('All player summaries are up to date');
+            return { refreshed: 0, failed: 0 };
+        }
+
+        if (dryRun) {
+            console.log(`Dry run: would import element summaries for ${stale.length} player(s)`);
+            return { refreshed: 0, failed: 0 };
+        }
+
+        console.log(`Importing element summaries for ${stale.length} player(s)...`);
+
+        let refreshed = 0;
+        let failed = 0;
+        let updateCount = 0;
+
+        for (let i = 0; i < stale.length; i += CHUNK_SIZE) {
+            const chunk = stale.slice(i, i + CHUNK_SIZE);
+            const results = await mapWithLimit(chunk, { concurrency, intervalMs }, async (player) => {
+                try {
+                    const summary = await client.getElementSummary(player.id);
+                    if (!checkPayload('elementSummary', summary, { player_id: player.id })) {
+                        console.error(`Element summary for player ${player.id} (${player.web_name}) rejected, leaving it stale`);
+                        return null;
+                    }
+                    return { player, rows: mapElementSummary(player, summary) };
+                } catch (error) {
+                    console.error(`Element summary for player ${player.id} (${player.web_name}) failed:`, error.message);
+                    return null;
+                }
+            });
+
+            const fetched = results.filter(result => result !== null);
+            failed += chunk.length - fetched.length;
+            if (fetched.length > 0) {
+                updateCount += await db.transaction(() => writeSummaries(db, fetched));
+                refreshed += fetched.length;
+            }
+            console.log(`Element summaries imported: ${refreshed + failed}/${stale.length}`);
+        }
+
+        console.log(`Element summary rows updated: ${updateCount}`);
+        return { refreshed, failed };
+    } finally {
+        await db.close();
+    }
+}
+
+// Options of `cli import-summaries`: [--force] [--players 1,2,3] [--max-age-hours N]
+//                                    [--concurrency N] [--interval-ms N] [--dry-run]
+function parseElementSummaryArgs(args, env = process.env) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            force: { type: 'boolean', default: false },
+            players: { type: 'string' },
+            'max-age-hours': { type: 'string' },
+            concurrency: { type: 'string' },
+            'interval-ms': { type: 'string' },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+
+    const toNumber = (name, value, fallback, min) => {
+        if (value === undefined) {
+            return fallback;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            throw new Error(`--${name} must be an integer of at least ${min}, got "${value}"`);
+        }
+        return number;
+    };
+
+    const playerIds = values.players !== undefined ? parseIdList(values.players) : null;
+    if (playerIds && playerIds.length === 0) {
+        throw new Error(`--players must list positive integer player IDs, got "${values.players}"`);
+    }
+
+    return {
+        dryRun: values['dry-run'],
+        force: values.force,
+        playerIds,
+        maxAgeHours: toNumber('max-age-hours', values['max-age-hours'], Number(env.ELEMENT_SUMMARY_MAX_AGE_HOURS) || 24, 0),
+        concurrency: toNumber('concurrency', values.concurrency, Number(env.ELEMENT_SUMMARY_CONCURRENCY) || 4, 1),
+        intervalMs: toNumber('interval-ms', values['interval-ms'], Number(env.ELEMENT_SUMMARY_INTERVAL_MS ?? 250), 0)
+    };
+}
+
+module.exports = {
+    mapElementSummary,
+    getStalePlayers,
+    importElementSummaries,
+    parseElementSummaryArgs
+};
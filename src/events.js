@@ -0,0 +1,107 @@
+const { tables } = require('./db');
+const { computeFixturePoints } = require('./bonus');
+
+// Counted live stats that produce an event whenever they change, e.g. "goal +1"
+const COUNTED_STATS = {
+    goals_scored: 'goal',
+    assists: 'assist',
+    own_goals: 'own goal',
+    penalties_saved: 'penalty saved',
+    penalties_missed: 'penalty missed',
+    yellow_cards: 'yellow card',
+    red_cards: 'red card',
+    clean_sheets: 'clean sheet'
+};
+
+// Minutes worth the extra appearance point (and clean sheet eligibility)
+const MINUTES_THRESHOLD = 60;
+
+// Read the stored live stats and fixture points of a gameweek before this run overwrites them
+async function readLiveState(db, gameweekId) {
+    const stats = await db.select(tables.playerGameweekStats, { where: { event: gameweekId } });
+    const points = await db.select(tables.playerFixturePoints, { where: { event: gameweekId } });
+
+    return {
+        stats: new Map(stats.map(row => [row.player_id, row])),
+        points: new Map(points.map(row => [`${row.player_id}:${row.fixture_id}`, row]))
+    };
+}
+
+// The fixture a stat change belongs to: the last fixture in the player's explain data
+// that reports the stat (double gameweeks), otherwise the last fixture the player played in
+function findFixture(element, identifier) {
+    const explains = element.explain || [];
+    const reporting = explains.filter(explain => (explain.stats || []).some(stat => stat.identifier === identifier && stat.value));
+    const match = reporting[reporting.length - 1] || explains[explains.length - 1];
+
+    return match ? match.fixture : null;
+}
+
+// Compare the incoming live data with the stored state and return the player_events rows
+function detectPlayerEvents(previous, gameweekData, fixtures, detectedAt = new Date()) {
+    const { gameweekId, elements } = gameweekData;
+    const events = [];
+
+    function addEvent(playerId, fixtureId, eventType, oldValue, newValue, description) {
+        // Stat changes for a player without a fixture in the gameweek cannot be placed
+        if (!fixtureId) {
+            return;
+        }
+        events.push({
+            player_id: playerId,
+            fixture_id: fixtureId,
+            event: gameweekId,
+            event_type: eventType,
+            old_value: oldValue,
+            new_value: newValue,
+            description,
+            detected_at: detectedAt
+        });
+    }
+
+    for (const element of elements) {
+        const stats = element.stats || {};
+        const before = previous.stats.get(element.id) || {};
+
+        for (const [identifier, label] of Object.entries(COUNTED_STATS)) {
+            const oldValue = before[identifier] || 0;
+            const newValue = stats[identifier] || 0;
+            if (newValue !== oldValue) {
+                const delta = newValue - oldValue;
+                addEvent(element.id, findFixture(element, identifier), identifier, oldValue, newValue,
+                    `${label} ${delta > 0 ? '+' : ''}${delta}`);
+            }
+        }
+
+        const oldMinutes = before.minutes || 0;
+        const newMinutes = stats.minutes || 0;
+        if (oldMinutes < MINUTES_THRESHOLD && newMinutes >= MINUTES_THRESHOLD) {
+            addEvent(element.id, findFixture(element, 'minutes'), 'minutes', oldMinutes, newMinutes, `minutes ${MINUTES_THRESHOLD}+`);
+        }
+    }
+
+    // Bonus per fixture, provisional until confirmed (see ./bonus)
+    for (const row of computeFixturePoints(gameweekData, fixtures)) {
+        const before = previous.points.get(`${row.player_id}:${row.fixture_id}`);
+        const oldBonus = before ? before.bonus : 0;
+        if (row.bonus !== oldBonus) {
+            addEvent(row.player_id, row.fixture_id, 'bonus', oldBonus, row.bonus, `bonus changed ${oldBonus}→${row.bonus}`);
+        }
+    }
+
+    return events;
+}
+
+// Append the changes detected since the previous run to the player_events log
+async function updatePlayerEvents(db, events) {
+    const updateCount = await db.upsert(tables.playerEvents, events);
+    console.log(`Player events recorded: ${updateCount}`);
+
+    return updateCount;
+}
+
+module.exports = {
+    readLiveState,
+    detectPlayerEvents,
+    updatePlayerEvents
+};
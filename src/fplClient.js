@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { isRetryableStatus, parseMaxRetryDelay, getRetryDelay, sleep } = require('./retry');
+const { recordApiCall } = require('./metrics');
+
+const DEFAULT_BASE_URL = 'https://fantasy.premierleague.com/api/';
+
+// File name for a recorded endpoint, e.g. event/12/live/ -> event_12_live.json
+function captureFileName(endpoint) {
+    return `${endpoint.replace(/[^a-zA-Z0-9-]+/g, '_').replace(/^_+|_+$/g, '')}.json`;
+}
+
+// Timestamp usable as a directory name
+function captureTimestamp(date = new Date()) {
+    return date.toISOString().replace(/:/g, '-');
+}
+
+// List the captures to replay from a path: either a single capture directory
+// (containing recorded .json files) or a directory of captures, replayed in name (time) order
+function listCaptures(replayPath) {
+    const entries = fs.readdirSync(replayPath, { withFileTypes: true });
+
+    if (entries.some(entry => entry.isFile() && entry.name.endsWith('.json'))) {
+        return [replayPath];
+    }
+
+    return entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .map(name => path.join(replayPath, name));
+}
+
+// Create a client for the FPL API.
+// Each endpoint is requested at most once per run; call newRun() to start a new run.
+// ETag/Last-Modified validators are kept across runs (and on disk when cacheDir is set)
+// so unchanged payloads come back as 304 Not Modified.
+// With recordDir set every response is also saved to <recordDir>/<run timestamp>/;
+// with replayDir set responses are read from a saved capture and the network is never used.
+function createFplClient(options = {}) {
+    const baseUrl = options.baseUrl || process.env.FPL_API_BASE_URL || DEFAULT_BASE_URL;
+    const timeoutMs = options.timeoutMs || Number(process.env.FPL_REQUEST_TIMEOUT_MS) || 30000;
+    const maxRetries = options.maxRetries ?? Number(process.env.FPL_MAX_RETRIES ?? 3);
+    const retryDelayMs = options.retryDelayMs ?? Number(process.env.FPL_RETRY_DELAY_MS ?? 1000);
+    const maxRetryDelayMs = options.maxRetryDelayMs ?? parseMaxRetryDelay('FPL_MAX_RETRY_DELAY_MS', process.env.FPL_MAX_RETRY_DELAY_MS);
+    const cacheDir = options.cacheDir || process.env.FPL_CACHE_DIR || null;
+    const recordDir = options.recordDir || process.env.FPL_RECORD_DIR || null;
+    const replayDir = options.replayDir || null;
+
+    let responses = new Map();
+    let runDir = recordDir ? path.join(recordDir, captureTimestamp()) : null;
+    const validators = new Map();
+
+    function cacheFile(url) {
+        return path.join(cacheDir, `${encodeURIComponent(url)}.json`);
+    }
+
+    function loadValidator(url) {
+        if (validators.has(url)) {
+            return validators.get(url);
+        }
+        if (!cacheDir) {
+            return null;
+        }
+        try {
+            const cached = JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+            validators.set(url, cached);
+            return cached;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function saveValidator(url, validator) {
+        validators.set(url, validator);
+        if (!cacheDir) {
+            return;
+        }
+        try {
+            fs.mkdirSync(cacheDir, { recursive: true });
+            fs.writeFileSync(cacheFile(url), JSON.stringify(validator));
+        } catch (error) {
+            console.warn(`Could not write FPL cache for ${url}:`, error.message);
+        }
+    }
+
+    // Fetch one URL with a timeout and conditional request headers
+    async function fetchOnce(url, validator) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+        const headers = {};
+        if (validator && validator.etag) {
+            headers['If-None-Match'] = validator.etag;
+        }
+        if (validator && validator.lastModified) {
+            headers['If-Modified-Since'] = validator.lastModified;
+        }
+
+        try {
+            return await fetch(url, { headers, signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async function request(endpoint) {
+        const url = new URL(endpoint, baseUrl).toString();
+        const validator = loadValidator(url);
+
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let error = null;
+
+            try {
+                response = await fetchOnce(url, validator);
+            } catch (err) {
+                error = err.name === 'AbortError'
+                    ? new Error(`Request timeout after ${timeoutMs}ms for ${endpoint}`)
+                    : new Error(`Request failed for ${endpoint}: ${err.message}`);
+            }
+
+            if (response && response.status === 304 && validator) {
+                return validator.body;
+            }
+
+            if (response && response.ok) {
+                const body = await response.json();
+                const etag = response.headers.get('etag');
+                const lastModified = response.headers.get('last-modified');
+                if (etag || lastModified) {
+                    saveValidator(url, { etag, lastModified, body });
+                }
+                return body;
+            }
+
+            if (response) {
+                error = new Error(`FPL API ${endpoint} returned status ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                if (!isRetryableStatus(response.status)) {
+                    throw error;
+                }
+            }
+
+            if (attempt >= maxRetries) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(response, attempt, retryDelayMs, maxRetryDelayMs);
+            console.warn(`${error.message}. Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})...`);
+            await sleep(delay);
+        }
+    }
+
+    // Save the raw response of one endpoint to the current capture
+    function record(endpoint, body) {
+        const capture = {
+            endpoint,
+            url: new URL(endpoint, baseUrl).toString(),
+            recordedAt: new Date().toISOString(),
+            body
+        };
+
+        try {
+            fs.mkdirSync(runDir, { recursive: true });
+            fs.writeFileSync(path.join(runDir, captureFileName(endpoint)), JSON.stringify(capture));
+        } catch (error) {
+            console.warn(`Could not record FPL response for ${endpoint}:`, error.message);
+        }
+    }
+
+    // Read the raw response of one endpoint from the capture being replayed
+    async function replay(endpoint) {
+        const file = path.join(replayDir, captureFileName(endpoint));
+
+        let capture;
+        try {
+            capture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`No recorded response for ${endpoint} in ${replayDir}: ${error.message}`);
+        }
+        return capture.body;
+    }
+
+    async function fetchBody(endpoint) {
+        if (replayDir) {
+            return replay(endpoint);
+        }
+
+        const body = await request(endpoint);
+        if (runDir) {
+            record(endpoint, body);
+        }
+        return body;
+    }
+
+    // Fetch (or replay) an endpoint, timing it for the run metrics
+    async function load(endpoint) {
+        const started = Date.now();
+        let failed = true;
+        try {
+            const body = await fetchBody(endpoint);
+            failed = false;
+            return body;
+        } finally {
+            recordApiCall(endpoint, Date.now() - started, failed);
+        }
+    }
+
+    // Request an endpoint once per run; concurrent callers share the same request
+    function get(endpoint) {
+        if (!responses.has(endpoint)) {
+            const pending = load(endpoint);
+            pending.catch(() => responses.delete(endpoint));
+            responses.set(endpoint, pending);
+        }
+        return responses.get(endpoint);
+    }
+
+    return {
+        baseUrl,
+        get,
+        getBootstrap: () => get('bootstrap-static/'),
+        getFixtures: () => get('fixtures/'),
+        getEventLive: (eventId) => get(`event/${eventId}/live/`),
+        getElementSummary: (elementId) => get(`element-summary/${elementId}/`),
+        getEntryPicks: (entryId, eventId) => get(`entry/${entryId}/event/${eventId}/picks/`),
+        getClassicLeagueStandings: (leagueId, page = 1) => get(`leagues-classic/${leagueId}/standings/?page_standings=${page}`),
+        newRun() {
+            responses = new Map();
+            runDir = recordDir ? path.join(recordDir, captureTimestamp()) : null;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_BASE_URL,
+    createFplClient,
+    listCaptures
+};
@@ -1,87 +1,81 @@
-const sql = require('tedious');
+const { createDatabase } = require('./db');
+const { getPendingMigrations, migrate, checkSchema } = require('./db/migrations');
 
-// Verify database connection and check for required tables
-async function initDatabase() {
-    const config = {
-        server: process.env.SQL_SERVER,
-        authentication: {
-            type: 'default',
-            options: {
-                userName: process.env.SQL_USER,
-                password: process.env.SQL_PASSWORD
-            }
-        },
-        options: {
-            database: process.env.SQL_DATABASE,
-            encrypt: process.env.SQL_ENCRYPT === 'true',
-            trustServerCertificate: false,
-            connectTimeout: 30000,
-            requestTimeout: 30000
-        }
-    };
+function reportProblems(problems) {
+    for (const { table, missing } of problems) {
+        console.error(`ERROR: ${table} is missing column(s): ${missing.join(', ')}`);
+    }
+}
 
-    return new Promise((resolve, reject) => {
-        const connection = new sql.Connection(config);
+// Apply pending schema migrations and verify the live schema has every expected column.
+// With dryRun the pending migrations are only listed.
+// Returns the migrations applied (or pending) and the tables with missing columns.
+async function initDatabase({ dryRun = false } = {}) {
+    const db = createDatabase();
+    await db.connect();
 
-        connection.on('connect', (err) => {
-            if (err) {
-                console.error('Database connection error:', err.message);
-                reject(err);
-                return;
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        if (dryRun) {
+            const pending = await getPendingMigrations(db);
+            for (const migration of pending) {
+                console.log(`Would apply migration ${migration.version}: ${migration.name}`);
             }
+            console.log(pending.length > 0 ? `Dry run: ${pending.length} migration(s) pending` : 'Dry run: database schema is up to date');
+            return { migrations: pending, problems: [] };
+        }
+
+        const applied = await migrate(db);
+        if (applied.length > 0) {
+            console.log(`Applied ${applied.length} migration(s)`);
+        }
 
-            console.log('Connected to SQL database');
+        const problems = await checkSchema(db);
+        if (problems.length > 0) {
+            reportProblems(problems);
+        } else {
+            console.log('Database ready: all tables and columns found');
+        }
 
-            // Verify the players table exists
-            const checkTableQuery = `
-                IF EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[players]') AND type in (N'U'))
-                BEGIN
-                    SELECT 'Database ready: players table found' AS Message;
-                END
-                ELSE
-                BEGIN
-                    SELECT 'ERROR: players table not found. Please run the schema.sql file first.' AS Message;
-                END
-            `;
+        return { migrations: applied, problems };
+    } finally {
+        await db.close();
+    }
+}
 
-            const request = new sql.Request(checkTableQuery, (err) => {
-                if (err) {
-                    console.error('Query error:', err.message);
-                    connection.close();
-                    reject(err);
-                    return;
-                }
-                connection.close();
-                resolve();
-            });
+// Check the database without changing it: pending migrations and missing columns
+async function verifyDatabase() {
+    const db = createDatabase();
+    await db.connect();
 
-            request.on('row', (columns) => {
-                const message = columns[0].value;
-                console.log(message);
-                if (message.startsWith('ERROR')) {
-                    reject(new Error(message));
-                }
-            });
+    console.log(`Connected to ${db.dialect} database`);
 
-            connection.execSql(request);
-        });
+    try {
+        const pending = await getPendingMigrations(db);
+        if (pending.length > 0) {
+            for (const migration of pending) {
+                console.error(`ERROR: migration ${migration.version} (${migration.name}) has not been applied`);
+            }
+            // The columns those migrations add would all be reported missing as well
+            console.error('Run init-db to apply them');
+            return { pending, problems: [] };
+        }
 
-        connection.on('error', (err) => {
-            console.error('Connection error:', err.message);
-            reject(err);
-        });
+        const problems = await checkSchema(db);
+        if (problems.length > 0) {
+            reportProblems(problems);
+        } else {
+            console.log('Database verified: all migrations applied, all tables and columns found');
+        }
 
-        connection.connect();
-    });
+        return { pending, problems };
+    } finally {
+        await db.close();
+    }
 }
 
-// Run the initialization
-initDatabase()
-    .then(() => {
-        console.log('Database initialization check completed');
-        process.exit(0);
-    })
-    .catch((error) => {
-        console.error('Database initialization failed:', error);
-        process.exit(1);
-    });
+module.exports = {
+    initDatabase,
+    verifyDatabase
+};
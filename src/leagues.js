@@ -0,0 +1,116 @@
+const { tables } = require('./db');
+const { parseIdList, getManagerPicks, scoreEntry } = require('./managers');
+
+// Classic league IDs to track, from FPL_LEAGUE_IDS
+function getLeagueIds(value = process.env.FPL_LEAGUE_IDS) {
+    return parseIdList(value);
+}
+
+// Page through the standings of a classic league and return the league and all its members
+async function getLeagueMembers(client, leagueId) {
+    // Standings can shift while the pages are fetched, so a member may turn up on two pages;
+    // keep one row per entry (the one fetched last), as an upsert cannot take the same key twice
+    const members = new Map();
+    let league = null;
+
+    for (let page = 1; ; page++) {
+        const data = await client.getClassicLeagueStandings(leagueId, page);
+        if (!data || !data.league || !data.standings || !Array.isArray(data.standings.results)) {
+            throw new Error(`Standings API returned invalid data for league ${leagueId} (page ${page})`);
+        }
+
+        league = data.league;
+        for (const member of data.standings.results) {
+            members.set(member.entry, member);
+        }
+
+        if (!data.standings.has_next) {
+            break;
+        }
+    }
+
+    return { league, members: [...members.values()] };
+}
+
+// Fetch each configured league with every member's picks for the gameweek
+async function getLeagues(client, leagueIds, gameweekId) {
+    const leagues = [];
+
+    for (const leagueId of leagueIds) {
+        try {
+            const { league, members } = await getLeagueMembers(client, leagueId);
+            console.log(`League ${leagueId} (${league.name}): ${members.length} members`);
+
+            const managers = await getManagerPicks(client, members.map(member => member.entry), gameweekId);
+            leagues.push({ league, members, managers });
+        } catch (error) {
+            console.error(`Error fetching league ${leagueId}:`, error.message);
+            throw error;
+        }
+    }
+
+    return leagues;
+}
+
+// Live standings of one league: each member's live total from their picks,
+// ranked with ties sharing a rank, and the change against last gameweek's rank
+function computeStandings(league, members, managers, context) {
+    const scores = new Map(managers.map(manager => [manager.entryId, scoreEntry(manager, context).summary]));
+
+    const rows = members.map(member => {
+        const summary = scores.get(member.entry);
+        // Members without picks for the gameweek (joined FPL later) keep their official total
+        const previousTotal = summary && summary.previous_total !== null ? summary.previous_total : member.total;
+        const livePoints = summary ? summary.net_points : 0;
+
+        return {
+            league_id: league.id,
+            entry_id: member.entry,
+            event: context.gameweekId,
+            entry_name: member.entry_name,
+            player_name: member.player_name,
+            official_rank: member.rank,
+            last_rank: member.last_rank || null,
+            official_total: member.total,
+            previous_total: previousTotal,
+            live_points: livePoints,
+            live_total: previousTotal + livePoints
+        };
+    });
+
+    for (const row of rows) {
+        row.live_rank = 1 + rows.filter(other => other.live_total > row.live_total).length;
+        row.rank_change = row.last_rank !== null ? row.last_rank - row.live_rank : null;
+    }
+
+    return rows;
+}
+
+// Update the stored standings of every tracked league and drop members who left
+async function updateLeagues(db, leagues, context) {
+    if (leagues.length === 0) {
+        return 0;
+    }
+
+    let updateCount = 0;
+    for (const { league, members, managers } of leagues) {
+        console.log(`Updating live standings of league ${league.id} (${members.length} members)...`);
+
+        await db.upsert(tables.leagues, [{ id: league.id, name: league.name, member_count: members.length }]);
+        updateCount += await db.upsert(tables.leagueStandings, computeStandings(league, members, managers, context));
+
+        const memberIds = new Set(members.map(member => member.entry));
+        const stored = await db.select(tables.leagueStandings, { where: { league_id: league.id } });
+        updateCount += await db.deleteKeys(tables.leagueStandings, stored.filter(row => !memberIds.has(row.entry_id)));
+    }
+
+    console.log(`League standings updated: ${updateCount}`);
+    return updateCount;
+}
+
+module.exports = {
+    getLeagueIds,
+    getLeagues,
+    computeStandings,
+    updateLeagues
+};
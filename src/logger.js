@@ -0,0 +1,41 @@
+const util = require('util');
+const { currentRunMetrics } = require('./metrics');
+
+// LOG_FORMAT=json writes every console line as one JSON object, tagged with the run it belongs to
+function isJsonLogging(env = process.env) {
+    return env.LOG_FORMAT === 'json';
+}
+
+function writeLine(stream, level, fields) {
+    const metrics = currentRunMetrics();
+    stream.write(`${JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        run_id: metrics ? metrics.runId : undefined,
+        ...fields
+    })}\n`);
+}
+
+// Replace the console methods the updater logs with, so no module has to change how it logs
+function installJsonLogging() {
+    const methods = [
+        ['log', 'info', process.stdout],
+        ['info', 'info', process.stdout],
+        ['warn', 'warn', process.stderr],
+        ['error', 'error', process.stderr]
+    ];
+    for (const [method, level, stream] of methods) {
+        console[method] = (...args) => writeLine(stream, level, { msg: util.format(...args) });
+    }
+}
+
+// A structured event line, e.g. the summary of an update run
+function logEvent(event, fields, level = 'info') {
+    writeLine(level === 'error' ? process.stderr : process.stdout, level, { event, ...fields });
+}
+
+module.exports = {
+    isJsonLogging,
+    installJsonLogging,
+    logEvent
+};
@@ -0,0 +1,266 @@
+const { tables } = require('./db');
+const { computeFixturePoints } = require('./bonus');
+
+const GOALKEEPER = 1;
+const STARTING_XI = 11;
+
+// Chips that change how picks are scored, and chips that only change the picks themselves.
+// Anything else (a chip FPL added since) is scored as no chip, with a warning.
+const SCORING_CHIPS = ['bboost', '3xc'];
+const PICK_CHIPS = ['wildcard', 'freehit'];
+
+// Unique positive integer IDs from a comma-separated setting
+function parseIdList(value) {
+    const ids = (value || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id !== '')
+        .map(Number)
+        .filter(id => Number.isInteger(id) && id > 0);
+    return [...new Set(ids)];
+}
+
+// FPL entry IDs to track, from FPL_MANAGER_IDS
+function getManagerIds(value = process.env.FPL_MANAGER_IDS) {
+    return parseIdList(value);
+}
+
+// Fetch the picks of each entry for a gameweek. Entries that did not exist yet
+// in that gameweek (404) are skipped; any other error fails the run.
+async function getManagerPicks(client, entryIds, gameweekId) {
+    const managers = [];
+
+    for (const entryId of entryIds) {
+        try {
+            const data = await client.getEntryPicks(entryId, gameweekId);
+            if (!data || !Array.isArray(data.picks) || data.picks.length === 0) {
+                throw new Error(`Picks API returned no picks for entry ${entryId}`);
+            }
+            managers.push({ entryId, ...data });
+        } catch (error) {
+            if (error.status === 404) {
+                console.warn(`No picks for entry ${entryId} in gameweek ${gameweekId}, skipping`);
+                continue;
+            }
+            console.error(`Error fetching picks for entry ${entryId}:`, error.message);
+            throw error;
+        }
+    }
+
+    console.log(`Retrieved picks for ${managers.length} of ${entryIds.length} managers`);
+    return managers;
+}
+
+// Everything needed to score any entry's picks for the live gameweek:
+// live points per player (with provisional bonus), positions, minimum players
+// per position and whether each team has finished its gameweek fixtures
+function createScoringContext(bootstrapData, gameweekData, fixtures) {
+    const playerPoints = new Map();
+    for (const row of computeFixturePoints(gameweekData, fixtures)) {
+        const current = playerPoints.get(row.player_id) || { minutes: 0, points: 0 };
+        playerPoints.set(row.player_id, {
+            minutes: current.minutes + row.minutes,
+            points: current.points + row.total_points
+        });
+    }
+
+    const gameweekFixtures = fixtures.filter(fixture => fixture.event === gameweekData.gameweekId);
+    const teamDone = new Map();
+    for (const team of bootstrapData.teams) {
+        // A team without a fixture (blank gameweek) counts as done
+        teamDone.set(team.id, gameweekFixtures
+            .filter(fixture => fixture.team_h === team.id || fixture.team_a === team.id)
+            .every(fixture => fixture.finished || fixture.finished_provisional));
+    }
+
+    return {
+        gameweekId: gameweekData.gameweekId,
+        players: new Map(bootstrapData.elements.map(player => [player.id, player])),
+        minPlay: new Map(bootstrapData.element_types.map(type => [type.id, type.squad_min_play || 0])),
+        playerPoints,
+        teamDone
+    };
+}
+
+// Apply FPL's automatic substitution rules to the starting XI. A starter is replaced only
+// once they played no minutes and their team's fixtures are finished; the goalkeeper
+// can only be replaced by the bench goalkeeper, outfield players by the first bench player
+// (in bench order) who played and keeps at least the minimum players in each position.
+// A bench player whose fixture is still to come blocks later bench players, as they may yet play.
+function applyAutoSubs(squad, context) {
+    const starters = squad.slice(0, STARTING_XI);
+    const bench = squad.slice(STARTING_XI);
+    const subs = [];
+
+    const didNotPlay = pick => pick.minutes === 0 && context.teamDone.get(pick.team) !== false;
+    const counts = () => {
+        const count = new Map();
+        for (const pick of starters) {
+            count.set(pick.element_type, (count.get(pick.element_type) || 0) + 1);
+        }
+        return count;
+    };
+
+    for (let i = 0; i < starters.length; i++) {
+        const out = starters[i];
+        if (!didNotPlay(out)) {
+            continue;
+        }
+
+        for (const candidate of bench) {
+            if (candidate.used || (out.element_type === GOALKEEPER) !== (candidate.element_type === GOALKEEPER)) {
+                continue;
+            }
+            if (candidate.minutes === 0) {
+                if (didNotPlay(candidate)) {
+                    continue;
+                }
+                break;
+            }
+
+            const count = counts();
+            count.set(out.element_type, count.get(out.element_type) - 1);
+            count.set(candidate.element_type, (count.get(candidate.element_type) || 0) + 1);
+            const valid = [...context.minPlay].every(([type, min]) => (count.get(type) || 0) >= min);
+            if (!valid) {
+                continue;
+            }
+
+            candidate.used = true;
+            starters[i] = candidate;
+            subs.push({ in: candidate, out });
+            break;
+        }
+    }
+
+    return { starters, subs };
+}
+
+// Live score of one entry's picks. Returns the pick rows (with the multiplier actually applied)
+// and the gameweek totals. Bench boost counts all 15 players and makes no substitutions;
+// the vice-captain takes the armband when the captain did not play. Chips outside
+// SCORING_CHIPS and PICK_CHIPS are logged and otherwise ignored.
+function scoreEntry(data, context) {
+    const chip = data.active_chip || null;
+    if (chip && !SCORING_CHIPS.includes(chip) && !PICK_CHIPS.includes(chip)) {
+        console.warn(`Entry ${data.entryId} played unsupported chip "${chip}": scored without it, so its live points may not match FPL`);
+    }
+
+    const squad = [...data.picks]
+        .sort((a, b) => a.position - b.position)
+        .map(pick => {
+            const player = context.players.get(pick.element) || {};
+            const live = context.playerPoints.get(pick.element) || { minutes: 0, points: 0 };
+            return {
+                ...pick,
+                element_type: player.element_type || pick.element_type,
+                team: player.team,
+                minutes: live.minutes,
+                points: live.points,
+                used: false
+            };
+        });
+
+    let playing;
+    let subs = [];
+    if (chip === 'bboost') {
+        playing = squad;
+    } else {
+        ({ starters: playing, subs } = applyAutoSubs(squad, context));
+    }
+
+    const didNotPlay = pick => pick.minutes === 0 && context.teamDone.get(pick.team) !== false;
+    const captain = squad.find(pick => pick.is_captain);
+    const vice = squad.find(pick => pick.is_vice_captain);
+    let armband = captain;
+    if (captain && didNotPlay(captain) && vice && playing.includes(vice) && !didNotPlay(vice)) {
+        armband = vice;
+    }
+    const captainMultiplier = chip === '3xc' ? 3 : 2;
+
+    const subbedIn = new Set(subs.map(sub => sub.in.element));
+    const subbedOut = new Set(subs.map(sub => sub.out.element));
+
+    const picks = squad.map(pick => {
+        let multiplier = playing.includes(pick) ? 1 : 0;
+        if (multiplier && pick === armband) {
+            multiplier = captainMultiplier;
+        }
+        return {
+            player_id: pick.element,
+            position: pick.position,
+            element_type: pick.element_type,
+            is_captain: Boolean(pick.is_captain),
+            is_vice_captain: Boolean(pick.is_vice_captain),
+            multiplier,
+            minutes: pick.minutes,
+            points: pick.points,
+            auto_sub_in: subbedIn.has(pick.element),
+            auto_sub_out: subbedOut.has(pick.element)
+        };
+    });
+
+    const history = data.entry_history || {};
+    const transferCost = history.event_transfers_cost || 0;
+    const livePoints = picks.reduce((sum, pick) => sum + pick.points * pick.multiplier, 0);
+    const benchPoints = picks
+        .filter(pick => pick.multiplier === 0)
+        .reduce((sum, pick) => sum + pick.points, 0);
+
+    // entry_history.total_points already includes FPL's own score for this gameweek (after hits)
+    const previousTotal = history.total_points !== undefined
+        ? history.total_points - ((history.points || 0) - transferCost)
+        : null;
+
+    return {
+        picks,
+        summary: {
+            active_chip: chip,
+            captain_id: armband ? armband.element : null,
+            live_points: livePoints,
+            transfer_cost: transferCost,
+            net_points: livePoints - transferCost,
+            bench_points: benchPoints,
+            auto_subs: subs.length,
+            fpl_points: history.points ?? null,
+            previous_total: previousTotal,
+            live_total: previousTotal !== null ? previousTotal + livePoints - transferCost : null
+        }
+    };
+}
+
+// Store the picks and live score of every tracked manager for the gameweek
+async function updateManagers(db, managers, context) {
+    if (managers.length === 0) {
+        return 0;
+    }
+
+    console.log(`Scoring ${managers.length} managers for gameweek ${context.gameweekId}...`);
+
+    const pickRows = [];
+    const gameweekRows = [];
+    for (const manager of managers) {
+        const { picks, summary } = scoreEntry(manager, context);
+
+        for (const pick of picks) {
+            pickRows.push({ entry_id: manager.entryId, event: context.gameweekId, ...pick });
+        }
+        gameweekRows.push({ entry_id: manager.entryId, event: context.gameweekId, ...summary });
+    }
+
+    await db.upsert(tables.managerPicks, pickRows);
+    const updateCount = await db.upsert(tables.managerGameweeks, gameweekRows);
+    console.log(`Manager live scores updated: ${updateCount}`);
+
+    return updateCount;
+}
+
+module.exports = {
+    parseIdList,
+    getManagerIds,
+    getManagerPicks,
+    createScoringContext,
+    applyAutoSubs,
+    scoreEntry,
+    updateManagers
+};
@@ -0,0 +1,57 @@
+const { tables } = require('./db');
+const { toDecimal } = require('./schemas');
+
+// Market fields tracked over time; a snapshot is written when any of them changes
+const MARKET_FIELDS = ['now_cost', 'selected_by_percent', 'transfers_in_event', 'transfers_out_event'];
+
+function toMarketValues(player) {
+    return {
+        now_cost: player.now_cost,
+        selected_by_percent: toDecimal(player.selected_by_percent),
+        transfers_in_event: player.transfers_in_event ?? null,
+        transfers_out_event: player.transfers_out_event ?? null
+    };
+}
+
+// Compare numbers at the stored precision (DECIMAL(5,2)); a missing value only equals another missing value
+function sameValue(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a ?? null) === (b ?? null);
+    }
+    return Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+}
+
+// Record a player_market_snapshots row for every player whose price, ownership or
+// transfer counts differ from what dbo.players holds. Must run before updatePlayers.
+async function updateMarketSnapshots(db, players, gameweekId) {
+    console.log(`Checking ${players.length} players for market changes...`);
+
+    const stored = new Map((await db.select(tables.players)).map(row => [row.id, row]));
+    const capturedAt = new Date();
+
+    const rows = [];
+    for (const player of players) {
+        const current = toMarketValues(player);
+        const previous = stored.get(player.id);
+
+        const changed = !previous || MARKET_FIELDS.some(field => !sameValue(previous[field], current[field]));
+
+        if (changed) {
+            rows.push({
+                player_id: player.id,
+                captured_at: capturedAt,
+                event: gameweekId,
+                ...current
+            });
+        }
+    }
+
+    const updateCount = await db.upsert(tables.playerMarketSnapshots, rows);
+    console.log(`Market snapshots recorded: ${updateCount}`);
+
+    return updateCount;
+}
+
+module.exports = {
+    updateMarketSnapshots
+};
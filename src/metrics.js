@@ -0,0 +1,85 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+// Metrics of the update run in progress. They are kept in the async context instead of being
+// passed down, so the storage adapters and the FPL client can report into them without every
+// updater taking another argument. Outside a run (init-db, backfill, ...) recording is a no-op.
+const storage = new AsyncLocalStorage();
+
+function createRunMetrics() {
+    return {
+        runId: randomUUID(),
+        gameweek: null,
+        live: null,
+        // endpoint -> { calls, ms, failed }
+        apiCalls: {},
+        // step -> ms
+        steps: {},
+        // table -> { inserted, updated, unchanged, deleted }
+        tables: {}
+    };
+}
+
+function withRunMetrics(metrics, fn) {
+    return storage.run(metrics, fn);
+}
+
+function currentRunMetrics() {
+    return storage.getStore() || null;
+}
+
+// Gameweek and live state of the run, set once the FPL data is known
+function annotateRun(fields) {
+    const metrics = currentRunMetrics();
+    if (metrics) {
+        Object.assign(metrics, fields);
+    }
+}
+
+// Ids are folded out of the endpoint ("entry/{id}/event/{id}/picks/") so that a run with
+// hundreds of managers still records a handful of entries
+function recordApiCall(endpoint, ms, failed = false) {
+    const metrics = currentRunMetrics();
+    if (!metrics) {
+        return;
+    }
+    const name = endpoint.replace(/\d+/g, '{id}');
+    const call = metrics.apiCalls[name] || (metrics.apiCalls[name] = { calls: 0, ms: 0, failed: 0 });
+    call.calls++;
+    call.ms += ms;
+    call.failed += failed ? 1 : 0;
+}
+
+function recordRows(tableName, counts) {
+    const metrics = currentRunMetrics();
+    if (!metrics) {
+        return;
+    }
+    const table = metrics.tables[tableName] || (metrics.tables[tableName] = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 });
+    for (const [field, count] of Object.entries(counts)) {
+        table[field] += count;
+    }
+}
+
+// Run fn and add its duration to the named step
+async function timeStep(name, fn) {
+    const started = Date.now();
+    try {
+        return await fn();
+    } finally {
+        const metrics = currentRunMetrics();
+        if (metrics) {
+            metrics.steps[name] = (metrics.steps[name] || 0) + (Date.now() - started);
+        }
+    }
+}
+
+module.exports = {
+    createRunMetrics,
+    withRunMetrics,
+    currentRunMetrics,
+    annotateRun,
+    recordApiCall,
+    recordRows,
+    timeStep
+};
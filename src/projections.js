@@ -0,0 +1,263 @@
+const { createDatabase, tables } = require('./db');
+
+// FPL points per element_type (1 goalkeeper, 2 defender, 3 midfielder, 4 forward)
+const SCORING = {
+    1: { goal: 6, cleanSheet: 4, perTwoConceded: -1, perThreeSaves: 1 },
+    2: { goal: 6, cleanSheet: 4, perTwoConceded: -1, perThreeSaves: 0 },
+    3: { goal: 5, cleanSheet: 1, perTwoConceded: 0, perThreeSaves: 0 },
+    4: { goal: 4, cleanSheet: 0, perTwoConceded: 0, perThreeSaves: 0 }
+};
+const ASSIST_POINTS = 3;
+const YELLOW_CARD_POINTS = -1;
+
+// Below this many minutes a player's per-90 rates are blended with their position's average
+const RATE_MINUTES = 450;
+// Change in attacking output per step of fixture difficulty away from 3 (FDR 2 -> x1.1, FDR 5 -> x0.8)
+const DIFFICULTY_STEP = 0.1;
+// Share of the projection taken from recent form (points per match over the last 30 days)
+const FORM_WEIGHT = 0.25;
+// Goals per team per match when no fixture has finished yet
+const DEFAULT_GOALS_PER_MATCH = 1.4;
+
+const DEFAULT_HORIZON = 5;
+const MAX_HORIZON = 38;
+
+// Throws on a PROJECTION_GAMEWEEKS that is not a whole number of gameweeks, so a typo
+// fails the run instead of silently turning projections off
+function loadConfig(env = process.env) {
+    const value = env.PROJECTION_GAMEWEEKS;
+    // Gameweeks to project, starting with the next one; 0 turns projections off
+    const horizon = value === undefined || value === '' ? DEFAULT_HORIZON : Number(value);
+    if (!Number.isInteger(horizon) || horizon < 0 || horizon > MAX_HORIZON) {
+        throw new Error(`PROJECTION_GAMEWEEKS must be an integer from 0 to ${MAX_HORIZON}, got "${value}"`);
+    }
+
+    return { horizon };
+}
+
+function per90(total, minutes) {
+    return minutes > 0 ? (Number(total) || 0) / minutes * 90 : 0;
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+const RATE_STATS = ['expected_goals', 'expected_assists', 'saves', 'bonus', 'yellow_cards'];
+
+// Per-90 rates of each stat for every position, over all players who have played
+function getPositionRates(players) {
+    const rates = new Map();
+    for (const elementType of Object.keys(SCORING).map(Number)) {
+        const group = players.filter(player => player.element_type === elementType);
+        const minutes = group.reduce((sum, player) => sum + (player.minutes || 0), 0);
+        rates.set(elementType, Object.fromEntries(RATE_STATS.map(stat =>
+            [stat, per90(group.reduce((sum, player) => sum + (Number(player[stat]) || 0), 0), minutes)]
+        )));
+    }
+    return rates;
+}
+
+// A player's per-90 rates, shrunk towards the position average while they have few minutes
+function getPlayerRates(player, positionRates) {
+    const positionRate = positionRates.get(player.element_type) || {};
+    const weight = Math.min(1, (player.minutes || 0) / RATE_MINUTES);
+    return Object.fromEntries(RATE_STATS.map(stat =>
+        [stat, weight * per90(player[stat], player.minutes || 0) + (1 - weight) * (positionRate[stat] || 0)]
+    ));
+}
+
+// Chance the player is available in the gameweek offset gameweeks from the next one.
+// chance_of_playing_next_round is null for unflagged players; a flag is taken as given for the
+// next gameweek and its doubt is halved for every gameweek after. Players who left ('u') get 0.
+function getPlayProbability(player, offset) {
+    if (player.status === 'u') {
+        return 0;
+    }
+    const chance = player.chance_of_playing_next_round;
+    if (chance === null || chance === undefined) {
+        return 1;
+    }
+    return 1 - (1 - chance / 100) * 0.5 ** offset;
+}
+
+// Games each team has finished, and the league's goals per team per match
+function getSeasonContext(fixtures) {
+    const played = fixtures.filter(fixture => fixture.finished || fixture.finished_provisional);
+    const teamGames = new Map();
+    let goals = 0;
+    for (const fixture of played) {
+        teamGames.set(fixture.team_h, (teamGames.get(fixture.team_h) || 0) + 1);
+        teamGames.set(fixture.team_a, (teamGames.get(fixture.team_a) || 0) + 1);
+        goals += (fixture.team_h_score || 0) + (fixture.team_a_score || 0);
+    }
+    return {
+        teamGames,
+        goalsPerMatch: played.length > 0 ? goals / (played.length * 2) : DEFAULT_GOALS_PER_MATCH
+    };
+}
+
+// Attack and defence ratios of a team against its opponent, from the home/away strength ratings
+function getMatchup(team, opponent, isHome) {
+    const ratio = (a, b) => (a && b ? a / b : 1);
+    const attack = isHome ? team.strength_attack_home : team.strength_attack_away;
+    const defence = isHome ? team.strength_defence_home : team.strength_defence_away;
+    const opponentAttack = isHome ? opponent.strength_attack_away : opponent.strength_attack_home;
+    const opponentDefence = isHome ? opponent.strength_defence_away : opponent.strength_defence_home;
+    return {
+        attack: ratio(attack, opponentDefence),
+        defence: ratio(opponentAttack, defence)
+    };
+}
+
+// Expected points of an available player in one fixture
+function projectFixture(player, rates, { matchup, difficulty, minutesPerGame, goalsPerMatch }) {
+    const scoring = SCORING[player.element_type] || SCORING[3];
+    const share = minutesPerGame / 90;
+    const difficultyFactor = 1 + (3 - (difficulty ?? 3)) * DIFFICULTY_STEP;
+    const attackFactor = matchup.attack * difficultyFactor;
+
+    // Goals the player's team is expected to concede, and the chance of keeping a clean sheet
+    // while on the pitch for the 60 minutes it needs
+    const conceded = goalsPerMatch * matchup.defence / difficultyFactor;
+    const cleanSheet = Math.exp(-conceded) * clamp((minutesPerGame - 30) / 30, 0, 1);
+
+    const expectedGoals = rates.expected_goals * share * attackFactor;
+    const expectedAssists = rates.expected_assists * share * attackFactor;
+
+    // 1 point for playing, 2 for 60 minutes or more
+    const appearance = Math.min(1, minutesPerGame / 30) * (1 + clamp((minutesPerGame - 30) / 30, 0, 1));
+
+    const model = appearance
+        + scoring.goal * expectedGoals
+        + ASSIST_POINTS * expectedAssists
+        + scoring.cleanSheet * cleanSheet
+        + scoring.perTwoConceded * conceded / 2 * share
+        + scoring.perThreeSaves * rates.saves * share * matchup.defence / 3
+        + rates.bonus * share
+        + YELLOW_CARD_POINTS * rates.yellow_cards * share;
+
+    return {
+        expectedGoals,
+        expectedAssists,
+        cleanSheet,
+        points: (1 - FORM_WEIGHT) * model + FORM_WEIGHT * (Number(player.form) || 0) * difficultyFactor
+    };
+}
+
+// Gameweeks to project: the next horizon gameweeks from is_next (or, before the season,
+// from the first unfinished one)
+function getProjectionGameweeks(events, horizon) {
+    const sorted = [...events].sort((a, b) => a.id - b.id);
+    const next = sorted.find(event => event.is_next)
+        || (!sorted.some(event => event.is_current) && sorted.find(event => !event.finished));
+    if (!next) {
+        return [];
+    }
+    return sorted.filter(event => event.id >= next.id).slice(0, horizon).map(event => event.id);
+}
+
+// Expected points of every player in each of the gameweeks, one row per player and gameweek.
+// A blank gameweek projects 0 and a double gameweek the sum of both fixtures.
+function projectPlayers({ players, teams, fixtures, gameweeks, projectedAt = new Date() }) {
+    const teamsById = new Map(teams.map(team => [team.id, team]));
+    const positionRates = getPositionRates(players);
+    const { teamGames, goalsPerMatch } = getSeasonContext(fixtures);
+
+    const fixturesByTeamAndEvent = new Map();
+    for (const fixture of fixtures.filter(fixture => gameweeks.includes(fixture.event))) {
+        for (const [teamId, isHome] of [[fixture.team_h, true], [fixture.team_a, false]]) {
+            const key = `${teamId}:${fixture.event}`;
+            fixturesByTeamAndEvent.set(key, [...(fixturesByTeamAndEvent.get(key) || []), { fixture, isHome }]);
+        }
+    }
+
+    const rows = [];
+    for (const player of players) {
+        const team = teamsById.get(player.team);
+        const rates = getPlayerRates(player, positionRates);
+        // Minutes per game the team has played, so time out injured counts against a player
+        const minutesPerGame = Math.min(90, (player.minutes || 0) / Math.max(1, teamGames.get(player.team) || 0));
+
+        gameweeks.forEach((gameweek, offset) => {
+            const playerFixtures = team ? fixturesByTeamAndEvent.get(`${player.team}:${gameweek}`) || [] : [];
+            const playProbability = getPlayProbability(player, offset);
+
+            const total = { expectedGoals: 0, expectedAssists: 0, cleanSheet: 0, points: 0 };
+            for (const { fixture, isHome } of playerFixtures) {
+                const opponent = teamsById.get(isHome ? fixture.team_a : fixture.team_h) || {};
+                const projection = projectFixture(player, rates, {
+                    matchup: getMatchup(team, opponent, isHome),
+                    difficulty: isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty,
+                    minutesPerGame,
+                    goalsPerMatch
+                });
+                for (const field of Object.keys(total)) {
+                    total[field] += projection[field];
+                }
+            }
+
+            rows.push({
+                player_id: player.id,
+                event: gameweek,
+                fixture_count: playerFixtures.length,
+                play_probability: round2(playProbability),
+                expected_minutes: round2(playProbability * minutesPerGame * playerFixtures.length),
+                expected_goals: round2(playProbability * total.expectedGoals),
+                expected_assists: round2(playProbability * total.expectedAssists),
+                expected_clean_sheets: round2(playProbability * total.cleanSheet),
+                expected_points: round2(playProbability * total.points),
+                projected_at: projectedAt
+            });
+        });
+    }
+
+    return rows;
+}
+
+// Project the next horizon gameweeks from the stored players, teams and fixtures and write
+// them to player_projections. Projections of past gameweeks are kept, to compare with the
+// points scored. With dryRun the rows are written and rolled back. Returns the rows written.
+async function updateProjections({ horizon = loadConfig().horizon, dryRun = false } = {}) {
+    if (horizon <= 0) {
+        return 0;
+    }
+
+    const db = createDatabase();
+    await db.connect();
+
+    try {
+        const events = await db.select(tables.events);
+        const gameweeks = getProjectionGameweeks(events, horizon);
+        if (gameweeks.length === 0) {
+            console.log('No upcoming gameweeks to project');
+            return 0;
+        }
+
+        const players = await db.select(tables.players);
+        const teams = await db.select(tables.teams);
+        const fixtures = await db.select(tables.fixtures);
+
+        console.log(`Projecting ${players.length} players over gameweek(s) ${gameweeks.join(', ')}...`);
+        const rows = projectPlayers({ players, teams, fixtures, gameweeks });
+
+        const updateCount = await db.transaction(() => db.upsert(tables.playerProjections, rows), { rollback: dryRun });
+        console.log(`Player projections updated: ${updateCount}${dryRun ? ' (dry run, rolled back)' : ''}`);
+
+        return updateCount;
+    } finally {
+        await db.close();
+    }
+}
+
+module.exports = {
+    MAX_HORIZON,
+    loadConfig,
+    getProjectionGameweeks,
+    projectPlayers,
+    updateProjections
+};
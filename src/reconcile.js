@@ -0,0 +1,420 @@
+const { createDatabase, tables } = require('./db');
+const { checkPayload } = require('./schemas');
+const {
+    getBootstrapData,
+    getFixturesData,
+    validateBootstrapData,
+    updateTeams,
+    updateElementTypes,
+    updateEvents,
+    updateFixtures,
+    updatePlayers
+} = require('./updateScript');
+const { backfillGameweek } = require('./backfill');
+const { importElementSummaries } = require('./elementSummary');
+
+// Reconciliation checks. Each mismatch is { check, entity, id, gameweek, details } where entity is
+// 'player', 'fixture', 'team' or 'event' and gameweek, when known, is the gameweek to re-sync.
+// Database checks:
+//   fixture_score      score in dbo.fixtures differs from the goals (and own goals) in dbo.fixture_stats
+//   total_points       players.total_points differs from the sum of player_gameweek_stats
+//   player_team        player references a team missing from dbo.teams
+//   player_position    player references an element type missing from dbo.element_types
+//   fixture_team       fixture references a team missing from dbo.teams
+//   stats_player       player_gameweek_stats row for a player missing from dbo.players
+//   current_event      more than one event has is_current (or is_next) set
+// Checks against a fresh FPL fetch:
+//   fpl_player, fpl_team, fpl_event, fpl_fixture   row missing or a key field differs
+
+// Fields compared with the FPL API for each table
+const FPL_FIELDS = {
+    player: ['team', 'element_type', 'now_cost', 'total_points', 'status'],
+    team: ['name', 'short_name'],
+    event: ['is_current', 'is_next', 'finished', 'data_checked'],
+    fixture: ['event', 'kickoff_time', 'started', 'finished', 'team_h', 'team_a', 'team_h_score', 'team_a_score']
+};
+
+// Mismatches printed per check; the report and the queue keep all of them
+const REPORT_LIMIT = 10;
+
+function sumBy(rows, keyOf, valueOf) {
+    const sums = new Map();
+    for (const row of rows) {
+        const key = keyOf(row);
+        sums.set(key, (sums.get(key) || 0) + valueOf(row));
+    }
+    return sums;
+}
+
+function sameValue(stored, fetched) {
+    // bit columns hold false where FPL sends null
+    if (typeof stored === 'boolean') {
+        return stored === Boolean(fetched);
+    }
+    if (stored instanceof Date && fetched) {
+        return stored.getTime() === new Date(fetched).getTime();
+    }
+    return (stored ?? null) === (fetched ?? null);
+}
+
+// Cross-table checks on the stored data. Returns { mismatches, skipped } where skipped lists
+// checks that could not run, with the reason.
+async function checkDatabase(db) {
+    const mismatches = [];
+    const skipped = [];
+
+    const teams = await db.select(tables.teams);
+    const elementTypes = await db.select(tables.elementTypes);
+    const events = await db.select(tables.events, { orderBy: [['id', 'asc']] });
+    const fixtures = await db.select(tables.fixtures);
+    const players = await db.select(tables.players);
+    const gameweekStats = await db.select(tables.playerGameweekStats);
+
+    const teamIds = new Set(teams.map(team => team.id));
+    const elementTypeIds = new Set(elementTypes.map(elementType => elementType.id));
+    const playerIds = new Set(players.map(player => player.id));
+
+    for (const flag of ['is_current', 'is_next']) {
+        const flagged = events.filter(event => event[flag]);
+        if (flagged.length > 1) {
+            for (const event of flagged) {
+                mismatches.push({
+                    check: 'current_event',
+                    entity: 'event',
+                    id: event.id,
+                    gameweek: null,
+                    details: `${flag} is set on gameweeks ${flagged.map(e => e.id).join(', ')}`
+                });
+            }
+        }
+    }
+
+    for (const player of players) {
+        if (!teamIds.has(player.team)) {
+            mismatches.push({ check: 'player_team', entity: 'player', id: player.id, gameweek: null, details: `team ${player.team} is not in teams` });
+        }
+        if (!elementTypeIds.has(player.element_type)) {
+            mismatches.push({ check: 'player_position', entity: 'player', id: player.id, gameweek: null, details: `element_type ${player.element_type} is not in element_types` });
+        }
+    }
+
+    for (const fixture of fixtures) {
+        const missing = [fixture.team_h, fixture.team_a].filter(team => !teamIds.has(team));
+        if (missing.length > 0) {
+            mismatches.push({ check: 'fixture_team', entity: 'fixture', id: fixture.id, gameweek: fixture.event, details: `team(s) ${missing.join(', ')} not in teams` });
+        }
+    }
+
+    const orphanStats = gameweekStats.filter(row => !playerIds.has(row.player_id));
+    for (const row of orphanStats) {
+        mismatches.push({ check: 'stats_player', entity: 'player', id: row.player_id, gameweek: row.event, details: `player_gameweek_stats for gameweek ${row.event} but the player is not in players` });
+    }
+
+    // Goals per side from fixture_stats; bps is recorded for every started fixture, so its
+    // presence tells a goalless fixture from one whose stats were never stored
+    const fixtureStats = await db.select(tables.fixtureStats, { where: { identifier: ['goals_scored', 'own_goals', 'bps'] } });
+    const withStats = new Set(fixtureStats.map(row => row.fixture_id));
+    const goals = sumBy(
+        fixtureStats.filter(row => row.identifier !== 'bps'),
+        // An own goal counts for the other side
+        row => `${row.fixture_id}:${row.identifier === 'own_goals' ? (row.side === 'h' ? 'a' : 'h') : row.side}`,
+        row => row.value
+    );
+    for (const fixture of fixtures) {
+        if (!fixture.started || !withStats.has(fixture.id)) {
+            continue;
+        }
+        const home = goals.get(`${fixture.id}:h`) || 0;
+        const away = goals.get(`${fixture.id}:a`) || 0;
+        if (home !== (fixture.team_h_score ?? 0) || away !== (fixture.team_a_score ?? 0)) {
+            mismatches.push({
+                check: 'fixture_score',
+                entity: 'fixture',
+                id: fixture.id,
+                gameweek: fixture.event,
+                details: `score ${fixture.team_h_score ?? '-'}-${fixture.team_a_score ?? '-'}, goals in fixture_stats ${home}-${away}`
+            });
+        }
+    }
+
+    // Season totals only add up when every gameweek so far is stored (see backfill)
+    const currentGameweek = events.find(event => event.is_current);
+    const storedGameweeks = new Set(gameweekStats.map(row => row.event));
+    const missingGameweeks = currentGameweek
+        ? events.filter(event => event.id <= currentGameweek.id && !storedGameweeks.has(event.id)).map(event => event.id)
+        : [];
+    if (!currentGameweek) {
+        skipped.push({ check: 'total_points', reason: 'no current gameweek' });
+    } else if (missingGameweeks.length > 0) {
+        skipped.push({ check: 'total_points', reason: `gameweek(s) ${missingGameweeks.join(', ')} not stored; run backfill first` });
+    } else {
+        const totals = sumBy(gameweekStats, row => row.player_id, row => row.total_points ?? 0);
+        for (const player of players) {
+            const total = totals.get(player.id) || 0;
+            if (total !== (player.total_points ?? 0)) {
+                mismatches.push({
+                    check: 'total_points',
+                    entity: 'player',
+                    id: player.id,
+                    gameweek: null,
+                    details: `total_points ${player.total_points}, sum of gameweeks ${total}`
+                });
+            }
+        }
+    }
+
+    return { mismatches, skipped };
+}
+
+// Compare stored rows with a fresh bootstrap-static and fixtures fetch. Fixtures in progress are
+// skipped, since they change between syncs.
+async function compareWithFpl(db, bootstrapData, fixturesData) {
+    const mismatches = [];
+
+    const compare = async (entity, table, fetchedRows, gameweekOf) => {
+        const stored = new Map((await db.select(table)).map(row => [row.id, row]));
+        for (const fetched of fetchedRows) {
+            const row = stored.get(fetched.id);
+            const gameweek = gameweekOf(fetched);
+            if (!row) {
+                mismatches.push({ check: `fpl_${entity}`, entity, id: fetched.id, gameweek, details: `missing from ${table.name}` });
+                continue;
+            }
+            const fields = FPL_FIELDS[entity].filter(field => !sameValue(row[field], fetched[field]));
+            if (fields.length > 0) {
+                mismatches.push({
+                    check: `fpl_${entity}`,
+                    entity,
+                    id: fetched.id,
+                    gameweek,
+                    details: fields.map(field => `${field} ${JSON.stringify(row[field])}, FPL ${JSON.stringify(fetched[field])}`).join('; ')
+                });
+            }
+        }
+    };
+
+    await compare('team', tables.teams, bootstrapData.teams, () => null);
+    await compare('event', tables.events, bootstrapData.events, () => null);
+    await compare('player', tables.players, bootstrapData.elements, () => null);
+    await compare(
+        'fixture',
+        tables.fixtures,
+        fixturesData.filter(fixture => !(fixture.started && !fixture.finished)),
+        // Only a fixture that has been played has live data to re-sync
+        fixture => (fixture.started ? fixture.event : null)
+    );
+
+    return mismatches;
+}
+
+// Add mismatches to dbo.repair_queue, one row per entity. Queuing an entity again (even one
+// already repaired) makes it pending with the latest checks and details.
+async function queueRepairs(db, mismatches) {
+    const entries = new Map();
+    for (const mismatch of mismatches) {
+        const key = `${mismatch.entity}:${mismatch.id}`;
+        const entry = entries.get(key) || { entity: mismatch.entity, entity_id: mismatch.id, gameweek: null, checks: [], details: [] };
+        entry.gameweek = entry.gameweek ?? mismatch.gameweek;
+        if (!entry.checks.includes(mismatch.check)) {
+            entry.checks.push(mismatch.check);
+        }
+        entry.details.push(mismatch.details);
+        entries.set(key, entry);
+    }
+
+    const queuedAt = new Date();
+    const rows = [...entries.values()].map(entry => ({
+        ...entry,
+        checks: entry.checks.join(','),
+        details: entry.details.join('; '),
+        queued_at: queuedAt,
+        attempts: 0,
+        last_error: null,
+        resolved_at: null
+    }));
+
+    await db.transaction(() => db.upsert(tables.repairQueue, rows));
+    return rows.length;
+}
+
+function printReport(report) {
+    const byCheck = new Map();
+    for (const mismatch of report.mismatches) {
+        byCheck.set(mismatch.check, [...(byCheck.get(mismatch.check) || []), mismatch]);
+    }
+
+    for (const [check, mismatches] of byCheck) {
+        console.log(`${check}: ${mismatches.length} mismatch(es)`);
+        for (const mismatch of mismatches.slice(0, REPORT_LIMIT)) {
+            const gameweek = mismatch.gameweek ? ` (gameweek ${mismatch.gameweek})` : '';
+            console.log(`  ${mismatch.entity} ${mismatch.id}${gameweek}: ${mismatch.details}`);
+        }
+        if (mismatches.length > REPORT_LIMIT) {
+            console.log(`  ... and ${mismatches.length - REPORT_LIMIT} more`);
+        }
+    }
+    for (const { check, reason } of report.skipped) {
+        console.log(`${check}: skipped (${reason})`);
+    }
+}
+
+// Run the database checks and, unless offline, compare with a fresh FPL fetch. With queue the
+// affected entities are added to dbo.repair_queue. Returns { mismatches, skipped, queued, invalid },
+// invalid being set when the FPL data failed validation and was not compared.
+async function runReconcile(client, { offline = false, queue = false } = {}) {
+    const db = createDatabase();
+    await db.connect();
+
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        const report = { ...(await checkDatabase(db)), queued: 0, invalid: false };
+
+        if (offline) {
+            report.skipped.push({ check: 'fpl', reason: 'offline' });
+        } else {
+            const bootstrapData = await getBootstrapData(client);
+            const fixturesData = await getFixturesData(client);
+            if (validateBootstrapData(bootstrapData) && checkPayload('fixtures', fixturesData)) {
+                report.mismatches.push(...await compareWithFpl(db, bootstrapData, fixturesData));
+            } else {
+                report.invalid = true;
+                report.skipped.push({ check: 'fpl', reason: 'FPL data failed validation' });
+            }
+        }
+
+        printReport(report);
+
+        if (queue && report.mismatches.length > 0) {
+            report.queued = await queueRepairs(db, report.mismatches);
+            console.log(`Queued ${report.queued} entity(ies) for repair`);
+        }
+
+        console.log(report.mismatches.length > 0
+            ? `Reconciliation found ${report.mismatches.length} mismatch(es)`
+            : 'Reconciliation found no mismatches');
+        return report;
+    } finally {
+        await db.close();
+    }
+}
+
+// Gameweeks where a player's points in player_gameweek_stats differ from their match history
+// (from /element-summary/), i.e. the gameweeks to re-sync for a drifted season total
+async function getDriftedGameweeks(db, playerIds) {
+    const history = await db.select(tables.playerMatchHistory, { where: { player_id: playerIds } });
+    const stats = await db.select(tables.playerGameweekStats, { where: { player_id: playerIds } });
+
+    const expected = sumBy(history, row => `${row.player_id}:${row.event}`, row => row.total_points ?? 0);
+    const stored = new Map(stats.map(row => [`${row.player_id}:${row.event}`, row.total_points ?? 0]));
+
+    const gameweeks = new Set();
+    for (const [key, points] of expected) {
+        if (stored.get(key) !== points) {
+            gameweeks.add(Number(key.split(':')[1]));
+        }
+    }
+    return gameweeks;
+}
+
+async function markRepairs(db, entries, fields) {
+    await db.transaction(() => db.upsert(tables.repairQueue, entries.map(entry => ({
+        ...entry,
+        attempts: (entry.attempts || 0) + 1,
+        ...fields
+    }))));
+}
+
+// Process the pending entries of dbo.repair_queue:
+//   1. refresh teams, element types, events, fixtures and players from bootstrap-static and fixtures
+//   2. re-import the match history of players whose season total drifted, to find the gameweeks at fault
+//   3. re-fetch the live data of every affected gameweek, as a backfill does
+// Entries are marked resolved, or keep their attempt count and error when the repair fails.
+// With dryRun the pending entries are only listed. Returns the number of entries repaired.
+async function runRepairs(client, { dryRun = false } = {}) {
+    const db = createDatabase();
+    await db.connect();
+
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        const pending = (await db.select(tables.repairQueue)).filter(entry => !entry.resolved_at);
+        if (pending.length === 0) {
+            console.log('Repair queue is empty');
+            return 0;
+        }
+
+        const gameweeks = new Set(pending.map(entry => entry.gameweek).filter(gameweek => gameweek !== null));
+        const driftedPlayers = pending
+            .filter(entry => entry.entity === 'player' && entry.checks.split(',').includes('total_points'))
+            .map(entry => entry.entity_id);
+
+        if (dryRun) {
+            for (const entry of pending) {
+                console.log(`Would repair ${entry.entity} ${entry.entity_id} (${entry.checks}): ${entry.details}`);
+            }
+            console.log(`Dry run: ${pending.length} entity(ies) pending, gameweek(s) to re-sync: ${[...gameweeks].sort((a, b) => a - b).join(', ') || 'none'}`
+                + (driftedPlayers.length > 0 ? `, plus those found from the history of ${driftedPlayers.length} player(s)` : ''));
+            return 0;
+        }
+
+        console.log(`Repairing ${pending.length} entity(ies)...`);
+
+        try {
+            const bootstrapData = await getBootstrapData(client);
+            if (!validateBootstrapData(bootstrapData)) {
+                throw new Error('FPL data failed validation');
+            }
+            const fixturesData = await getFixturesData(client);
+            if (!checkPayload('fixtures', fixturesData)) {
+                throw new Error('FPL data failed validation');
+            }
+
+            await db.transaction(async () => {
+                await updateTeams(db, bootstrapData.teams);
+                await updateElementTypes(db, bootstrapData.element_types);
+                await updateEvents(db, bootstrapData.events);
+                await updateFixtures(db, fixturesData);
+                await updatePlayers(db, bootstrapData.elements);
+            });
+            console.log('Refreshed teams, events, fixtures and players');
+
+            if (driftedPlayers.length > 0) {
+                const { failed } = await importElementSummaries(client, { force: true, playerIds: driftedPlayers });
+                if (failed > 0) {
+                    throw new Error(`Element summary import failed for ${failed} player(s)`);
+                }
+                for (const gameweek of await getDriftedGameweeks(db, driftedPlayers)) {
+                    gameweeks.add(gameweek);
+                }
+            }
+
+            const currentGameweek = bootstrapData.events.find(event => event.is_current);
+            const knownPlayers = new Set(bootstrapData.elements.map(element => element.id));
+            const resync = [...gameweeks]
+                .filter(gameweek => currentGameweek && gameweek <= currentGameweek.id)
+                .sort((a, b) => a - b);
+            for (const gameweek of resync) {
+                await backfillGameweek(db, client, gameweek, { fixturesData, knownPlayers });
+                console.log(`Gameweek ${gameweek} re-synced`);
+            }
+        } catch (error) {
+            await markRepairs(db, pending, { last_error: error.message });
+            throw error;
+        }
+
+        await markRepairs(db, pending, { last_error: null, resolved_at: new Date() });
+        console.log(`Repaired ${pending.length} entity(ies)`);
+        return pending.length;
+    } finally {
+        await db.close();
+    }
+}
+
+module.exports = {
+    checkDatabase,
+    compareWithFpl,
+    queueRepairs,
+    runReconcile,
+    runRepairs
+};
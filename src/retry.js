@@ -0,0 +1,52 @@
+// Retry helpers shared by the FPL client and the webhook sender
+
+// Statuses worth retrying: rate limiting and server errors
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Longest wait between two attempts unless configured otherwise
+const DEFAULT_MAX_RETRY_DELAY_MS = 30000;
+
+// The maximum delay set in an environment variable, in milliseconds
+function parseMaxRetryDelay(name, value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_MAX_RETRY_DELAY_MS;
+    }
+    const delay = Number(value);
+    if (!Number.isInteger(delay) || delay < 0) {
+        throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+    }
+    return delay;
+}
+
+// Delay before the next attempt, honouring Retry-After when the server sends it.
+// Both the backoff and Retry-After are capped at maxDelayMs, so a huge or bogus
+// header cannot stall a run.
+function getRetryDelay(response, attempt, retryDelayMs, maxDelayMs = DEFAULT_MAX_RETRY_DELAY_MS) {
+    const clamp = delay => Math.min(Math.max(0, delay), maxDelayMs);
+
+    const retryAfter = response && response.headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) {
+            return clamp(seconds * 1000);
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return clamp(date - Date.now());
+        }
+    }
+    return clamp(retryDelayMs * 2 ** attempt + Math.floor(Math.random() * retryDelayMs));
+}
+
+module.exports = {
+    isRetryableStatus,
+    parseMaxRetryDelay,
+    getRetryDelay,
+    sleep
+};
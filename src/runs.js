@@ -0,0 +1,106 @@
+const { createDatabase, tables } = require('./db');
+const { createRunMetrics, withRunMetrics } = require('./metrics');
+const { isJsonLogging, logEvent } = require('./logger');
+
+// runUpdate result -> update_runs.outcome
+const OUTCOMES = {
+    updated: 'succeeded',
+    finalized: 'succeeded',
+    skipped: 'skipped',
+    invalid: 'failed'
+};
+
+// Write the run row on its own connection, outside the sync transaction, so a rolled back sync is
+// still recorded. A failure here is logged but never fails the sync itself.
+async function saveRun(row) {
+    try {
+        const db = createDatabase();
+        await db.connect();
+        try {
+            await db.upsert(tables.updateRuns, [row]);
+        } finally {
+            await db.close();
+        }
+    } catch (error) {
+        console.error(`Could not record update run ${row.run_id}:`, error.message);
+    }
+}
+
+function toRunRow({ command, options }, metrics, startedAt) {
+    return {
+        run_id: metrics.runId,
+        command,
+        options: JSON.stringify({ force: Boolean(options.force), only: options.only || null }),
+        started_at: startedAt,
+        finished_at: null,
+        duration_ms: null,
+        gameweek: metrics.gameweek,
+        live: metrics.live,
+        outcome: 'running',
+        result: null,
+        api_calls: null,
+        step_timings: null,
+        table_rows: null,
+        error: null
+    };
+}
+
+// Run fn (one runUpdate) with run metrics collected, and record it in update_runs: a 'running' row
+// when it starts, completed with the outcome, timings and row counts when it ends. Returns the
+// result of fn and rethrows its error. Dry runs are logged but not recorded.
+async function recordRun({ command, options = {} }, fn) {
+    const metrics = createRunMetrics();
+    const startedAt = new Date();
+    const row = toRunRow({ command, options }, metrics, startedAt);
+    const record = !options.dryRun;
+
+    if (record) {
+        await saveRun(row);
+    }
+
+    let result = null;
+    let error = null;
+    try {
+        result = await withRunMetrics(metrics, fn);
+        return result;
+    } catch (runError) {
+        error = runError;
+        throw runError;
+    } finally {
+        const finishedAt = new Date();
+        Object.assign(row, {
+            finished_at: finishedAt,
+            duration_ms: finishedAt - startedAt,
+            gameweek: metrics.gameweek,
+            live: metrics.live,
+            outcome: error ? 'failed' : OUTCOMES[result] || 'succeeded',
+            result,
+            api_calls: JSON.stringify(metrics.apiCalls),
+            step_timings: JSON.stringify(metrics.steps),
+            table_rows: JSON.stringify(metrics.tables),
+            error: error ? error.message : result === 'invalid' ? 'FPL data failed validation' : null
+        });
+
+        if (record) {
+            await saveRun(row);
+        }
+
+        if (isJsonLogging()) {
+            logEvent('update_run', {
+                ...row,
+                options: JSON.parse(row.options),
+                api_calls: metrics.apiCalls,
+                step_timings: metrics.steps,
+                table_rows: metrics.tables,
+                dry_run: !record
+            }, row.outcome === 'failed' ? 'error' : 'info');
+        } else {
+            const apiCalls = Object.values(metrics.apiCalls).reduce((sum, call) => sum + call.calls, 0);
+            console.log(`Run ${row.run_id} ${row.outcome} in ${row.duration_ms}ms (${apiCalls} API call(s))`);
+        }
+    }
+}
+
+module.exports = {
+    recordRun
+};
@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Field-level schemas for the FPL payloads the updater stores.
+// A field is a type name, optionally suffixed with '?' when FPL sends null for it:
+//   int       integer
+//   decimal   number or numeric string (FPL sends form, xG, ICT, ... as "1.23")
+//   string, bool
+//   datetime  ISO 8601 string
+// Nested objects are written inline and arrays with arrayOf(). Every listed field must be
+// present, so a renamed field is reported; fields not listed are ignored.
+
+function arrayOf(items) {
+    return { arrayOf: items };
+}
+
+const team = {
+    id: 'int',
+    name: 'string',
+    short_name: 'string',
+    code: 'int',
+    position: 'int',
+    strength: 'int',
+    strength_overall_home: 'int',
+    strength_overall_away: 'int',
+    strength_attack_home: 'int',
+    strength_attack_away: 'int',
+    strength_defence_home: 'int',
+    strength_defence_away: 'int',
+    pulse_id: 'int'
+};
+
+const elementType = {
+    id: 'int',
+    plural_name: 'string',
+    plural_name_short: 'string',
+    singular_name: 'string',
+    singular_name_short: 'string',
+    squad_select: 'int',
+    squad_min_play: 'int',
+    squad_max_play: 'int'
+};
+
+const event = {
+    id: 'int',
+    name: 'string',
+    deadline_time: 'datetime',
+    average_entry_score: 'int',
+    finished: 'bool',
+    data_checked: 'bool',
+    highest_scoring_entry: 'int?',
+    highest_score: 'int?',
+    is_previous: 'bool',
+    is_current: 'bool',
+    is_next: 'bool',
+    most_selected: 'int?',
+    most_transferred_in: 'int?',
+    top_element: 'int?',
+    transfers_made: 'int',
+    most_captained: 'int?',
+    most_vice_captained: 'int?'
+};
+
+const element = {
+    id: 'int',
+    web_name: 'string',
+    first_name: 'string',
+    second_name: 'string',
+    team: 'int',
+    element_type: 'int',
+    code: 'int',
+    now_cost: 'int',
+    cost_change_event: 'int',
+    cost_change_start: 'int',
+    transfers_in_event: 'int',
+    transfers_out_event: 'int',
+    total_points: 'int',
+    form: 'decimal',
+    points_per_game: 'decimal',
+    selected_by_percent: 'decimal',
+    status: 'string',
+    news: 'string',
+    news_added: 'datetime?',
+    chance_of_playing_next_round: 'int?',
+    chance_of_playing_this_round: 'int?',
+    event_points: 'int',
+    minutes: 'int',
+    goals_scored: 'int',
+    assists: 'int',
+    clean_sheets: 'int',
+    goals_conceded: 'int',
+    own_goals: 'int',
+    penalties_saved: 'int',
+    penalties_missed: 'int',
+    yellow_cards: 'int',
+    red_cards: 'int',
+    saves: 'int',
+    bonus: 'int',
+    bps: 'int',
+    starts: 'int',
+    expected_goals: 'decimal',
+    expected_assists: 'decimal',
+    expected_goal_involvements: 'decimal',
+    expected_goals_conceded: 'decimal',
+    influence: 'decimal',
+    creativity: 'decimal',
+    threat: 'decimal',
+    ict_index: 'decimal',
+    influence_rank: 'int?',
+    influence_rank_type: 'int?',
+    creativity_rank: 'int?',
+    creativity_rank_type: 'int?',
+    threat_rank: 'int?',
+    threat_rank_type: 'int?',
+    ict_index_rank: 'int?',
+    ict_index_rank_type: 'int?',
+    corners_and_indirect_freekicks_order: 'int?',
+    corners_and_indirect_freekicks_text: 'string?',
+    direct_freekicks_order: 'int?',
+    direct_freekicks_text: 'string?',
+    penalties_order: 'int?',
+    penalties_text: 'string?',
+    in_dreamteam: 'bool',
+    dreamteam_count: 'int',
+    special: 'bool',
+    photo: 'string'
+};
+
+const fixtureStatEntry = {
+    value: 'int',
+    element: 'int'
+};
+
+const fixture = {
+    id: 'int',
+    code: 'int',
+    // Postponed fixtures have no gameweek or kickoff until they are rescheduled
+    event: 'int?',
+    finished: 'bool',
+    finished_provisional: 'bool',
+    kickoff_time: 'datetime?',
+    minutes: 'int',
+    started: 'bool?',
+    team_a: 'int',
+    team_h: 'int',
+    team_a_score: 'int?',
+    team_h_score: 'int?',
+    team_a_difficulty: 'int',
+    team_h_difficulty: 'int',
+    stats: arrayOf({
+        identifier: 'string',
+        a: arrayOf(fixtureStatEntry),
+        h: arrayOf(fixtureStatEntry)
+    }),
+    pulse_id: 'int'
+};
+
+const liveElement = {
+    id: 'int',
+    stats: {
+        minutes: 'int',
+        goals_scored: 'int',
+        assists: 'int',
+        clean_sheets: 'int',
+        goals_conceded: 'int',
+        own_goals: 'int',
+        penalties_saved: 'int',
+        penalties_missed: 'int',
+        yellow_cards: 'int',
+        red_cards: 'int',
+        saves: 'int',
+        bonus: 'int',
+        bps: 'int',
+        starts: 'int',
+        influence: 'decimal',
+        creativity: 'decimal',
+        threat: 'decimal',
+        ict_index: 'decimal',
+        expected_goals: 'decimal',
+        expected_assists: 'decimal',
+        expected_goal_involvements: 'decimal',
+        expected_goals_conceded: 'decimal',
+        total_points: 'int',
+        in_dreamteam: 'bool'
+    },
+    explain: arrayOf({
+        fixture: 'int',
+        stats: arrayOf({
+            identifier: 'string',
+            points: 'int',
+            value: 'int'
+        })
+    })
+};
+
+// Season and match stats shared by history and history_past
+const summaryStats = {
+    total_points: 'int',
+    minutes: 'int',
+    goals_scored: 'int',
+    assists: 'int',
+    clean_sheets: 'int',
+    goals_conceded: 'int',
+    own_goals: 'int',
+    penalties_saved: 'int',
+    penalties_missed: 'int',
+    yellow_cards: 'int',
+    red_cards: 'int',
+    saves: 'int',
+    bonus: 'int',
+    bps: 'int',
+    starts: 'int',
+    influence: 'decimal',
+    creativity: 'decimal',
+    threat: 'decimal',
+    ict_index: 'decimal',
+    expected_goals: 'decimal',
+    expected_assists: 'decimal',
+    expected_goal_involvements: 'decimal',
+    expected_goals_conceded: 'decimal'
+};
+
+const summaryFixture = {
+    id: 'int',
+    event: 'int?',
+    kickoff_time: 'datetime?',
+    is_home: 'bool',
+    team_h: 'int',
+    team_a: 'int',
+    difficulty: 'int'
+};
+
+const summaryMatch = {
+    fixture: 'int',
+    round: 'int',
+    opponent_team: 'int',
+    was_home: 'bool',
+    kickoff_time: 'datetime',
+    team_h_score: 'int?',
+    team_a_score: 'int?',
+    ...summaryStats,
+    value: 'int',
+    selected: 'int',
+    transfers_in: 'int',
+    transfers_out: 'int',
+    transfers_balance: 'int'
+};
+
+const summarySeason = {
+    season_name: 'string',
+    element_code: 'int',
+    start_cost: 'int',
+    end_cost: 'int',
+    ...summaryStats
+};
+
+const SCHEMAS = {
+    // bootstrap-static/
+    bootstrap: {
+        teams: arrayOf(team),
+        element_types: arrayOf(elementType),
+        elements: arrayOf(element),
+        events: arrayOf(event)
+    },
+    // fixtures/
+    fixtures: arrayOf(fixture),
+    // event/{id}/live/
+    live: {
+        elements: arrayOf(liveElement)
+    },
+    // element-summary/{id}/
+    elementSummary: {
+        fixtures: arrayOf(summaryFixture),
+        history: arrayOf(summaryMatch),
+        history_past: arrayOf(summarySeason)
+    }
+};
+
+// Issues kept per report; the total is still counted
+const MAX_ISSUES = 1000;
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const TYPE_CHECKS = {
+    int: value => Number.isInteger(value),
+    decimal: value => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && DECIMAL_PATTERN.test(value)),
+    string: value => typeof value === 'string',
+    bool: value => typeof value === 'boolean',
+    datetime: value => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+};
+
+function describeValue(value) {
+    if (value === undefined) {
+        return 'missing';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'object') {
+        return 'object';
+    }
+    return `${typeof value} ${JSON.stringify(value)}`.slice(0, 60);
+}
+
+function checkValue(spec, value, fieldPath, report) {
+    const addIssue = (expected, actual) => {
+        report.issueCount++;
+        if (report.issues.length < MAX_ISSUES) {
+            report.issues.push({ path: fieldPath, expected, actual });
+        }
+    };
+
+    if (typeof spec === 'string') {
+        const nullable = spec.endsWith('?');
+        const type = nullable ? spec.slice(0, -1) : spec;
+        if (value === null ? !nullable : !TYPE_CHECKS[type](value)) {
+            addIssue(spec, describeValue(value));
+        }
+        return;
+    }
+
+    if (spec.arrayOf) {
+        if (!Array.isArray(value)) {
+            addIssue('array', describeValue(value));
+            return;
+        }
+        value.forEach((item, index) => checkValue(spec.arrayOf, item, `${fieldPath}[${index}]`, report));
+        return;
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        addIssue('object', describeValue(value));
+        return;
+    }
+
+    for (const [field, fieldSpec] of Object.entries(spec)) {
+        checkValue(fieldSpec, value[field], fieldPath ? `${fieldPath}.${field}` : field, report);
+    }
+}
+
+// Check a payload against SCHEMAS[name]; returns { name, valid, issueCount, issues }
+// where each issue is { path, expected, actual }, e.g. elements[12].now_cost
+function validatePayload(name, payload) {
+    const report = { name, valid: true, issueCount: 0, issues: [] };
+    checkValue(SCHEMAS[name], payload, '', report);
+    report.valid = report.issueCount === 0;
+
+    return report;
+}
+
+// One line per distinct problem, with array indexes folded ("elements[].form: expected decimal,
+// got string "n/a" (3 times, first at elements[12].form)")
+function summarizeIssues(report) {
+    const groups = new Map();
+    for (const issue of report.issues) {
+        const key = `${issue.path.replace(/\[\d+\]/g, '[]')}: expected ${issue.expected}, got ${issue.actual.replace(/ .*/, '')}`;
+        const group = groups.get(key) || { count: 0, first: issue };
+        group.count++;
+        groups.set(key, group);
+    }
+
+    return [...groups].map(([key, { count, first }]) =>
+        `${key} (${count} time(s), first at ${first.path || '<root>'}: ${first.actual})`
+    );
+}
+
+// Quarantine files kept by default; the oldest are removed beyond FPL_QUARANTINE_MAX_FILES
+const DEFAULT_QUARANTINE_MAX_FILES = 50;
+
+// Write a rejected payload with the reasons to FPL_QUARANTINE_DIR (default ./quarantine)
+// so it can be inspected and, once the schema is fixed, replayed. Returns the file path.
+// The file name ends with a hash of the payload, so a payload that is rejected on every run
+// is written once; beyond maxFiles the oldest files are removed.
+function quarantinePayload(name, payload, reasons, {
+    dir = process.env.FPL_QUARANTINE_DIR || 'quarantine',
+    maxFiles = Number(process.env.FPL_QUARANTINE_MAX_FILES) || DEFAULT_QUARANTINE_MAX_FILES,
+    context = {}
+} = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    const existing = files.find(file => file.endsWith(`-${name}-${hash}.json`));
+    if (existing) {
+        return path.join(dir, existing);
+    }
+
+    const quarantinedAt = new Date();
+    const fileName = `${quarantinedAt.toISOString().replace(/:/g, '-')}-${name}-${hash}.json`;
+    const file = path.join(dir, fileName);
+    fs.writeFileSync(file, JSON.stringify({
+        payload: name,
+        quarantined_at: quarantinedAt.toISOString(),
+        ...context,
+        reasons,
+        data: payload
+    }, null, 2));
+
+    // Names start with the time, so sorting them puts the oldest first
+    files.push(fileName);
+    for (const stale of files.slice(0, Math.max(files.length - maxFiles, 0))) {
+        fs.rmSync(path.join(dir, stale), { force: true });
+    }
+
+    return file;
+}
+
+// Validate a payload, log a summary of any problems and quarantine it when rejected
+function checkPayload(name, payload, context = {}) {
+    const report = validatePayload(name, payload);
+    if (report.valid) {
+        return true;
+    }
+
+    const reasons = summarizeIssues(report);
+    console.error(`${name} payload failed schema validation: ${report.issueCount} issue(s)`);
+    for (const reason of reasons.slice(0, 20)) {
+        console.error(`  ${reason}`);
+    }
+    if (reasons.length > 20) {
+        console.error(`  ... and ${reasons.length - 20} more`);
+    }
+
+    try {
+        const file = quarantinePayload(name, payload, reasons, { context: { ...context, issue_count: report.issueCount } });
+        console.error(`Rejected ${name} payload quarantined to ${file}`);
+    } catch (error) {
+        console.error(`Could not quarantine ${name} payload:`, error.message);
+    }
+
+    return false;
+}
+
+// Decimal fields arrive as strings; keep null as null and "0.0" as 0
+function toDecimal(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    return parseFloat(value);
+}
+
+module.exports = {
+    SCHEMAS,
+    validatePayload,
+    summarizeIssues,
+    quarantinePayload,
+    checkPayload,
+    toDecimal
+};
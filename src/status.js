@@ -0,0 +1,61 @@
+const { createDatabase, tables } = require('./db');
+const { getFinalizationStatus } = require('./updateScript');
+
+// Metadata keys written by a full sync (see updateMetadata in ./updateScript)
+const LAST_SYNC_KEYS = ['last_fpl_update', 'last_fpl_update_gameweek', 'last_fpl_update_row_counts'];
+
+// Current gameweek and its live fixtures from the FPL API, and the last sync recorded in dbo.metadata
+async function getStatus(client) {
+    const bootstrapData = await client.getBootstrap();
+    const fixturesData = await client.getFixtures();
+
+    const currentGameweek = bootstrapData.events.find(event => event.is_current) || null;
+    const teams = new Map(bootstrapData.teams.map(team => [team.id, team.short_name]));
+    const liveFixtures = currentGameweek
+        ? fixturesData.filter(fixture => fixture.event === currentGameweek.id && fixture.started && !fixture.finished)
+        : [];
+
+    const db = createDatabase();
+    await db.connect();
+
+    try {
+        const keys = [...LAST_SYNC_KEYS];
+        if (currentGameweek) {
+            keys.push(`gameweek_${currentGameweek.id}_finalized`);
+        }
+        const metadata = new Map((await db.select(tables.metadata, { where: { key_name: keys } }))
+            .map(row => [row.key_name, row]));
+        // last_fpl_update is seeded without a date by the initial migration
+        const lastSync = metadata.get('last_fpl_update');
+        const finalized = currentGameweek ? metadata.get(`gameweek_${currentGameweek.id}_finalized`) : null;
+        const rowCounts = metadata.get('last_fpl_update_row_counts');
+
+        return {
+            dialect: db.dialect,
+            currentGameweek: currentGameweek && {
+                id: currentGameweek.id,
+                name: currentGameweek.name,
+                finished: currentGameweek.finished,
+                dataChecked: currentGameweek.data_checked,
+                ...getFinalizationStatus(currentGameweek, fixturesData)
+            },
+            liveFixtures: liveFixtures.map(fixture => ({
+                id: fixture.id,
+                label: `${teams.get(fixture.team_h)} ${fixture.team_h_score ?? 0}-${fixture.team_a_score ?? 0} ${teams.get(fixture.team_a)}`,
+                minutes: fixture.minutes
+            })),
+            lastSync: lastSync && lastSync.value_datetime ? {
+                at: lastSync.value_datetime,
+                gameweek: (metadata.get('last_fpl_update_gameweek') || {}).value_int ?? null,
+                rowCounts: rowCounts && rowCounts.value_text ? JSON.parse(rowCounts.value_text) : null
+            } : null,
+            finalized: finalized ? { status: finalized.value_text, finishedFixtures: finalized.value_int, at: finalized.value_datetime } : null
+        };
+    } finally {
+        await db.close();
+    }
+}
+
+module.exports = {
+    getStatus
+};
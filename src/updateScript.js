@@ -1,70 +1,218 @@
-const sql = require('tedious');
+const { createDatabase, tables } = require('./db');
+const { updateMarketSnapshots } = require('./market');
+const { updatePlayerFixturePoints } = require('./bonus');
+const { getManagerIds, getManagerPicks, createScoringContext, updateManagers } = require('./managers');
+const { getLeagueIds, getLeagues, updateLeagues } = require('./leagues');
+const { readLiveState, detectPlayerEvents, updatePlayerEvents } = require('./events');
+const { loadWebhookConfig, retryFailedDeliveries, sendWebhooks } = require('./webhooks');
+const { checkPayload, quarantinePayload, toDecimal } = require('./schemas');
+const { annotateRun, timeStep } = require('./metrics');
+const { loadConfig: loadProjectionConfig, updateProjections } = require('./projections');
+
+// Parts of a sync that can be selected with options.only:
+//   teams     teams and element_types
+//   events    gameweeks
+//   fixtures  fixtures
+//   players   players and market snapshots
+//   live      player_gameweek_stats, fixture_stats, player_fixture_points and player_events
+//   managers  manager_picks and manager_gameweeks
+//   leagues   leagues and league_standings
+const SYNC_STEPS = ['teams', 'events', 'fixtures', 'players', 'live', 'managers', 'leagues'];
+
+function includesStep(only, step) {
+    return !only || only.includes(step);
+}
+
+// All FPL still changes about a previous gameweek is its live data: stats, match stats and
+// fixture points with the confirmed bonus. Teams, players, fixtures, picks and standings
+// belong to the current gameweek, so finalizing a previous one leaves them alone.
+const PREVIOUS_GAMEWEEK_STEPS = ['live'];
+
+// Run one update against the FPL API (or a replayed capture), then refresh the player projections
+// when the data they are computed from changed.
+// Returns 'skipped' when no game is live and nothing needs finalizing, 'invalid' when validation fails,
+// 'finalized' when finished or data_checked gameweeks were synced, 'updated' otherwise.
+// Options: force syncs the current gameweek even when no game is live, only limits the sync to
+// some of SYNC_STEPS (dbo.metadata and projections are then left alone), and dryRun rolls every write back.
+async function runUpdate(client, options = {}) {
+    // A bad PROJECTION_GAMEWEEKS fails the run up front instead of being logged after the sync
+    const { horizon } = loadProjectionConfig();
+
+    // Webhook deliveries that failed last time go out first, whether or not anything is live now
+    if (!options.dryRun) {
+        try {
+            await timeStep('retryWebhooks', () => retryWebhooks());
+        } catch (error) {
+            console.error('Error resending webhooks:', error.message);
+        }
+    }
+
+    const { outcome, marketChanged } = await syncData(client, options);
+
+    // Projections only read players, teams, events and fixtures, so they follow a sync of a gameweek
+    // or a market update that changed any of them, not every skipped run
+    const inputsChanged = outcome === 'updated' || outcome === 'finalized' || marketChanged;
+    if (inputsChanged && !options.only && !options.dryRun) {
+        try {
+            await timeStep('updateProjections', () => updateProjections({ horizon }));
+        } catch (error) {
+            console.error('Error updating projections:', error.message);
+        }
+    }
+
+    return outcome;
+}
 
-// Main execution
-async function main() {
-    console.log('*** Update script started at:', new Date().toISOString());
+// Resend failed webhook deliveries; no database connection is made without webhooks
+async function retryWebhooks(config = loadWebhookConfig()) {
+    if (config.webhooks.length === 0) {
+        return 0;
+    }
 
+    const db = createDatabase();
+    await db.connect();
     try {
-        // Check if any game is currently live
-        const isGameLive = await checkIfGameIsLive();
+        return await retryFailedDeliveries(db, config);
+    } finally {
+        await db.close();
+    }
+}
 
-        if (!isGameLive) {
-            console.log('No live games. Skipping update.');
-            process.exit(0);
+// The sync itself: the live gameweek, or market data and finalization when no game is live.
+// Returns { outcome } (see runUpdate), with marketChanged when a market update changed any row.
+async function syncData(client, options) {
+    // Check if any game is currently live; also run when forced, so the run records the live state
+    const isGameLive = await checkIfGameIsLive(client);
+
+    if (!isGameLive && !options.force) {
+        console.log('No live games. Skipping live update.');
+
+        // Prices, ownership and transfers move outside matches too (e.g. the daily price change)
+        const bootstrapData = await getBootstrapData(client);
+        if (!validateBootstrapData(bootstrapData)) {
+            console.error('Data validation failed. Skipping market update to prevent data corruption.');
+            return { outcome: 'invalid' };
         }
+        const marketChanged = await updateMarket(bootstrapData, options) > 0;
 
-        console.log('Live game detected! Updating database...');
+        // FPL confirms bonus, and sets finished and data_checked, after the last live run
+        const fixturesData = await getFixturesData(client);
+        const pending = await getPendingFinalizations(bootstrapData, fixturesData);
 
-        // Get all FPL data
-        const bootstrapData = await getBootstrapData();
-        const gameweekData = await getCurrentGameweekData();
-        const fixturesData = await getFixturesData();
+        if (pending.length === 0) {
+            return { outcome: 'skipped', marketChanged };
+        }
 
-        // Validate data before updating
-        if (!validateData(bootstrapData, gameweekData, fixturesData)) {
-            console.error('Data validation failed. Skipping database update to prevent data corruption.');
-            process.exit(1);
+        for (const gameweekId of pending) {
+            console.log(`Finalizing gameweek ${gameweekId}...`);
+            const gameweek = bootstrapData.events.find(event => event.id === gameweekId);
+            const only = gameweek.is_previous
+                ? PREVIOUS_GAMEWEEK_STEPS.filter(step => includesStep(options.only, step))
+                : options.only;
+            if (await syncGameweek(client, bootstrapData, fixturesData, gameweekId, { ...options, only, finalizing: true }) === 'invalid') {
+                return { outcome: 'invalid' };
+            }
         }
 
-        // Update database
-        await updateDatabase(bootstrapData, gameweekData, fixturesData);
+        console.log('Finalization completed successfully');
+        return { outcome: 'finalized' };
+    }
 
-        console.log('Database update completed successfully');
-        process.exit(0);
+    console.log(!isGameLive ? 'Forced sync of the current gameweek. Updating database...' : 'Live game detected! Updating database...');
 
-    } catch (error) {
-        console.error('Error in update script:', error);
-        process.exit(1);
+    // Get all FPL data
+    const bootstrapData = await getBootstrapData(client);
+    const currentGameweek = bootstrapData.events.find(event => event.is_current);
+    if (!currentGameweek) {
+        throw new Error('No current gameweek found');
     }
+    const fixturesData = await getFixturesData(client);
+
+    const outcome = await syncGameweek(client, bootstrapData, fixturesData, currentGameweek.id, options);
+    if (outcome === 'updated') {
+        console.log(options.dryRun ? 'Dry run completed' : 'Database update completed successfully');
+    }
+    return { outcome };
 }
 
-// Validate that all required data is present and valid
-function validateData(bootstrapData, gameweekData, fixturesData) {
-    console.log('Validating data before database update...');
+// Fetch the live data of one gameweek, validate it and write it with everything derived from it
+async function syncGameweek(client, bootstrapData, fixturesData, gameweekId, options = {}) {
+    const gameweekData = await getGameweekData(client, gameweekId);
 
-    // Validate bootstrap data
-    if (!bootstrapData) {
-        console.error('Bootstrap data is null or undefined');
-        return false;
+    // Validate data before updating
+    if (!validateData(bootstrapData, gameweekData, fixturesData)) {
+        console.error('Data validation failed. Skipping database update to prevent data corruption.');
+        return 'invalid';
     }
 
-    if (!bootstrapData.teams || !Array.isArray(bootstrapData.teams) || bootstrapData.teams.length === 0) {
-        console.error('Invalid or empty teams data');
-        return false;
+    // Picks of the managers in FPL_MANAGER_IDS and the leagues in FPL_LEAGUE_IDS, scored live in the same transaction
+    const managerIds = includesStep(options.only, 'managers') ? getManagerIds() : [];
+    const managers = managerIds.length > 0 ? await getManagerPicks(client, managerIds, gameweekId) : [];
+    const leagueIds = includesStep(options.only, 'leagues') ? getLeagueIds() : [];
+    const leagues = leagueIds.length > 0 ? await getLeagues(client, leagueIds, gameweekId) : [];
+
+    // Update database
+    await updateDatabase(bootstrapData, gameweekData, fixturesData, { managers, leagues, only: options.only, dryRun: options.dryRun, finalizing: options.finalizing });
+
+    return 'updated';
+}
+
+// Metadata key recording how far a gameweek has been finalized
+function finalizationKey(gameweekId) {
+    return `gameweek_${gameweekId}_finalized`;
+}
+
+// Finalization state of a gameweek from the API: the number of fixtures FPL has marked finished
+// (bonus confirmed) and 'in_progress', 'finished' (every fixture finished) or 'data_checked'
+function getFinalizationStatus(event, fixtures) {
+    const gameweekFixtures = fixtures.filter(fixture => fixture.event === event.id);
+    const finishedFixtures = gameweekFixtures.filter(fixture => fixture.finished).length;
+
+    let status = 'in_progress';
+    if (finishedFixtures > 0 && finishedFixtures === gameweekFixtures.length) {
+        status = event.data_checked ? 'data_checked' : 'finished';
     }
 
-    if (!bootstrapData.elements || !Array.isArray(bootstrapData.elements) || bootstrapData.elements.length === 0) {
-        console.error('Invalid or empty players (elements) data');
-        return false;
+    return { status, finishedFixtures };
+}
+
+// Current and previous gameweeks where more fixtures are finished, or the gameweek became
+// data_checked, since they were last synced (as recorded in dbo.metadata)
+async function getPendingFinalizations(bootstrapData, fixturesData) {
+    const candidates = bootstrapData.events.filter(event =>
+        (event.is_current || event.is_previous) && getFinalizationStatus(event, fixturesData).finishedFixtures > 0
+    );
+
+    if (candidates.length === 0) {
+        return [];
     }
 
-    if (!bootstrapData.events || !Array.isArray(bootstrapData.events) || bootstrapData.events.length === 0) {
-        console.error('Invalid or empty events data');
-        return false;
+    const db = createDatabase();
+    await db.connect();
+
+    try {
+        const markers = new Map((await db.select(tables.metadata, {
+            where: { key_name: candidates.map(event => finalizationKey(event.id)) }
+        })).map(row => [row.key_name, row]));
+
+        return candidates
+            .filter(event => {
+                const { status, finishedFixtures } = getFinalizationStatus(event, fixturesData);
+                const marker = markers.get(finalizationKey(event.id));
+                return !marker || marker.value_int < finishedFixtures || marker.value_text !== status;
+            })
+            .map(event => event.id);
+    } finally {
+        await db.close();
     }
+}
 
-    if (!bootstrapData.element_types || !Array.isArray(bootstrapData.element_types) || bootstrapData.element_types.length === 0) {
-        console.error('Invalid or empty element_types data');
+// Validate the bootstrap, fixtures and event-live payloads field by field (see ./schemas)
+// before anything is written. Rejected payloads are quarantined with the reasons.
+function validateData(bootstrapData, gameweekData, fixturesData) {
+    console.log('Validating data before database update...');
+
+    if (!validateBootstrapData(bootstrapData)) {
         return false;
     }
 
@@ -79,17 +227,49 @@ function validateData(bootstrapData, gameweekData, fixturesData) {
         return false;
     }
 
-    if (!gameweekData.elements || !Array.isArray(gameweekData.elements) || gameweekData.elements.length === 0) {
-        console.error('Invalid or empty gameweek elements data');
+    if (!checkPayload('live', { elements: gameweekData.elements }, { gameweek: gameweekData.gameweekId })) {
+        return false;
+    }
+
+    if (gameweekData.elements.length === 0) {
+        console.error('Empty gameweek elements data');
         return false;
     }
 
     // Validate fixtures data
-    if (!fixturesData || !Array.isArray(fixturesData) || fixturesData.length === 0) {
-        console.error('Invalid or empty fixtures data');
+    if (!checkPayload('fixtures', fixturesData)) {
         return false;
     }
 
+    if (fixturesData.length === 0) {
+        console.error('Empty fixtures data');
+        return false;
+    }
+
+    console.log('Data validation passed:');
+    console.log(`- ${bootstrapData.teams.length} teams`);
+    console.log(`- ${bootstrapData.elements.length} players`);
+    console.log(`- ${bootstrapData.events.length} events`);
+    console.log(`- ${bootstrapData.element_types.length} element types`);
+    console.log(`- ${fixturesData.length} fixtures`);
+    console.log(`- ${gameweekData.elements.length} live player stats for gameweek ${gameweekData.gameweekId}`);
+
+    return true;
+}
+
+// Validate the bootstrap-static payload on its own (also used by market-only runs)
+function validateBootstrapData(bootstrapData) {
+    if (!checkPayload('bootstrap', bootstrapData)) {
+        return false;
+    }
+
+    for (const field of ['teams', 'elements', 'events', 'element_types']) {
+        if (bootstrapData[field].length === 0) {
+            console.error(`Empty ${field} data`);
+            return false;
+        }
+    }
+
     // Sanity checks on data quality
     const expectedTeamsCount = 20; // Premier League has 20 teams
     const minPlayersCount = 400; // Should have at least 400 players
@@ -101,7 +281,13 @@ function validateData(bootstrapData, gameweekData, fixturesData) {
     }
 
     if (bootstrapData.elements.length < minPlayersCount) {
-        console.error(`Invalid player count: Expected at least ${minPlayersCount} players, but got ${bootstrapData.elements.length}`);
+        const reason = `Invalid player count: Expected at least ${minPlayersCount} players, but got ${bootstrapData.elements.length}`;
+        console.error(reason);
+        try {
+            console.error(`Rejected bootstrap payload quarantined to ${quarantinePayload('bootstrap', bootstrapData, [reason])}`);
+        } catch (error) {
+            console.error('Could not quarantine bootstrap payload:', error.message);
+        }
         return false;
     }
 
@@ -110,42 +296,20 @@ function validateData(bootstrapData, gameweekData, fixturesData) {
         // Don't fail, just warn as this might be early season
     }
 
-    console.log('Data validation passed:');
-    console.log(`- ${bootstrapData.teams.length} teams`);
-    console.log(`- ${bootstrapData.elements.length} players`);
-    console.log(`- ${bootstrapData.events.length} events`);
-    console.log(`- ${bootstrapData.element_types.length} element types`);
-    console.log(`- ${fixturesData.length} fixtures`);
-    console.log(`- ${gameweekData.elements.length} live player stats for gameweek ${gameweekData.gameweekId}`);
-
     return true;
 }
 
 // Check if any FPL game is currently live
-async function checkIfGameIsLive() {
+async function checkIfGameIsLive(client) {
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-        const response = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/', {
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`API returned status ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
+        const data = await client.getBootstrap();
 
         if (!data || !data.events) {
             throw new Error('Bootstrap API returned invalid events data');
         }
 
-        const events = data.events;
-
         // Find current gameweek
-        const currentGameweek = events.find(event => event.is_current);
+        const currentGameweek = data.events.find(event => event.is_current);
 
         if (!currentGameweek) {
             console.log('No current gameweek found');
@@ -153,21 +317,10 @@ async function checkIfGameIsLive() {
         }
 
         console.log(`Current gameweek: ${currentGameweek.id}`);
+        annotateRun({ gameweek: currentGameweek.id });
 
         // Check if any fixture in current gameweek is live
-        const controller2 = new AbortController();
-        const timeoutId2 = setTimeout(() => controller2.abort(), 30000);
-
-        const fixturesResponse = await fetch(`https://fantasy.premierleague.com/api/fixtures/?event=${currentGameweek.id}`, {
-            signal: controller2.signal
-        });
-        clearTimeout(timeoutId2);
-
-        if (!fixturesResponse.ok) {
-            throw new Error(`API returned status ${fixturesResponse.status}: ${fixturesResponse.statusText}`);
-        }
-
-        const fixtures = await fixturesResponse.json();
+        const fixtures = await client.getFixtures();
 
         if (!fixtures || !Array.isArray(fixtures)) {
             throw new Error('Fixtures API returned invalid data');
@@ -175,9 +328,11 @@ async function checkIfGameIsLive() {
 
         // A fixture is live if it has started but not finished
         const liveFixtures = fixtures.filter(fixture =>
-            fixture.started === true && fixture.finished === false
+            fixture.event === currentGameweek.id && fixture.started === true && fixture.finished === false
         );
 
+        annotateRun({ live: liveFixtures.length > 0 });
+
         if (liveFixtures.length > 0) {
             console.log(`Found ${liveFixtures.length} live fixture(s)`);
             return true;
@@ -187,32 +342,16 @@ async function checkIfGameIsLive() {
         return false;
 
     } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('Request timeout while checking if game is live');
-        } else {
-            console.error('Error checking if game is live:', error.message);
-        }
+        console.error('Error checking if game is live:', error.message);
         throw error;
     }
 }
 
 // Get bootstrap static data (teams, players, events)
-async function getBootstrapData() {
+async function getBootstrapData(client) {
     try {
         console.log('Fetching bootstrap data...');
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-        const response = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/', {
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`API returned status ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
+        const data = await client.getBootstrap();
 
         if (!data) {
             throw new Error('Bootstrap API returned empty response');
@@ -221,58 +360,18 @@ async function getBootstrapData() {
         console.log(`Retrieved ${data.teams?.length || 0} teams, ${data.elements?.length || 0} players, ${data.events?.length || 0} events`);
         return data;
     } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('Request timeout while fetching bootstrap data');
-        } else {
-            console.error('Error fetching bootstrap data:', error.message);
-        }
+        console.error('Error fetching bootstrap data:', error.message);
         throw error;
     }
 }
 
-// Get current gameweek data from FPL API
-async function getCurrentGameweekData() {
+// Get the live data of one gameweek from FPL API
+async function getGameweekData(client, gameweekId) {
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-        const bootstrapResponse = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/', {
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-
-        if (!bootstrapResponse.ok) {
-            throw new Error(`API returned status ${bootstrapResponse.status}: ${bootstrapResponse.statusText}`);
-        }
-
-        const bootstrapData = await bootstrapResponse.json();
-
-        if (!bootstrapData || !bootstrapData.events) {
-            throw new Error('Bootstrap API returned invalid events data');
-        }
-
-        const currentGameweek = bootstrapData.events.find(event => event.is_current);
-
-        if (!currentGameweek) {
-            throw new Error('No current gameweek found');
-        }
-
-        console.log(`Fetching live data for gameweek ${currentGameweek.id}...`);
+        console.log(`Fetching live data for gameweek ${gameweekId}...`);
 
         // Get live gameweek data
-        const controller2 = new AbortController();
-        const timeoutId2 = setTimeout(() => controller2.abort(), 30000);
-
-        const liveResponse = await fetch(`https://fantasy.premierleague.com/api/event/${currentGameweek.id}/live/`, {
-            signal: controller2.signal
-        });
-        clearTimeout(timeoutId2);
-
-        if (!liveResponse.ok) {
-            throw new Error(`API returned status ${liveResponse.status}: ${liveResponse.statusText}`);
-        }
-
-        const liveData = await liveResponse.json();
+        const liveData = await client.getEventLive(gameweekId);
 
         if (!liveData || !liveData.elements) {
             throw new Error('Live API returned invalid player data');
@@ -281,37 +380,21 @@ async function getCurrentGameweekData() {
         console.log(`Retrieved live stats for ${liveData.elements.length} players`);
 
         return {
-            gameweekId: currentGameweek.id,
+            gameweekId,
             elements: liveData.elements // Player stats
         };
 
     } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('Request timeout while fetching gameweek data');
-        } else {
-            console.error('Error fetching gameweek data:', error.message);
-        }
+        console.error('Error fetching gameweek data:', error.message);
         throw error;
     }
 }
 
 // Get fixtures data
-async function getFixturesData() {
+async function getFixturesData(client) {
     try {
         console.log('Fetching fixtures data...');
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-        const response = await fetch('https://fantasy.premierleague.com/api/fixtures/', {
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`API returned status ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
+        const data = await client.getFixtures();
 
         if (!data || !Array.isArray(data)) {
             throw new Error('Fixtures API returned invalid data');
@@ -320,467 +403,438 @@ async function getFixturesData() {
         console.log(`Retrieved ${data.length} fixtures`);
         return data;
     } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('Request timeout while fetching fixtures data');
-        } else {
-            console.error('Error fetching fixtures data:', error.message);
-        }
+        console.error('Error fetching fixtures data:', error.message);
         throw error;
     }
 }
 
-// Update SQL database with all FPL data
-async function updateDatabase(bootstrapData, gameweekData, fixturesData) {
-    const config = {
-        server: process.env.SQL_SERVER,
-        authentication: {
-            type: 'default',
-            options: {
-                userName: process.env.SQL_USER,
-                password: process.env.SQL_PASSWORD
+// Update the database with all FPL data, or only the SYNC_STEPS listed in only
+async function updateDatabase(bootstrapData, gameweekData, fixturesData, { managers = [], leagues = [], only = null, dryRun = false, finalizing = false } = {}) {
+    const db = createDatabase();
+    await db.connect();
+
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        // Update all tables in one transaction so a failure leaves the previous sync intact
+        const events = await db.transaction(async () => {
+            const rowCounts = {};
+            let events = [];
+            if (includesStep(only, 'teams')) {
+                rowCounts.teams = await timeStep('updateTeams', () => updateTeams(db, bootstrapData.teams));
+                rowCounts.element_types = await timeStep('updateElementTypes', () => updateElementTypes(db, bootstrapData.element_types));
+            }
+            if (includesStep(only, 'events')) {
+                rowCounts.events = await timeStep('updateEvents', () => updateEvents(db, bootstrapData.events));
+            }
+            if (includesStep(only, 'fixtures')) {
+                rowCounts.fixtures = await timeStep('updateFixtures', () => updateFixtures(db, fixturesData));
+            }
+            if (includesStep(only, 'players')) {
+                rowCounts.player_market_snapshots = await timeStep('updateMarketSnapshots', () => updateMarketSnapshots(db, bootstrapData.elements, gameweekData.gameweekId));
+                rowCounts.players = await timeStep('updatePlayers', () => updatePlayers(db, bootstrapData.elements));
             }
-        },
-        options: {
-            database: process.env.SQL_DATABASE,
-            encrypt: process.env.SQL_ENCRYPT === 'true',
-            trustServerCertificate: false,
-            connectTimeout: 30000,
-            requestTimeout: 60000 // Increased timeout for multiple updates
-        }
-    };
 
-    return new Promise((resolve, reject) => {
-        const connection = new sql.Connection(config);
+            if (includesStep(only, 'live')) {
+                // Live stats as stored by the previous run, to log what changed since
+                const previousLive = await timeStep('readLiveState', () => readLiveState(db, gameweekData.gameweekId));
+                rowCounts.player_gameweek_stats = await timeStep('updatePlayerStats', () => updatePlayerStats(db, gameweekData));
+                rowCounts.fixture_stats = await timeStep('updateFixtureStats', () => updateFixtureStats(db, fixturesData, gameweekData.gameweekId));
+                rowCounts.player_fixture_points = await timeStep('updatePlayerFixturePoints', () => updatePlayerFixturePoints(db, gameweekData, fixturesData));
+                events = detectPlayerEvents(previousLive, gameweekData, fixturesData);
+                rowCounts.player_events = await timeStep('updatePlayerEvents', () => updatePlayerEvents(db, events));
+            }
 
-        connection.on('connect', async (err) => {
-            if (err) {
-                console.error('Database connection error:', err.message);
-                reject(err);
-                return;
+            const scoringContext = createScoringContext(bootstrapData, gameweekData, fixturesData);
+            if (includesStep(only, 'managers')) {
+                rowCounts.manager_gameweeks = await timeStep('updateManagers', () => updateManagers(db, managers, scoringContext));
+            }
+            if (includesStep(only, 'leagues')) {
+                rowCounts.league_standings = await timeStep('updateLeagues', () => updateLeagues(db, leagues, scoringContext));
             }
 
-            console.log('Connected to SQL database');
-
-            try {
-                // Update all tables in sequence
-                await updateTeams(connection, bootstrapData.teams);
-                await updateElementTypes(connection, bootstrapData.element_types);
-                await updateEvents(connection, bootstrapData.events);
-                await updateFixtures(connection, fixturesData);
-                await updatePlayers(connection, bootstrapData.elements);
-                await updatePlayerStats(connection, gameweekData);
-
-                connection.close();
-                resolve();
-            } catch (error) {
-                connection.close();
-                reject(error);
+            // A partial sync is not recorded as the last sync; a finalization pass records the
+            // finalization once it has synced the live data
+            if (!only || (finalizing && only.includes('live'))) {
+                const gameweek = bootstrapData.events.find(event => event.id === gameweekData.gameweekId);
+                const finalization = gameweek ? getFinalizationStatus(gameweek, fixturesData) : null;
+                await timeStep('updateMetadata', () => updateMetadata(db, gameweekData.gameweekId, rowCounts, finalization, finalizing));
+            } else {
+                console.log(`Partial sync (${only.join(', ')}): row counts ${JSON.stringify(rowCounts)}`);
             }
-        });
+            return events;
+        }, { rollback: dryRun });
+
+        if (dryRun) {
+            console.log('Dry run: transaction rolled back, nothing was written');
+            return;
+        }
+        console.log('Transaction committed');
+
+        // Notify webhooks only once the events are stored, so a rollback never sends anything
+        try {
+            await sendWebhooks(db, events, bootstrapData, fixturesData);
+        } catch (error) {
+            console.error('Error sending webhooks:', error.message);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+// Refresh the bootstrap tables and record market snapshots when no game is live.
+// Returns the number of team, element type, event and player rows changed.
+async function updateMarket(bootstrapData, { only = null, dryRun = false } = {}) {
+    const currentGameweek = bootstrapData.events.find(event => event.is_current);
 
-        connection.on('error', (err) => {
-            console.error('Connection error:', err.message);
-            reject(err);
+    const db = createDatabase();
+    await db.connect();
+
+    console.log(`Connected to ${db.dialect} database`);
+
+    try {
+        const changed = await db.transaction(async () => {
+            let updateCount = 0;
+            if (includesStep(only, 'teams')) {
+                updateCount += await timeStep('updateTeams', () => updateTeams(db, bootstrapData.teams));
+                updateCount += await timeStep('updateElementTypes', () => updateElementTypes(db, bootstrapData.element_types));
+            }
+            if (includesStep(only, 'events')) {
+                updateCount += await timeStep('updateEvents', () => updateEvents(db, bootstrapData.events));
+            }
+            if (includesStep(only, 'players')) {
+                await timeStep('updateMarketSnapshots', () => updateMarketSnapshots(db, bootstrapData.elements, currentGameweek ? currentGameweek.id : null));
+                updateCount += await timeStep('updatePlayers', () => updatePlayers(db, bootstrapData.elements));
+            }
+            return updateCount;
+        }, { rollback: dryRun });
+        console.log(dryRun ? 'Dry run: transaction rolled back, nothing was written' : 'Transaction committed');
+        return changed;
+    } finally {
+        await db.close();
+    }
+}
+
+// Record the last successful sync in the metadata table, and how far the synced gameweek
+// was finalized once any of its fixtures are finished. A finalization pass over an earlier
+// gameweek only records the finalization, so the last sync still points at the current gameweek.
+async function updateMetadata(db, gameweekId, rowCounts, finalization = null, finalizing = false) {
+    const rows = finalizing ? [] : [
+        { key_name: 'last_fpl_update', value_text: null, value_int: null, value_datetime: new Date() },
+        { key_name: 'last_fpl_update_gameweek', value_text: null, value_int: gameweekId, value_datetime: null },
+        { key_name: 'last_fpl_update_row_counts', value_text: JSON.stringify(rowCounts), value_int: null, value_datetime: null }
+    ];
+
+    if (finalization && finalization.finishedFixtures > 0) {
+        rows.push({
+            key_name: finalizationKey(gameweekId),
+            value_text: finalization.status,
+            value_int: finalization.finishedFixtures,
+            value_datetime: new Date()
         });
+    }
 
-        connection.connect();
-    });
+    await db.upsert(tables.metadata, rows);
+    console.log(finalizing
+        ? `Metadata updated: gameweek ${gameweekId} finalization recorded`
+        : `Metadata updated: gameweek ${gameweekId}, row counts ${JSON.stringify(rowCounts)}`);
 }
 
 // Update teams table
-async function updateTeams(connection, teams) {
+async function updateTeams(db, teams) {
     console.log(`Updating ${teams.length} teams...`);
-    let updateCount = 0;
-
-    for (const team of teams) {
-        await new Promise((resolve, reject) => {
-            const query = `
-                MERGE dbo.teams AS target
-                USING (SELECT @id AS id) AS source
-                ON target.id = source.id
-                WHEN MATCHED THEN
-                    UPDATE SET
-                        name = @name,
-                        short_name = @short_name,
-                        code = @code,
-                        position = @position,
-                        strength = @strength,
-                        strength_overall_home = @strength_overall_home,
-                        strength_overall_away = @strength_overall_away,
-                        strength_attack_home = @strength_attack_home,
-                        strength_attack_away = @strength_attack_away,
-                        strength_defence_home = @strength_defence_home,
-                        strength_defence_away = @strength_defence_away,
-                        pulse_id = @pulse_id,
-                        last_updated = GETUTCDATE()
-                WHEN NOT MATCHED THEN
-                    INSERT (id, name, short_name, code, position, strength, strength_overall_home, strength_overall_away,
-                            strength_attack_home, strength_attack_away, strength_defence_home, strength_defence_away, pulse_id)
-                    VALUES (@id, @name, @short_name, @code, @position, @strength, @strength_overall_home, @strength_overall_away,
-                            @strength_attack_home, @strength_attack_away, @strength_defence_home, @strength_defence_away, @pulse_id);
-            `;
-
-            const request = new sql.Request(query, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-
-            request.addParameter('id', sql.TYPES.Int, team.id);
-            request.addParameter('name', sql.TYPES.NVarChar, team.name);
-            request.addParameter('short_name', sql.TYPES.NVarChar, team.short_name);
-            request.addParameter('code', sql.TYPES.Int, team.code);
-            request.addParameter('position', sql.TYPES.Int, team.position || null);
-            request.addParameter('strength', sql.TYPES.Int, team.strength || null);
-            request.addParameter('strength_overall_home', sql.TYPES.Int, team.strength_overall_home || null);
-            request.addParameter('strength_overall_away', sql.TYPES.Int, team.strength_overall_away || null);
-            request.addParameter('strength_attack_home', sql.TYPES.Int, team.strength_attack_home || null);
-            request.addParameter('strength_attack_away', sql.TYPES.Int, team.strength_attack_away || null);
-            request.addParameter('strength_defence_home', sql.TYPES.Int, team.strength_defence_home || null);
-            request.addParameter('strength_defence_away', sql.TYPES.Int, team.strength_defence_away || null);
-            request.addParameter('pulse_id', sql.TYPES.Int, team.pulse_id || null);
-
-            connection.execSql(request);
-        });
-        updateCount++;
-    }
+
+    const rows = teams.map(team => ({
+        id: team.id,
+        name: team.name,
+        short_name: team.short_name,
+        code: team.code,
+        position: team.position ?? null,
+        strength: team.strength ?? null,
+        strength_overall_home: team.strength_overall_home ?? null,
+        strength_overall_away: team.strength_overall_away ?? null,
+        strength_attack_home: team.strength_attack_home ?? null,
+        strength_attack_away: team.strength_attack_away ?? null,
+        strength_defence_home: team.strength_defence_home ?? null,
+        strength_defence_away: team.strength_defence_away ?? null,
+        pulse_id: team.pulse_id ?? null
+    }));
+
+    const updateCount = await db.upsert(tables.teams, rows);
     console.log(`Teams updated: ${updateCount}`);
+
+    return updateCount;
 }
 
 // Update element_types (positions) table
-async function updateElementTypes(connection, elementTypes) {
+async function updateElementTypes(db, elementTypes) {
     console.log(`Updating ${elementTypes.length} element types...`);
-    let updateCount = 0;
-
-    for (const type of elementTypes) {
-        await new Promise((resolve, reject) => {
-            const query = `
-                MERGE dbo.element_types AS target
-                USING (SELECT @id AS id) AS source
-                ON target.id = source.id
-                WHEN MATCHED THEN
-                    UPDATE SET
-                        plural_name = @plural_name,
-                        plural_name_short = @plural_name_short,
-                        singular_name = @singular_name,
-                        singular_name_short = @singular_name_short,
-                        squad_select = @squad_select,
-                        squad_min_play = @squad_min_play,
-                        squad_max_play = @squad_max_play,
-                        last_updated = GETUTCDATE()
-                WHEN NOT MATCHED THEN
-                    INSERT (id, plural_name, plural_name_short, singular_name, singular_name_short,
-                            squad_select, squad_min_play, squad_max_play)
-                    VALUES (@id, @plural_name, @plural_name_short, @singular_name, @singular_name_short,
-                            @squad_select, @squad_min_play, @squad_max_play);
-            `;
-
-            const request = new sql.Request(query, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-
-            request.addParameter('id', sql.TYPES.Int, type.id);
-            request.addParameter('plural_name', sql.TYPES.NVarChar, type.plural_name);
-            request.addParameter('plural_name_short', sql.TYPES.NVarChar, type.plural_name_short);
-            request.addParameter('singular_name', sql.TYPES.NVarChar, type.singular_name);
-            request.addParameter('singular_name_short', sql.TYPES.NVarChar, type.singular_name_short);
-            request.addParameter('squad_select', sql.TYPES.Int, type.squad_select || null);
-            request.addParameter('squad_min_play', sql.TYPES.Int, type.squad_min_play || null);
-            request.addParameter('squad_max_play', sql.TYPES.Int, type.squad_max_play || null);
-
-            connection.execSql(request);
-        });
-        updateCount++;
-    }
+
+    const rows = elementTypes.map(type => ({
+        id: type.id,
+        plural_name: type.plural_name,
+        plural_name_short: type.plural_name_short,
+        singular_name: type.singular_name,
+        singular_name_short: type.singular_name_short,
+        squad_select: type.squad_select ?? null,
+        squad_min_play: type.squad_min_play ?? null,
+        squad_max_play: type.squad_max_play ?? null
+    }));
+
+    const updateCount = await db.upsert(tables.elementTypes, rows);
     console.log(`Element types updated: ${updateCount}`);
+
+    return updateCount;
 }
 
 // Update events (gameweeks) table
-async function updateEvents(connection, events) {
+async function updateEvents(db, events) {
     console.log(`Updating ${events.length} events...`);
-    let updateCount = 0;
-
-    for (const event of events) {
-        await new Promise((resolve, reject) => {
-            const query = `
-                MERGE dbo.events AS target
-                USING (SELECT @id AS id) AS source
-                ON target.id = source.id
-                WHEN MATCHED THEN
-                    UPDATE SET
-                        name = @name,
-                        deadline_time = @deadline_time,
-                        average_entry_score = @average_entry_score,
-                        finished = @finished,
-                        data_checked = @data_checked,
-                        highest_scoring_entry = @highest_scoring_entry,
-                        highest_score = @highest_score,
-                        is_previous = @is_previous,
-                        is_current = @is_current,
-                        is_next = @is_next,
-                        most_selected = @most_selected,
-                        most_transferred_in = @most_transferred_in,
-                        top_element = @top_element,
-                        transfers_made = @transfers_made,
-                        most_captained = @most_captained,
-                        most_vice_captained = @most_vice_captained,
-                        last_updated = GETUTCDATE()
-                WHEN NOT MATCHED THEN
-                    INSERT (id, name, deadline_time, average_entry_score, finished, data_checked, highest_scoring_entry, highest_score,
-                            is_previous, is_current, is_next, most_selected, most_transferred_in, top_element, transfers_made,
-                            most_captained, most_vice_captained)
-                    VALUES (@id, @name, @deadline_time, @average_entry_score, @finished, @data_checked, @highest_scoring_entry, @highest_score,
-                            @is_previous, @is_current, @is_next, @most_selected, @most_transferred_in, @top_element, @transfers_made,
-                            @most_captained, @most_vice_captained);
-            `;
-
-            const request = new sql.Request(query, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-
-            request.addParameter('id', sql.TYPES.Int, event.id);
-            request.addParameter('name', sql.TYPES.NVarChar, event.name);
-            request.addParameter('deadline_time', sql.TYPES.DateTime2, event.deadline_time ? new Date(event.deadline_time) : null);
-            request.addParameter('average_entry_score', sql.TYPES.Int, event.average_entry_score || null);
-            request.addParameter('finished', sql.TYPES.Bit, event.finished || false);
-            request.addParameter('data_checked', sql.TYPES.Bit, event.data_checked || false);
-            request.addParameter('highest_scoring_entry', sql.TYPES.Int, event.highest_scoring_entry || null);
-            request.addParameter('highest_score', sql.TYPES.Int, event.highest_score || null);
-            request.addParameter('is_previous', sql.TYPES.Bit, event.is_previous || false);
-            request.addParameter('is_current', sql.TYPES.Bit, event.is_current || false);
-            request.addParameter('is_next', sql.TYPES.Bit, event.is_next || false);
-            request.addParameter('most_selected', sql.TYPES.Int, event.most_selected || null);
-            request.addParameter('most_transferred_in', sql.TYPES.Int, event.most_transferred_in || null);
-            request.addParameter('top_element', sql.TYPES.Int, event.top_element || null);
-            request.addParameter('transfers_made', sql.TYPES.Int, event.transfers_made || null);
-            request.addParameter('most_captained', sql.TYPES.Int, event.most_captained || null);
-            request.addParameter('most_vice_captained', sql.TYPES.Int, event.most_vice_captained || null);
-
-            connection.execSql(request);
-        });
-        updateCount++;
-    }
+
+    const rows = events.map(event => ({
+        id: event.id,
+        name: event.name,
+        deadline_time: event.deadline_time ? new Date(event.deadline_time) : null,
+        average_entry_score: event.average_entry_score ?? null,
+        finished: event.finished || false,
+        data_checked: event.data_checked || false,
+        highest_scoring_entry: event.highest_scoring_entry ?? null,
+        highest_score: event.highest_score ?? null,
+        is_previous: event.is_previous || false,
+        is_current: event.is_current || false,
+        is_next: event.is_next || false,
+        most_selected: event.most_selected ?? null,
+        most_transferred_in: event.most_transferred_in ?? null,
+        top_element: event.top_element ?? null,
+        transfers_made: event.transfers_made ?? null,
+        most_captained: event.most_captained ?? null,
+        most_vice_captained: event.most_vice_captained ?? null
+    }));
+
+    const updateCount = await db.upsert(tables.events, rows);
     console.log(`Events updated: ${updateCount}`);
+
+    return updateCount;
 }
 
 // Update fixtures table
-async function updateFixtures(connection, fixtures) {
+async function updateFixtures(db, fixtures) {
     console.log(`Updating ${fixtures.length} fixtures...`);
-    let updateCount = 0;
-
-    for (const fixture of fixtures) {
-        await new Promise((resolve, reject) => {
-            const query = `
-                MERGE dbo.fixtures AS target
-                USING (SELECT @id AS id) AS source
-                ON target.id = source.id
-                WHEN MATCHED THEN
-                    UPDATE SET
-                        code = @code,
-                        event = @event,
-                        finished = @finished,
-                        finished_provisional = @finished_provisional,
-                        kickoff_time = @kickoff_time,
-                        minutes = @minutes,
-                        started = @started,
-                        team_a = @team_a,
-                        team_h = @team_h,
-                        team_a_score = @team_a_score,
-                        team_h_score = @team_h_score,
-                        team_a_difficulty = @team_a_difficulty,
-                        team_h_difficulty = @team_h_difficulty,
-                        pulse_id = @pulse_id,
-                        last_updated = GETUTCDATE()
-                WHEN NOT MATCHED THEN
-                    INSERT (id, code, event, finished, finished_provisional, kickoff_time, minutes, started,
-                            team_a, team_h, team_a_score, team_h_score, team_a_difficulty, team_h_difficulty, pulse_id)
-                    VALUES (@id, @code, @event, @finished, @finished_provisional, @kickoff_time, @minutes, @started,
-                            @team_a, @team_h, @team_a_score, @team_h_score, @team_a_difficulty, @team_h_difficulty, @pulse_id);
-            `;
-
-            const request = new sql.Request(query, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-
-            request.addParameter('id', sql.TYPES.Int, fixture.id);
-            request.addParameter('code', sql.TYPES.Int, fixture.code);
-            request.addParameter('event', sql.TYPES.Int, fixture.event || null);
-            request.addParameter('finished', sql.TYPES.Bit, fixture.finished || false);
-            request.addParameter('finished_provisional', sql.TYPES.Bit, fixture.finished_provisional || false);
-            request.addParameter('kickoff_time', sql.TYPES.DateTime2, fixture.kickoff_time ? new Date(fixture.kickoff_time) : null);
-            request.addParameter('minutes', sql.TYPES.Int, fixture.minutes || 0);
-            request.addParameter('started', sql.TYPES.Bit, fixture.started || false);
-            request.addParameter('team_a', sql.TYPES.Int, fixture.team_a);
-            request.addParameter('team_h', sql.TYPES.Int, fixture.team_h);
-            request.addParameter('team_a_score', sql.TYPES.Int, fixture.team_a_score || null);
-            request.addParameter('team_h_score', sql.TYPES.Int, fixture.team_h_score || null);
-            request.addParameter('team_a_difficulty', sql.TYPES.Int, fixture.team_a_difficulty || null);
-            request.addParameter('team_h_difficulty', sql.TYPES.Int, fixture.team_h_difficulty || null);
-            request.addParameter('pulse_id', sql.TYPES.Int, fixture.pulse_id || null);
-
-            connection.execSql(request);
-        });
-        updateCount++;
-    }
+
+    const rows = fixtures.map(fixture => ({
+        id: fixture.id,
+        code: fixture.code,
+        event: fixture.event ?? null,
+        finished: fixture.finished || false,
+        finished_provisional: fixture.finished_provisional || false,
+        kickoff_time: fixture.kickoff_time ? new Date(fixture.kickoff_time) : null,
+        minutes: fixture.minutes ?? null,
+        started: fixture.started || false,
+        team_a: fixture.team_a,
+        team_h: fixture.team_h,
+        team_a_score: fixture.team_a_score ?? null,
+        team_h_score: fixture.team_h_score ?? null,
+        team_a_difficulty: fixture.team_a_difficulty ?? null,
+        team_h_difficulty: fixture.team_h_difficulty ?? null,
+        stats: JSON.stringify(fixture.stats || []),
+        pulse_id: fixture.pulse_id ?? null
+    }));
+
+    const updateCount = await db.upsert(tables.fixtures, rows);
     console.log(`Fixtures updated: ${updateCount}`);
+
+    return updateCount;
 }
 
-// Update players table (from bootstrap data)
-async function updatePlayers(connection, players) {
-    console.log(`Updating ${players.length} players (bootstrap data)...`);
-    let updateCount = 0;
-
-    for (const player of players) {
-        await new Promise((resolve, reject) => {
-            const query = `
-                MERGE dbo.players AS target
-                USING (SELECT @id AS id) AS source
-                ON target.id = source.id
-                WHEN MATCHED THEN
-                    UPDATE SET
-                        web_name = @web_name,
-                        first_name = @first_name,
-                        second_name = @second_name,
-                        team = @team,
-                        element_type = @element_type,
-                        now_cost = @now_cost,
-                        total_points = @total_points,
-                        form = @form,
-                        points_per_game = @points_per_game,
-                        selected_by_percent = @selected_by_percent,
-                        status = @status,
-                        last_updated = GETUTCDATE()
-                WHEN NOT MATCHED THEN
-                    INSERT (id, web_name, first_name, second_name, team, element_type, code, now_cost, total_points,
-                            form, points_per_game, selected_by_percent, status)
-                    VALUES (@id, @web_name, @first_name, @second_name, @team, @element_type, @code, @now_cost, @total_points,
-                            @form, @points_per_game, @selected_by_percent, @status);
-            `;
-
-            const request = new sql.Request(query, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-
-            request.addParameter('id', sql.TYPES.Int, player.id);
-            request.addParameter('web_name', sql.TYPES.NVarChar, player.web_name);
-            request.addParameter('first_name', sql.TYPES.NVarChar, player.first_name || null);
-            request.addParameter('second_name', sql.TYPES.NVarChar, player.second_name || null);
-            request.addParameter('team', sql.TYPES.Int, player.team);
-            request.addParameter('element_type', sql.TYPES.Int, player.element_type);
-            request.addParameter('code', sql.TYPES.Int, player.code);
-            request.addParameter('now_cost', sql.TYPES.Int, player.now_cost);
-            request.addParameter('total_points', sql.TYPES.Int, player.total_points || 0);
-            request.addParameter('form', sql.TYPES.Decimal, parseFloat(player.form) || null);
-            request.addParameter('points_per_game', sql.TYPES.Decimal, parseFloat(player.points_per_game) || null);
-            request.addParameter('selected_by_percent', sql.TYPES.Decimal, parseFloat(player.selected_by_percent) || null);
-            request.addParameter('status', sql.TYPES.NVarChar, player.status || 'a');
-
-            connection.execSql(request);
-        });
-        updateCount++;
-        if (updateCount % 100 === 0) {
-            console.log(`Progress: ${updateCount}/${players.length} players updated`);
+// Replace the flattened match stats of the gameweek's started fixtures in fixture_stats.
+// Only changed stats are written, and stats that disappear (e.g. a goal given as an own goal) are deleted.
+async function updateFixtureStats(db, fixtures, gameweekId) {
+    const refreshed = fixtures.filter(fixture => fixture.event === gameweekId && fixture.started);
+
+    const rows = [];
+    for (const fixture of refreshed) {
+        for (const stat of fixture.stats || []) {
+            for (const side of ['h', 'a']) {
+                for (const entry of stat[side] || []) {
+                    rows.push({
+                        fixture_id: fixture.id,
+                        player_id: entry.element,
+                        identifier: stat.identifier,
+                        side,
+                        value: entry.value
+                    });
+                }
+            }
         }
     }
+
+    console.log(`Refreshing match stats for ${refreshed.length} fixtures...`);
+
+    const updateCount = await db.upsert(tables.fixtureStats, rows);
+
+    // Delete stats the API no longer reports for these fixtures
+    const statKey = row => `${row.fixture_id}:${row.player_id}:${row.identifier}`;
+    const current = new Set(rows.map(statKey));
+    const stored = await db.select(tables.fixtureStats, { where: { fixture_id: refreshed.map(fixture => fixture.id) } });
+    const deleteCount = await db.deleteKeys(tables.fixtureStats, stored.filter(row => !current.has(statKey(row))));
+    console.log(`Fixture stats updated: ${updateCount}, removed: ${deleteCount}`);
+
+    return updateCount + deleteCount;
+}
+
+// Update players table (from bootstrap data)
+async function updatePlayers(db, players) {
+    console.log(`Updating ${players.length} players (bootstrap data)...`);
+
+    const rows = players.map(player => ({
+        id: player.id,
+        web_name: player.web_name,
+        first_name: player.first_name || null,
+        second_name: player.second_name || null,
+        team: player.team,
+        element_type: player.element_type,
+        code: player.code,
+        now_cost: player.now_cost,
+        cost_change_event: player.cost_change_event ?? null,
+        cost_change_start: player.cost_change_start ?? null,
+        transfers_in_event: player.transfers_in_event ?? null,
+        transfers_out_event: player.transfers_out_event ?? null,
+        total_points: player.total_points ?? null,
+        form: toDecimal(player.form),
+        points_per_game: toDecimal(player.points_per_game),
+        selected_by_percent: toDecimal(player.selected_by_percent),
+
+        // Availability (a null chance of playing means there is no news, 0 means ruled out)
+        status: player.status || 'a',
+        news: player.news || null,
+        news_added: player.news_added ? new Date(player.news_added) : null,
+        chance_of_playing_next_round: player.chance_of_playing_next_round ?? null,
+        chance_of_playing_this_round: player.chance_of_playing_this_round ?? null,
+
+        // Season totals
+        event_points: player.event_points ?? null,
+        minutes: player.minutes ?? null,
+        goals_scored: player.goals_scored ?? null,
+        assists: player.assists ?? null,
+        clean_sheets: player.clean_sheets ?? null,
+        goals_conceded: player.goals_conceded ?? null,
+        own_goals: player.own_goals ?? null,
+        penalties_saved: player.penalties_saved ?? null,
+        penalties_missed: player.penalties_missed ?? null,
+        yellow_cards: player.yellow_cards ?? null,
+        red_cards: player.red_cards ?? null,
+        saves: player.saves ?? null,
+        bonus: player.bonus ?? null,
+        bps: player.bps ?? null,
+        starts: player.starts ?? null,
+        expected_goals: toDecimal(player.expected_goals),
+        expected_assists: toDecimal(player.expected_assists),
+        expected_goal_involvements: toDecimal(player.expected_goal_involvements),
+        expected_goals_conceded: toDecimal(player.expected_goals_conceded),
+        influence: toDecimal(player.influence),
+        creativity: toDecimal(player.creativity),
+        threat: toDecimal(player.threat),
+        ict_index: toDecimal(player.ict_index),
+
+        // Ranks
+        influence_rank: player.influence_rank ?? null,
+        influence_rank_type: player.influence_rank_type ?? null,
+        creativity_rank: player.creativity_rank ?? null,
+        creativity_rank_type: player.creativity_rank_type ?? null,
+        threat_rank: player.threat_rank ?? null,
+        threat_rank_type: player.threat_rank_type ?? null,
+        ict_index_rank: player.ict_index_rank ?? null,
+        ict_index_rank_type: player.ict_index_rank_type ?? null,
+
+        // Set pieces
+        corners_and_indirect_freekicks_order: player.corners_and_indirect_freekicks_order ?? null,
+        corners_and_indirect_freekicks_text: player.corners_and_indirect_freekicks_text || null,
+        direct_freekicks_order: player.direct_freekicks_order ?? null,
+        direct_freekicks_text: player.direct_freekicks_text || null,
+        penalties_order: player.penalties_order ?? null,
+        penalties_text: player.penalties_text || null,
+
+        // Additional
+        in_dreamteam: player.in_dreamteam || false,
+        dreamteam_count: player.dreamteam_count ?? null,
+        special: player.special || false,
+        photo: player.photo || null
+    }));
+
+    const updateCount = await db.upsert(tables.players, rows);
     console.log(`Players updated: ${updateCount}`);
+
+    return updateCount;
 }
 
-// Update individual player statistics in the players table (live data)
-async function updatePlayerStats(connection, gameweekData) {
+// Upsert live player statistics for the gameweek into player_gameweek_stats
+async function updatePlayerStats(db, gameweekData) {
     const { gameweekId, elements } = gameweekData;
 
     if (elements.length === 0) {
         console.log('No player data to update');
-        return;
+        return 0;
     }
 
-    console.log(`Updating ${elements.length} players...`);
-
-    let updateCount = 0;
-    let errorCount = 0;
+    console.log(`Updating gameweek ${gameweekId} stats for ${elements.length} players...`);
 
-    // Process players sequentially to avoid overwhelming the connection
-    for (let i = 0; i < elements.length; i++) {
-        const element = elements[i];
+    const rows = elements.map(element => {
         const stats = element.stats;
 
-        try {
-            await new Promise((resolve, reject) => {
-                const query = `
-                    UPDATE dbo.players
-                    SET
-                        event_points = @event_points,
-                        minutes = @minutes,
-                        goals_scored = @goals_scored,
-                        assists = @assists,
-                        clean_sheets = @clean_sheets,
-                        goals_conceded = @goals_conceded,
-                        own_goals = @own_goals,
-                        penalties_saved = @penalties_saved,
-                        penalties_missed = @penalties_missed,
-                        yellow_cards = @yellow_cards,
-                        red_cards = @red_cards,
-                        saves = @saves,
-                        bonus = @bonus,
-                        bps = @bps,
-                        influence = @influence,
-                        creativity = @creativity,
-                        threat = @threat,
-                        ict_index = @ict_index,
-                        last_updated = GETUTCDATE()
-                    WHERE id = @player_id;
-                `;
-
-                const request = new sql.Request(query, (err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-
-                request.addParameter('player_id', sql.TYPES.Int, element.id);
-                request.addParameter('event_points', sql.TYPES.Int, stats.total_points || 0);
-                request.addParameter('minutes', sql.TYPES.Int, stats.minutes || 0);
-                request.addParameter('goals_scored', sql.TYPES.Int, stats.goals_scored || 0);
-                request.addParameter('assists', sql.TYPES.Int, stats.assists || 0);
-                request.addParameter('clean_sheets', sql.TYPES.Int, stats.clean_sheets || 0);
-                request.addParameter('goals_conceded', sql.TYPES.Int, stats.goals_conceded || 0);
-                request.addParameter('own_goals', sql.TYPES.Int, stats.own_goals || 0);
-                request.addParameter('penalties_saved', sql.TYPES.Int, stats.penalties_saved || 0);
-                request.addParameter('penalties_missed', sql.TYPES.Int, stats.penalties_missed || 0);
-                request.addParameter('yellow_cards', sql.TYPES.Int, stats.yellow_cards || 0);
-                request.addParameter('red_cards', sql.TYPES.Int, stats.red_cards || 0);
-                request.addParameter('saves', sql.TYPES.Int, stats.saves || 0);
-                request.addParameter('bonus', sql.TYPES.Int, stats.bonus || 0);
-                request.addParameter('bps', sql.TYPES.Int, stats.bps || 0);
-                request.addParameter('influence', sql.TYPES.Decimal, parseFloat(stats.influence) || 0);
-                request.addParameter('creativity', sql.TYPES.Decimal, parseFloat(stats.creativity) || 0);
-                request.addParameter('threat', sql.TYPES.Decimal, parseFloat(stats.threat) || 0);
-                request.addParameter('ict_index', sql.TYPES.Decimal, parseFloat(stats.ict_index) || 0);
-
-                connection.execSql(request);
-            });
-
-            updateCount++;
-            if (updateCount % 100 === 0) {
-                console.log(`Progress: ${updateCount}/${elements.length} players updated`);
-            }
-        } catch (err) {
-            console.error(`Error updating player ${element.id}:`, err.message);
-            errorCount++;
-        }
-    }
+        return {
+            player_id: element.id,
+            event: gameweekId,
+            total_points: stats.total_points ?? null,
+            minutes: stats.minutes ?? null,
+            goals_scored: stats.goals_scored ?? null,
+            assists: stats.assists ?? null,
+            clean_sheets: stats.clean_sheets ?? null,
+            goals_conceded: stats.goals_conceded ?? null,
+            own_goals: stats.own_goals ?? null,
+            penalties_saved: stats.penalties_saved ?? null,
+            penalties_missed: stats.penalties_missed ?? null,
+            yellow_cards: stats.yellow_cards ?? null,
+            red_cards: stats.red_cards ?? null,
+            saves: stats.saves ?? null,
+            bonus: stats.bonus ?? null,
+            bps: stats.bps ?? null,
+            starts: stats.starts ?? null,
+            expected_goals: toDecimal(stats.expected_goals),
+            expected_assists: toDecimal(stats.expected_assists),
+            expected_goal_involvements: toDecimal(stats.expected_goal_involvements),
+            expected_goals_conceded: toDecimal(stats.expected_goals_conceded),
+            influence: toDecimal(stats.influence),
+            creativity: toDecimal(stats.creativity),
+            threat: toDecimal(stats.threat),
+            ict_index: toDecimal(stats.ict_index),
+            in_dreamteam: stats.in_dreamteam || false
+        };
+    });
 
-    console.log(`Update complete: ${updateCount} successful, ${errorCount} errors`);
+    const updateCount = await db.upsert(tables.playerGameweekStats, rows);
+    console.log(`Player gameweek stats updated: ${updateCount}`);
 
-    if (errorCount > 0) {
-        throw new Error(`Failed to update ${errorCount} players`);
-    }
+    return updateCount;
 }
 
-// Run the script
-main();
+module.exports = {
+    SYNC_STEPS,
+    runUpdate,
+    validateData,
+    validateBootstrapData,
+    checkIfGameIsLive,
+    getBootstrapData,
+    getGameweekData,
+    syncGameweek,
+    getFinalizationStatus,
+    getPendingFinalizations,
+    getFixturesData,
+    updateDatabase,
+    updateTeams,
+    updateElementTypes,
+    updateEvents,
+    updateFixtures,
+    updateFixtureStats,
+    updatePlayers,
+    updatePlayerStats
+};
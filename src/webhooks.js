@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { tables } = require('./db');
+const { isRetryableStatus, parseMaxRetryDelay, getRetryDelay, sleep } = require('./retry');
+
+const FORMATS = ['generic', 'discord', 'slack'];
+
+// player_events types sent by default: goals, assists, cards, penalty misses, lost clean sheets and bonus
+const DEFAULT_EVENT_TYPES = ['goals_scored', 'assists', 'yellow_cards', 'red_cards', 'penalties_missed', 'clean_sheets', 'bonus'];
+
+// Events per request, kept well below Discord's 2000-character message limit
+const BATCH_SIZE = 10;
+
+// Webhooks from WEBHOOK_URLS: a comma-separated list of URLs, each optionally prefixed
+// with its payload format ("discord=https://..."). Without a prefix the format is
+// detected from the host, falling back to generic JSON.
+function loadWebhookConfig(env = process.env) {
+    const webhooks = (env.WEBHOOK_URLS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry !== '')
+        .map(entry => {
+            const match = entry.match(/^(\w+)=(.+)$/);
+            if (match && FORMATS.includes(match[1])) {
+                return { format: match[1], url: match[2] };
+            }
+            return { format: detectFormat(entry), url: entry };
+        });
+
+    return {
+        webhooks,
+        secret: env.WEBHOOK_SECRET || null,
+        eventTypes: env.WEBHOOK_EVENTS ? env.WEBHOOK_EVENTS.split(',').map(type => type.trim()) : DEFAULT_EVENT_TYPES,
+        maxRetries: Number(env.WEBHOOK_MAX_RETRIES ?? 3),
+        retryDelayMs: Number(env.WEBHOOK_RETRY_DELAY_MS ?? 1000),
+        maxRetryDelayMs: parseMaxRetryDelay('WEBHOOK_MAX_RETRY_DELAY_MS', env.WEBHOOK_MAX_RETRY_DELAY_MS),
+        maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS ?? 5),
+        timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || 10000
+    };
+}
+
+function detectFormat(url) {
+    const host = new URL(url).hostname;
+    if (host === 'discord.com' || host === 'discordapp.com') {
+        return 'discord';
+    }
+    if (host === 'hooks.slack.com') {
+        return 'slack';
+    }
+    return 'generic';
+}
+
+// Stable ID for a webhook, so its URL (which often contains a token) is not stored
+function webhookId(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+// Identifies one detected change across reruns, so it is only sent once. The detection time
+// (a Date, or its JSON string in a stored payload) tells apart a stat that was reverted and
+// awarded again, which is a new change.
+function eventKey(event) {
+    const detectedAt = new Date(event.detected_at).toISOString();
+    return `${event.event}:${event.fixture_id}:${event.player_id}:${event.event_type}:${event.new_value}:${detectedAt}`;
+}
+
+// Player name, teams and fixture label for the messages
+function describeEvents(events, bootstrapData, fixtures) {
+    const players = new Map(bootstrapData.elements.map(player => [player.id, player]));
+    const teams = new Map(bootstrapData.teams.map(team => [team.id, team]));
+    const fixturesById = new Map(fixtures.map(fixture => [fixture.id, fixture]));
+    const teamName = id => (teams.get(id) || {}).short_name || `Team ${id}`;
+
+    return events.map(event => {
+        const player = players.get(event.player_id) || {};
+        const fixture = fixturesById.get(event.fixture_id);
+
+        return {
+            ...event,
+            player_name: player.web_name || `Player ${event.player_id}`,
+            team: player.team ? teamName(player.team) : null,
+            fixture: fixture ? `${teamName(fixture.team_h)} v ${teamName(fixture.team_a)}` : null
+        };
+    });
+}
+
+function messageLine(event) {
+    const fixture = event.fixture ? ` (${event.fixture}, GW${event.event})` : ` (GW${event.event})`;
+    return `${event.player_name}: ${event.description}${fixture}`;
+}
+
+// Request body for a batch of events in the webhook's format
+function buildPayload(format, events) {
+    if (format === 'discord') {
+        return { content: events.map(event => `**${messageLine(event)}**`).join('\n') };
+    }
+    if (format === 'slack') {
+        return { text: events.map(messageLine).join('\n') };
+    }
+    return {
+        type: 'player_events',
+        events: events.map(event => ({
+            event: event.event,
+            fixture_id: event.fixture_id,
+            fixture: event.fixture,
+            player_id: event.player_id,
+            player_name: event.player_name,
+            team: event.team,
+            event_type: event.event_type,
+            old_value: event.old_value,
+            new_value: event.new_value,
+            description: event.description,
+            detected_at: event.detected_at
+        }))
+    };
+}
+
+// POST one payload, signed with HMAC-SHA256 over "<timestamp>.<body>" when a secret is set.
+// Retries on 429, 5xx, timeouts and network errors.
+async function deliver(webhook, payload, config) {
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 0; ; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.secret) {
+            const signature = crypto.createHmac('sha256', config.secret).update(`${timestamp}.${body}`).digest('hex');
+            headers['X-Webhook-Timestamp'] = timestamp;
+            headers['X-Webhook-Signature'] = `sha256=${signature}`;
+        }
+
+        let response = null;
+        let error = null;
+        try {
+            response = await fetch(webhook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(config.timeoutMs) });
+        } catch (err) {
+            error = new Error(`Webhook request failed: ${err.message}`);
+        }
+
+        if (response && response.ok) {
+            return;
+        }
+
+        if (response) {
+            error = new Error(`Webhook returned status ${response.status}: ${response.statusText}`);
+            if (!isRetryableStatus(response.status)) {
+                throw error;
+            }
+        }
+
+        if (attempt >= config.maxRetries) {
+            throw error;
+        }
+
+        const delay = getRetryDelay(response, attempt, config.retryDelayMs, config.maxRetryDelayMs);
+        console.warn(`${error.message}. Retrying in ${delay}ms (attempt ${attempt + 1}/${config.maxRetries})...`);
+        await sleep(delay);
+    }
+}
+
+// Whether a player event is worth a message: every change of the configured types,
+// except that clean sheets are only reported when they are lost
+function isNotable(event, config) {
+    if (!config.eventTypes.includes(event.event_type)) {
+        return false;
+    }
+    return event.event_type !== 'clean_sheets' || event.new_value < event.old_value;
+}
+
+// Deliver described events to one webhook in batches and record each delivery, with the
+// event itself so a failed one can be resent by the next run. previousAttempts maps the
+// event keys of events tried before to the attempts already made.
+async function deliverEvents(db, webhook, events, config, previousAttempts = new Map()) {
+    const id = webhookId(webhook.url);
+    let sentCount = 0;
+
+    for (let i = 0; i < events.length; i += BATCH_SIZE) {
+        const batch = events.slice(i, i + BATCH_SIZE);
+        let status = 'sent';
+        let lastError = null;
+
+        try {
+            await deliver(webhook, buildPayload(webhook.format, batch), config);
+            sentCount += batch.length;
+        } catch (error) {
+            console.error(`Webhook ${id} (${webhook.format}) delivery failed:`, error.message);
+            status = 'failed';
+            lastError = error.message;
+        }
+
+        await db.upsert(tables.webhookDeliveries, batch.map(event => ({
+            webhook_id: id,
+            event_key: eventKey(event),
+            event: event.event,
+            status,
+            last_error: lastError,
+            delivered_at: new Date(),
+            payload: JSON.stringify(event),
+            attempts: (previousAttempts.get(eventKey(event)) || 0) + 1
+        })));
+    }
+
+    return sentCount;
+}
+
+// Resend the deliveries that failed on earlier runs, oldest first, until each has been
+// tried WEBHOOK_MAX_ATTEMPTS times. Failures are logged and never fail the run.
+async function retryFailedDeliveries(db, config = loadWebhookConfig()) {
+    let sentCount = 0;
+
+    for (const webhook of config.webhooks) {
+        const id = webhookId(webhook.url);
+
+        try {
+            // Deliveries recorded before payloads were stored cannot be rebuilt
+            const failed = (await db.select(tables.webhookDeliveries, {
+                where: { webhook_id: id, status: 'failed' },
+                orderBy: [['delivered_at', 'asc']]
+            })).filter(row => row.payload && (row.attempts || 0) < config.maxAttempts);
+            if (failed.length === 0) {
+                continue;
+            }
+
+            console.log(`Webhook ${id} (${webhook.format}): resending ${failed.length} failed event(s)...`);
+            const attempts = new Map(failed.map(row => [row.event_key, row.attempts || 0]));
+            sentCount += await deliverEvents(db, webhook, failed.map(row => JSON.parse(row.payload)), config, attempts);
+        } catch (error) {
+            console.error(`Webhook ${id} (${webhook.format}) retry skipped:`, error.message);
+        }
+    }
+
+    return sentCount;
+}
+
+// Send the run's player events to every configured webhook, skipping events already
+// delivered to that webhook, and record each delivery in webhook_deliveries.
+// Runs after the sync has committed; failures are logged and never fail the run.
+async function sendWebhooks(db, events, bootstrapData, fixtures, config = loadWebhookConfig()) {
+    const selected = events.filter(event => isNotable(event, config));
+    if (config.webhooks.length === 0 || selected.length === 0) {
+        return 0;
+    }
+
+    const described = describeEvents(selected, bootstrapData, fixtures);
+    let sentCount = 0;
+
+    for (const webhook of config.webhooks) {
+        const id = webhookId(webhook.url);
+
+        try {
+            const deliveries = await db.select(tables.webhookDeliveries, {
+                where: { webhook_id: id, event: [...new Set(described.map(event => event.event))] }
+            });
+            const delivered = new Set(deliveries.filter(row => row.status === 'sent').map(row => row.event_key));
+            // An event that failed before keeps counting its attempts
+            const attempts = new Map(deliveries.map(row => [row.event_key, row.attempts || 0]));
+            const pending = described.filter(event => !delivered.has(eventKey(event)));
+
+            sentCount += await deliverEvents(db, webhook, pending, config, attempts);
+            console.log(`Webhook ${id} (${webhook.format}): ${pending.length} event(s), ${described.length - pending.length} already sent`);
+        } catch (error) {
+            console.error(`Webhook ${id} (${webhook.format}) skipped:`, error.message);
+        }
+    }
+
+    return sentCount;
+}
+
+module.exports = {
+    loadWebhookConfig,
+    buildPayload,
+    retryFailedDeliveries,
+    sendWebhooks
+};
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { run } = require('../src/cli');
+const { createApiServer, loadConfig } = require('../src/api');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { CAPTURE_DIR } = require('./support/capture');
+
+function updateRun(runId, outcome, startedAt, error = null) {
+    return {
+        run_id: runId,
+        command: 'sync',
+        options: '{}',
+        started_at: startedAt,
+        finished_at: new Date(startedAt.getTime() + 1000),
+        duration_ms: 1000,
+        gameweek: 2,
+        live: false,
+        outcome,
+        result: null,
+        api_calls: null,
+        step_timings: null,
+        table_rows: null,
+        error
+    };
+}
+
+describe('HTTP API over a replayed sync', () => {
+    let dir;
+    let db;
+    let api;
+    let baseUrl;
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        process.env.FPL_REPLAY_DIR = CAPTURE_DIR;
+        process.env.PROJECTION_GAMEWEEKS = '0';
+        assert.equal(await run(['sync']), 0);
+
+        db = createDatabase();
+        await db.connect();
+
+        api = createApiServer({ ...loadConfig({}), healthMaxAgeMinutes: 60 });
+        await new Promise(resolve => api.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${api.server.address().port}`;
+    });
+
+    after(async () => {
+        await api.close();
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('filters players by team short name and price', async () => {
+        const response = await fetch(`${baseUrl}/players?team=ars&max_price=5.0&limit=5`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.ok(body.data.length > 0);
+        assert.ok(body.data.every(player => player.team === 1 && player.now_cost <= 50), JSON.stringify(body.data));
+        assert.equal(body.pagination.limit, 5);
+        assert.equal(response.headers.get('cache-control'), 'public, max-age=60');
+    });
+
+    it('returns one player, or 404 for an unknown id', async () => {
+        const found = await fetch(`${baseUrl}/players/37`);
+        assert.equal(found.status, 200);
+        assert.equal((await found.json()).data.web_name, 'Player37');
+
+        const missing = await fetch(`${baseUrl}/players/401`);
+        assert.equal(missing.status, 404);
+        assert.deepEqual(await missing.json(), { error: 'Player 401 not found' });
+    });
+
+    it('rejects a player id out of range with 400', async () => {
+        for (const id of ['0', '99999999999']) {
+            const response = await fetch(`${baseUrl}/players/${id}`);
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { error: `Player id must be an integer from 1 to 2147483647, got "${id}"` });
+        }
+    });
+
+    it('rejects a malformed query with 400', async () => {
+        const response = await fetch(`${baseUrl}/players?team=XYZ`);
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Unknown team "XYZ"' });
+    });
+
+    it('returns the current gameweek', async () => {
+        const body = await (await fetch(`${baseUrl}/gameweeks/current`)).json();
+        assert.equal(body.data.id, 2);
+    });
+
+    it('returns fixture stats as an array', async () => {
+        const response = await fetch(`${baseUrl}/fixtures?event=2&limit=3`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(body.data.map(fixture => fixture.id), [11, 12, 13]);
+        const goals = body.data[0].stats.find(stat => stat.identifier === 'goals_scored');
+        assert.deepEqual(goals.h, [{ value: 2, element: 37 }]);
+        assert.deepEqual(body.data[2].stats, []);
+    });
+
+    it('reports ok after a recent successful run', async () => {
+        const response = await fetch(`${baseUrl}/health`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.status, 'ok');
+        assert.deepEqual(body.problems, []);
+        assert.equal(body.lastRun.outcome, 'succeeded');
+    });
+
+    it('reports degraded with 503 when the latest run failed', async () => {
+        await db.upsert(tables.updateRuns, [updateRun('failed-run', 'failed', new Date(), 'FPL API returned status 503')]);
+
+        const response = await fetch(`${baseUrl}/health`);
+        const body = await response.json();
+
+        assert.equal(response.status, 503);
+        assert.equal(body.status, 'degraded');
+        assert.deepEqual(body.problems, ['Last run failed: FPL API returned status 503']);
+        assert.equal(response.headers.get('cache-control'), 'no-store');
+    });
+
+    it('reports degraded when no run has completed within the maximum age', async () => {
+        await db.deleteWhere(tables.updateRuns, {});
+        await db.upsert(tables.updateRuns, [updateRun('old-run', 'skipped', new Date(Date.now() - 3 * 3600 * 1000))]);
+        await db.deleteWhere(tables.metadata, { key_name: 'last_fpl_update' });
+
+        const response = await fetch(`${baseUrl}/health`);
+        const body = await response.json();
+
+        assert.equal(response.status, 503);
+        assert.deepEqual(body.problems, ['No run has completed in the last 60 minutes']);
+    });
+});
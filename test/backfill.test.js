@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { runBackfill } = require('../src/backfill');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { readCapture, storeCapture } = require('./support/capture');
+const { liveElement } = require('./support/fpl');
+
+// A player who has left the league since gameweek 1, so bootstrap-static no longer lists them
+const DEPARTED = 999;
+
+// Gameweek 1 live data for fixture 1 (ARS 1-0 team 20): player 17 scored, 381 kept goal
+function gameweekOne() {
+    return [
+        liveElement(17, { fixture: 1, minutes: 90, goals_scored: 1, bonus: 3, bps: 40 }),
+        liveElement(381, { fixture: 1, minutes: 90, saves: 3, bps: 20 }),
+        liveElement(DEPARTED, { fixture: 1, minutes: 12, bps: 2 })
+    ];
+}
+
+// The fixtures, with the departed player's bonus points system score in fixture 1
+function fixturesWithDeparted() {
+    return readCapture('fixtures.json').map(fixture => (fixture.id !== 1 ? fixture : {
+        ...fixture,
+        stats: fixture.stats.map(stat => (stat.identifier !== 'bps' ? stat : { ...stat, a: [...stat.a, { value: 2, element: DEPARTED }] }))
+    }));
+}
+
+// A client serving the given live data per gameweek; any other gameweek fails like an outage
+function createClient(live) {
+    const requested = [];
+    return {
+        requested,
+        getFixtures: async () => fixturesWithDeparted(),
+        getEventLive: async (gameweekId) => {
+            requested.push(gameweekId);
+            if (!live[gameweekId]) {
+                throw new Error('FPL API returned status 503');
+            }
+            return { elements: live[gameweekId] };
+        }
+    };
+}
+
+describe('runBackfill', () => {
+    let dir;
+    let db;
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        await storeCapture();
+
+        db = createDatabase();
+        await db.connect();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('stores a past gameweek and skips players no longer in bootstrap-static', async () => {
+        assert.equal(await runBackfill(createClient({ 1: gameweekOne() }), { from: 1, to: 1, delayMs: 0 }), 1);
+
+        const stats = await db.select(tables.playerGameweekStats, { where: { event: 1 }, orderBy: [['player_id', 'asc']] });
+        assert.deepEqual(stats.map(row => [row.player_id, row.minutes, row.total_points]), [[17, 90, 9], [381, 90, 2]]);
+
+        const goals = await db.select(tables.fixtureStats, { where: { fixture_id: 1, identifier: 'goals_scored' } });
+        assert.deepEqual(goals.map(row => [row.player_id, row.value]), [[17, 1]]);
+        const bps = await db.select(tables.fixtureStats, { where: { fixture_id: 1, identifier: 'bps' }, orderBy: [['player_id', 'asc']] });
+        assert.deepEqual(bps.map(row => [row.player_id, row.value]), [[17, 40], [381, 20]]);
+
+        const [points] = await db.select(tables.playerFixturePoints, { where: { player_id: 17, fixture_id: 1 } });
+        assert.equal(points.bonus, 3);
+        assert.equal(points.bonus_confirmed, true);
+    });
+
+    it('resumes after the last gameweek completed', async () => {
+        const failing = createClient({ 1: gameweekOne() });
+        await assert.rejects(runBackfill(failing, { from: 1, to: 2, delayMs: 0 }), /status 503/);
+        assert.deepEqual(failing.requested, [1, 2]);
+
+        const [progress] = await db.select(tables.metadata, { where: { key_name: 'backfill_progress' } });
+        assert.equal(progress.value_text, '1-2');
+        assert.equal(progress.value_int, 1);
+
+        const resumed = createClient({ 1: gameweekOne(), 2: readCapture('event_2_live.json').elements });
+        assert.equal(await runBackfill(resumed, { from: 1, to: 2, delayMs: 0 }), 1);
+        assert.deepEqual(resumed.requested, [2]);
+
+        const done = createClient({});
+        assert.equal(await runBackfill(done, { from: 1, to: 2, delayMs: 0 }), 0);
+        assert.deepEqual(done.requested, []);
+    });
+});
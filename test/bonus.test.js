@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rankBonus, computeFixturePoints } = require('../src/bonus');
+const { fixture, liveElement } = require('./support/fpl');
+
+function bonusFor(bpsByPlayer) {
+    const entries = Object.entries(bpsByPlayer).map(([playerId, bps]) => ({ player_id: Number(playerId), bps }));
+    return Object.fromEntries(rankBonus(entries));
+}
+
+describe('rankBonus', () => {
+    it('gives 3, 2 and 1 to the three highest BPS', () => {
+        assert.deepEqual(bonusFor({ 1: 40, 2: 30, 3: 20, 4: 10 }), { 1: 3, 2: 2, 3: 1, 4: 0 });
+    });
+
+    it('shares a tie for 1st and skips 2nd', () => {
+        assert.deepEqual(bonusFor({ 1: 40, 2: 40, 3: 20, 4: 10 }), { 1: 3, 2: 3, 3: 1, 4: 0 });
+    });
+
+    it('shares a tie for 2nd and skips 3rd', () => {
+        assert.deepEqual(bonusFor({ 1: 40, 2: 30, 3: 30, 4: 10 }), { 1: 3, 2: 2, 3: 2, 4: 0 });
+    });
+
+    it('gives 1 to everyone tied for 3rd', () => {
+        assert.deepEqual(bonusFor({ 1: 40, 2: 30, 3: 20, 4: 20 }), { 1: 3, 2: 2, 3: 1, 4: 1 });
+    });
+
+    it('gives 3 to everyone when all are tied', () => {
+        assert.deepEqual(bonusFor({ 1: 5, 2: 5, 3: 5, 4: 5 }), { 1: 3, 2: 3, 3: 3, 4: 3 });
+    });
+});
+
+describe('computeFixturePoints', () => {
+    it('uses provisional bonus until FPL awards it', () => {
+        const gameweekData = {
+            gameweekId: 3,
+            elements: [
+                liveElement(1, { fixture: 30, minutes: 90, goals_scored: 1, bps: 35 }),
+                liveElement(2, { fixture: 30, minutes: 90, bps: 20 }),
+                liveElement(3, { fixture: 30, minutes: 0, bps: 0 }),
+                liveElement(4, { fixture: 30, minutes: 45, bps: 10 })
+            ]
+        };
+        const rows = computeFixturePoints(gameweekData, [fixture({ id: 30, event: 3, started: true })]);
+
+        assert.deepEqual(rows.map(row => [row.player_id, row.bonus, row.total_points, row.bonus_confirmed]), [
+            [1, 3, 9, false],
+            [2, 2, 4, false],
+            [4, 1, 2, false]
+        ]);
+    });
+
+    it('switches to the awarded bonus once any is confirmed', () => {
+        const gameweekData = {
+            gameweekId: 3,
+            elements: [
+                liveElement(1, { fixture: 30, minutes: 90, bps: 35, bonus: 2 }),
+                liveElement(2, { fixture: 30, minutes: 90, bps: 40, bonus: 3 })
+            ]
+        };
+        const rows = computeFixturePoints(gameweekData, [fixture({ id: 30, event: 3, started: true, finished: true })]);
+
+        assert.deepEqual(rows.map(row => [row.player_id, row.provisional_bonus, row.bonus, row.total_points, row.bonus_confirmed]), [
+            [1, 2, 2, 4, true],
+            [2, 3, 3, 5, true]
+        ]);
+    });
+});
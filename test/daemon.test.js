@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextDelay } = require('../src/daemon');
+const { fixture } = require('./support/fpl');
+
+const CONFIG = { liveIntervalMs: 60000, idleIntervalMs: 3600000, kickoffLeadMs: 120000 };
+const NOW = Date.parse('2024-08-24T13:05:00Z');
+const MINUTE = 60000;
+
+// A fixture kicking off offsetMs from now (negative: in the past)
+function kickingOff(offsetMs, state = {}) {
+    return fixture({ kickoff_time: new Date(NOW + offsetMs).toISOString(), ...state });
+}
+
+function delayFor(fixtures, outcome, previousDelay = 0) {
+    return nextDelay({ fixtures, outcome, previousDelay, now: NOW }, CONFIG);
+}
+
+describe('nextDelay', () => {
+    it('polls at the live interval after a live run', () => {
+        assert.equal(delayFor([], 'updated', 3600000), CONFIG.liveIntervalMs);
+    });
+
+    it('polls at the live interval while a fixture is in progress, even after a failed run', () => {
+        const fixtures = [kickingOff(-30 * MINUTE, { started: true })];
+        assert.equal(delayFor(fixtures, 'failed', 1800000), CONFIG.liveIntervalMs);
+        assert.equal(delayFor(fixtures, 'skipped', 1800000), CONFIG.liveIntervalMs);
+    });
+
+    it('polls at the live interval for a fixture past its kickoff that has not started', () => {
+        assert.equal(delayFor([kickingOff(-MINUTE)], 'skipped', 1800000), CONFIG.liveIntervalMs);
+    });
+
+    it('backs off once fixtures have ended', () => {
+        const fixtures = [kickingOff(-120 * MINUTE, { started: true, finished_provisional: true })];
+        assert.equal(delayFor(fixtures, 'skipped', 60000), 120000);
+        assert.equal(delayFor(fixtures, 'failed', 2400000), CONFIG.idleIntervalMs);
+    });
+
+    it('wakes up the lead time before the next kickoff', () => {
+        assert.equal(delayFor([kickingOff(30 * MINUTE)], 'skipped', 3600000), 28 * MINUTE);
+    });
+
+    it('never polls faster than the live interval before a kickoff', () => {
+        assert.equal(delayFor([kickingOff(MINUTE)], 'skipped', 3600000), CONFIG.liveIntervalMs);
+    });
+
+    it('backs off without any known fixtures', () => {
+        assert.equal(delayFor(null, 'failed', 0), 120000);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapElementSummary, getStalePlayers, parseElementSummaryArgs } = require('../src/elementSummary');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { storeCapture } = require('./support/capture');
+const { summaryFixture, summaryMatch } = require('./support/fpl');
+
+const HOUR = 3600 * 1000;
+
+// A past season in /element-summary/{id}/
+function season(overrides = {}) {
+    return {
+        season_name: '2023/24',
+        element_code: 200037,
+        start_cost: 95,
+        end_cost: 100,
+        total_points: 180,
+        minutes: 2900,
+        goals_scored: 16,
+        starts: 33,
+        expected_goals: '15.20',
+        ...overrides
+    };
+}
+
+describe('mapElementSummary', () => {
+    it('maps past seasons, matches and upcoming fixtures to rows of the player', () => {
+        const { seasons, matches, upcoming } = mapElementSummary({ id: 37 }, {
+            history_past: [season()],
+            history: [summaryMatch()],
+            fixtures: [summaryFixture(), summaryFixture({ id: 31, event: 4, is_home: true, team_h: 2, team_a: 9, kickoff_time: null })]
+        });
+
+        assert.deepEqual(seasons.map(row => [row.element_code, row.season_name, row.player_id, row.end_cost, row.total_points]), [
+            [200037, '2023/24', 37, 100, 180]
+        ]);
+
+        assert.equal(matches.length, 1);
+        assert.equal(matches[0].fixture_id, 11);
+        assert.equal(matches[0].event, 2);
+        assert.deepEqual(matches[0].kickoff_time, new Date('2024-08-24T11:30:00Z'));
+        assert.equal(matches[0].goals_scored, 2);
+        assert.equal(matches[0].expected_goals, 1.05);
+
+        assert.deepEqual(upcoming.map(row => [row.fixture_id, row.event, row.is_home, row.opponent_team, row.kickoff_time]), [
+            [21, 3, false, 5, new Date('2024-08-31T14:00:00Z')],
+            [31, 4, true, 9, null]
+        ]);
+    });
+
+    it('stores a stat missing from an older season as NULL', () => {
+        const past = season();
+        delete past.starts;
+        delete past.expected_goals;
+
+        const [row] = mapElementSummary({ id: 37 }, { history_past: [past], history: [], fixtures: [] }).seasons;
+        assert.equal(row.starts, null);
+        assert.equal(row.expected_goals, null);
+        assert.equal(row.minutes, 2900);
+    });
+});
+
+describe('getStalePlayers', () => {
+    // Sunday evening of gameweek 1: Arsenal (team 1, players 1-20) played at 12:30 on Saturday,
+    // Everton (team 8, players 141-160) at 18:30 today
+    const NOW = Date.parse('2024-08-18T20:00:00Z');
+    const MAX_AGE_MS = 24 * HOUR;
+
+    let dir;
+    let db;
+
+    function refreshed(playerId, at) {
+        return { player_id: playerId, refreshed_at: new Date(at), history_count: 1, history_past_count: 0, fixtures_count: 37 };
+    }
+
+    async function staleIds(options) {
+        return (await getStalePlayers(db, { maxAgeMs: MAX_AGE_MS, now: NOW, ...options })).map(player => player.id);
+    }
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        await storeCapture();
+
+        db = createDatabase();
+        await db.connect();
+        await db.upsert(tables.playerSummaryRefreshes, [
+            refreshed(1, '2024-08-18T09:00:00Z'),
+            refreshed(2, '2024-08-17T13:00:00Z'),
+            refreshed(141, '2024-08-18T10:00:00Z'),
+            refreshed(142, '2024-08-18T19:00:00Z')
+        ]);
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('returns players never imported, imported too long ago or before their team last played', async () => {
+        assert.deepEqual(await staleIds({ playerIds: [1, 2, 4, 141, 142] }), [2, 4, 141]);
+    });
+
+    it('returns every requested player with force', async () => {
+        assert.deepEqual(await staleIds({ playerIds: [1, 2, 4, 141, 142], force: true }), [1, 2, 4, 141, 142]);
+    });
+
+    it('checks every player when no ids are given', async () => {
+        const stale = await staleIds({ playerIds: null });
+        assert.equal(stale.length, 398);
+        assert.ok(!stale.includes(1) && !stale.includes(142));
+    });
+});
+
+describe('parseElementSummaryArgs', () => {
+    it('reads the defaults from the environment', () => {
+        const options = parseElementSummaryArgs([], { ELEMENT_SUMMARY_MAX_AGE_HOURS: '6', ELEMENT_SUMMARY_INTERVAL_MS: '0' });
+
+        assert.deepEqual(options, { dryRun: false, force: false, playerIds: null, maxAgeHours: 6, concurrency: 4, intervalMs: 0 });
+    });
+
+    it('parses the player list and numeric options', () => {
+        const options = parseElementSummaryArgs(['--players', '37, 10', '--concurrency', '2', '--force', '--dry-run'], {});
+
+        assert.deepEqual(options.playerIds, [37, 10]);
+        assert.equal(options.concurrency, 2);
+        assert.equal(options.force, true);
+        assert.equal(options.dryRun, true);
+    });
+
+    it('rejects out of range numbers', () => {
+        assert.throws(() => parseElementSummaryArgs(['--concurrency', '0'], {}), /--concurrency must be an integer of at least 1, got "0"/);
+        assert.throws(() => parseElementSummaryArgs(['--max-age-hours', 'soon'], {}), /--max-age-hours/);
+    });
+
+    it('rejects a player list without a valid ID', () => {
+        for (const players of ['abc', ',', '']) {
+            assert.throws(() => parseElementSummaryArgs(['--players', players], {}), /--players must list positive integer player IDs/);
+        }
+    });
+});
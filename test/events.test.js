@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectPlayerEvents } = require('../src/events');
+const { fixture, liveElement } = require('./support/fpl');
+
+const DETECTED_AT = new Date('2024-08-24T14:00:00Z');
+
+function emptyState() {
+    return { stats: new Map(), points: new Map() };
+}
+
+function describeEvents(events) {
+    return events.map(event => [event.player_id, event.fixture_id, event.event_type, event.description]);
+}
+
+describe('detectPlayerEvents', () => {
+    it('reports goals, assists, 60 minutes and provisional bonus for a new player', () => {
+        const gameweekData = {
+            gameweekId: 2,
+            elements: [
+                liveElement(37, { fixture: 11, minutes: 62, goals_scored: 1, bps: 30 }),
+                liveElement(30, { fixture: 11, minutes: 62, assists: 1, bps: 20 })
+            ]
+        };
+        const events = detectPlayerEvents(emptyState(), gameweekData, [fixture({ started: true })], DETECTED_AT);
+
+        assert.deepEqual(describeEvents(events), [
+            [37, 11, 'goals_scored', 'goal +1'],
+            [37, 11, 'minutes', 'minutes 60+'],
+            [30, 11, 'assists', 'assist +1'],
+            [30, 11, 'minutes', 'minutes 60+'],
+            [37, 11, 'bonus', 'bonus changed 0→3'],
+            [30, 11, 'bonus', 'bonus changed 0→2']
+        ]);
+        assert.ok(events.every(event => event.event === 2 && event.detected_at === DETECTED_AT));
+    });
+
+    it('reports nothing when the stored state is unchanged', () => {
+        const gameweekData = { gameweekId: 2, elements: [liveElement(37, { fixture: 11, minutes: 70, goals_scored: 1, bps: 30 })] };
+        const previous = {
+            stats: new Map([[37, { minutes: 70, goals_scored: 1 }]]),
+            points: new Map([['37:11', { bonus: 3 }]])
+        };
+
+        assert.deepEqual(detectPlayerEvents(previous, gameweekData, [fixture({ started: true })], DETECTED_AT), []);
+    });
+
+    it('reports a disallowed goal as a negative change', () => {
+        const gameweekData = { gameweekId: 2, elements: [liveElement(37, { fixture: 11, minutes: 70, bps: 10 })] };
+        const previous = {
+            stats: new Map([[37, { minutes: 70, goals_scored: 1 }]]),
+            points: new Map([['37:11', { bonus: 3 }]])
+        };
+        const events = detectPlayerEvents(previous, gameweekData, [fixture({ started: true })], DETECTED_AT);
+
+        assert.deepEqual(describeEvents(events), [[37, 11, 'goals_scored', 'goal -1']]);
+        assert.equal(events[0].old_value, 1);
+        assert.equal(events[0].new_value, 0);
+    });
+
+    it('places a stat change in the double gameweek fixture that reports it', () => {
+        const gameweekData = {
+            gameweekId: 2,
+            elements: [liveElement(37, { fixture: 11, minutes: 90, goals_scored: 1 }, { fixture: 21, minutes: 0 })]
+        };
+        const events = detectPlayerEvents(emptyState(), gameweekData, [], DETECTED_AT);
+
+        assert.equal(events.find(event => event.event_type === 'goals_scored').fixture_id, 11);
+    });
+
+    it('skips stat changes of a player without a fixture', () => {
+        // FPL counts the goal in the gameweek totals but lists no match for it
+        const element = liveElement(37);
+        element.stats.goals_scored = 1;
+        const gameweekData = { gameweekId: 2, elements: [element] };
+        assert.deepEqual(detectPlayerEvents(emptyState(), gameweekData, [], DETECTED_AT), []);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getLeagues, computeStandings, updateLeagues } = require('../src/leagues');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { squadContext, squadEntry } = require('./support/fpl');
+
+const LEAGUE = { id: 314, name: 'Office league' };
+
+function member(entry, total, lastRank) {
+    return { entry, entry_name: `Team ${entry}`, player_name: `Manager ${entry}`, rank: lastRank, last_rank: lastRank, total };
+}
+
+// An entry on totalBefore points before the gameweek. The squad scores 24 live points.
+function managerOn(entry, totalBefore) {
+    return squadEntry(entry, { entry_history: { points: 0, total_points: totalBefore, event_transfers_cost: 0 } });
+}
+
+function ranks(rows) {
+    return rows.map(row => [row.entry_id, row.live_total, row.live_rank, row.rank_change]);
+}
+
+describe('getLeagues', () => {
+    it('keeps one row per member when the standings shift between pages', async () => {
+        // Entry 3 overtakes entry 2 after page 1 is fetched, so entry 2 is on both pages
+        const pages = [
+            { league: LEAGUE, standings: { has_next: true, results: [member(1, 300, 1), member(2, 290, 2)] } },
+            { league: LEAGUE, standings: { has_next: false, results: [member(2, 290, 3), member(4, 250, 4)] } }
+        ];
+        silenceConsole();
+        const picked = [];
+        const client = {
+            getClassicLeagueStandings: async (leagueId, page) => pages[page - 1],
+            getEntryPicks: async (entryId) => {
+                picked.push(entryId);
+                return managerOn(entryId, 300);
+            }
+        };
+
+        const [{ members, managers }] = await getLeagues(client, [LEAGUE.id], 5);
+        assert.deepEqual(members.map(row => [row.entry, row.rank]), [[1, 1], [2, 3], [4, 4]]);
+        assert.deepEqual(picked, [1, 2, 4]);
+        assert.equal(managers.length, 3);
+    });
+});
+
+describe('computeStandings', () => {
+    it('ranks members by live total and compares with last gameweek', () => {
+        // Entry 3 plays Bench Boost: 32 live points
+        const members = [member(1, 300, 1), member(2, 285, 2), member(3, 280, 3)];
+        const managers = [managerOn(1, 300), managerOn(2, 285), squadEntry(3, {
+            entry_history: { points: 0, total_points: 280, event_transfers_cost: 0 },
+            active_chip: 'bboost'
+        })];
+
+        assert.deepEqual(ranks(computeStandings(LEAGUE, members, managers, squadContext())), [
+            [1, 324, 1, 0],
+            [2, 309, 3, -1],
+            [3, 312, 2, 1]
+        ]);
+    });
+
+    it('gives tied members the same rank and skips the next', () => {
+        const members = [member(1, 300, 1), member(2, 300, 2), member(3, 290, 3)];
+        const managers = [managerOn(1, 300), managerOn(2, 300), managerOn(3, 290)];
+
+        assert.deepEqual(ranks(computeStandings(LEAGUE, members, managers, squadContext())), [
+            [1, 324, 1, 0],
+            [2, 324, 1, 1],
+            [3, 314, 3, 0]
+        ]);
+    });
+
+    it('keeps the official total of a member without picks, with no rank change for a new member', () => {
+        const [row] = computeStandings(LEAGUE, [member(4, 250, 0)], [], squadContext());
+
+        assert.equal(row.previous_total, 250);
+        assert.equal(row.live_points, 0);
+        assert.equal(row.live_rank, 1);
+        assert.equal(row.last_rank, null);
+        assert.equal(row.rank_change, null);
+    });
+});
+
+describe('updateLeagues', () => {
+    let dir;
+    let db;
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        db = createDatabase();
+        await db.connect();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('deletes the standings of members who left the league', async () => {
+        const managers = [managerOn(1, 300), managerOn(2, 290), managerOn(3, 280)];
+        await updateLeagues(db, [{ league: LEAGUE, members: [member(1, 300, 1), member(2, 290, 2), member(3, 280, 3)], managers }], squadContext());
+
+        const updateCount = await updateLeagues(db, [{ league: LEAGUE, members: [member(1, 300, 1), member(3, 280, 3)], managers }], squadContext());
+
+        const stored = await db.select(tables.leagueStandings, { where: { league_id: LEAGUE.id }, orderBy: [['entry_id', 'asc']] });
+        assert.deepEqual(stored.map(row => [row.entry_id, row.live_rank]), [[1, 1], [3, 2]]);
+        assert.ok(updateCount >= 1, `got ${updateCount}`);
+
+        const [league] = await db.select(tables.leagues, { where: { id: LEAGUE.id } });
+        assert.equal(league.member_count, 2);
+    });
+});
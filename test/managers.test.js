@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIdList, applyAutoSubs, scoreEntry } = require('../src/managers');
+const { squadContext, squadEntry } = require('./support/fpl');
+
+function multipliers(result) {
+    return Object.fromEntries(result.picks.filter(pick => pick.multiplier > 0).map(pick => [pick.player_id, pick.multiplier]));
+}
+
+const DID_NOT_PLAY = { minutes: 0, points: 0 };
+
+describe('parseIdList', () => {
+    it('keeps each positive integer ID once, in the order given', () => {
+        assert.deepEqual(parseIdList(' 12, 7,abc,12,,-3, 7 ,1.5'), [12, 7]);
+        assert.deepEqual(parseIdList(undefined), []);
+    });
+});
+
+describe('applyAutoSubs', () => {
+    function squadFor(context) {
+        return [...context.players.values()].map(player => ({
+            element: player.id,
+            element_type: player.element_type,
+            team: player.team,
+            ...context.playerPoints.get(player.id),
+            used: false
+        }));
+    }
+
+    it('makes no substitutions when every starter played', () => {
+        const context = squadContext();
+        const { subs } = applyAutoSubs(squadFor(context), context);
+        assert.equal(subs.length, 0);
+    });
+
+    it('brings on the first outfield bench player who played', () => {
+        const context = squadContext({ live: { 2: DID_NOT_PLAY } });
+        const { starters, subs } = applyAutoSubs(squadFor(context), context);
+
+        assert.deepEqual(subs.map(sub => [sub.out.element, sub.in.element]), [[2, 13]]);
+        assert.equal(starters[1].element, 13);
+    });
+
+    it('passes over bench players who would break the formation', () => {
+        // With the bench defender out too, a midfielder or forward would leave only two defenders
+        const context = squadContext({ live: { 2: DID_NOT_PLAY, 13: DID_NOT_PLAY } });
+        const { subs } = applyAutoSubs(squadFor(context), context);
+        assert.equal(subs.length, 0);
+    });
+
+    it('only replaces the goalkeeper with the bench goalkeeper', () => {
+        const context = squadContext({ live: { 1: DID_NOT_PLAY } });
+        const { subs } = applyAutoSubs(squadFor(context), context);
+        assert.deepEqual(subs.map(sub => [sub.out.element, sub.in.element]), [[1, 12]]);
+    });
+
+    it('waits for a starter whose team has not finished', () => {
+        const context = squadContext({ live: { 10: DID_NOT_PLAY }, teams: { 10: 2 }, teamDone: { 2: false } });
+        const { subs } = applyAutoSubs(squadFor(context), context);
+        assert.equal(subs.length, 0);
+    });
+
+    it('stops at a bench player who may still play', () => {
+        const context = squadContext({ live: { 5: DID_NOT_PLAY, 13: DID_NOT_PLAY }, teams: { 13: 2 }, teamDone: { 2: false } });
+        const { subs } = applyAutoSubs(squadFor(context), context);
+        assert.equal(subs.length, 0);
+    });
+
+    it('skips bench players who did not play', () => {
+        const context = squadContext({ live: { 5: DID_NOT_PLAY, 13: DID_NOT_PLAY } });
+        const { subs } = applyAutoSubs(squadFor(context), context);
+        assert.deepEqual(subs.map(sub => [sub.out.element, sub.in.element]), [[5, 14]]);
+    });
+});
+
+describe('scoreEntry', () => {
+    beforeEach(() => {
+        mock.restoreAll();
+    });
+
+    it('doubles the captain and subtracts the transfer cost', () => {
+        const result = scoreEntry(squadEntry(99, { entry_history: { points: 20, total_points: 400, event_transfers_cost: 4 } }), squadContext());
+
+        assert.equal(result.summary.live_points, 24);
+        assert.equal(result.summary.net_points, 20);
+        assert.equal(result.summary.bench_points, 8);
+        assert.equal(result.summary.captain_id, 6);
+        // 400 includes FPL's own 20 - 4 for the gameweek
+        assert.equal(result.summary.previous_total, 384);
+        assert.equal(result.summary.live_total, 404);
+    });
+
+    it('gives the armband to the vice-captain when the captain did not play', () => {
+        const result = scoreEntry(squadEntry(99), squadContext({ live: { 6: DID_NOT_PLAY } }));
+
+        assert.equal(result.summary.captain_id, 7);
+        assert.equal(multipliers(result)[7], 2);
+        assert.equal(result.summary.auto_subs, 1);
+        assert.ok(result.picks.find(pick => pick.player_id === 13).auto_sub_in);
+        assert.ok(result.picks.find(pick => pick.player_id === 6).auto_sub_out);
+    });
+
+    it('triples the captain with Triple Captain', () => {
+        const result = scoreEntry(squadEntry(99, { active_chip: '3xc' }), squadContext());
+        assert.equal(multipliers(result)[6], 3);
+        assert.equal(result.summary.live_points, 26);
+    });
+
+    it('counts the bench with Bench Boost and makes no substitutions', () => {
+        const result = scoreEntry(squadEntry(99, { active_chip: 'bboost' }), squadContext({ live: { 2: DID_NOT_PLAY } }));
+
+        assert.equal(Object.keys(multipliers(result)).length, 15);
+        assert.equal(result.summary.auto_subs, 0);
+        assert.equal(result.summary.live_points, 30);
+        assert.equal(result.summary.bench_points, 0);
+    });
+
+    it('scores an unsupported chip as no chip and warns about it', () => {
+        const warn = mock.method(console, 'warn', () => {});
+
+        const result = scoreEntry(squadEntry(99, { active_chip: 'manager' }), squadContext());
+
+        assert.equal(result.summary.live_points, 24);
+        assert.equal(result.summary.active_chip, 'manager');
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Entry 99 played unsupported chip "manager"/);
+    });
+
+    it('does not warn about chips that need no special scoring', () => {
+        const warn = mock.method(console, 'warn', () => {});
+
+        for (const chip of ['wildcard', 'freehit', 'bboost', '3xc']) {
+            scoreEntry(squadEntry(99, { active_chip: chip }), squadContext());
+        }
+
+        assert.equal(warn.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateMarketSnapshots } = require('../src/market');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { readCapture, storeCapture } = require('./support/capture');
+
+const PLAYER = 37;
+
+describe('updateMarketSnapshots', () => {
+    let dir;
+    let db;
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        await storeCapture();
+
+        db = createDatabase();
+        await db.connect();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('records every player on the first sync', async () => {
+        assert.equal((await db.select(tables.playerMarketSnapshots)).length, 400);
+
+        const [snapshot] = await db.select(tables.playerMarketSnapshots, { where: { player_id: PLAYER } });
+        assert.equal(snapshot.now_cost, 106);
+        assert.equal(snapshot.selected_by_percent, 8.1);
+        assert.equal(snapshot.event, 2);
+    });
+
+    it('records nothing when no market value changed', async () => {
+        const players = readCapture('bootstrap-static.json').elements;
+        // Ownership is compared at the stored precision
+        players.find(player => player.id === PLAYER).selected_by_percent = '8.100';
+
+        assert.equal(await updateMarketSnapshots(db, players, 2), 0);
+    });
+
+    it('records only the players whose price or transfers changed', async () => {
+        const players = readCapture('bootstrap-static.json').elements;
+        players.find(player => player.id === PLAYER).now_cost = 107;
+        players.find(player => player.id === 38).transfers_in_event += 100;
+
+        assert.equal(await updateMarketSnapshots(db, players, 2), 2);
+
+        const snapshots = await db.select(tables.playerMarketSnapshots, { where: { player_id: PLAYER }, orderBy: [['captured_at', 'asc']] });
+        assert.deepEqual(snapshots.map(snapshot => snapshot.now_cost), [106, 107]);
+    });
+
+    it('treats a value missing both in the database and from FPL as unchanged', async () => {
+        const [stored] = await db.select(tables.players, { where: { id: PLAYER } });
+        await db.upsert(tables.players, [{ ...stored, transfers_in_event: null }]);
+
+        const players = readCapture('bootstrap-static.json').elements;
+        const player = players.find(candidate => candidate.id === PLAYER);
+        player.selected_by_percent = '8.100';
+        delete player.transfers_in_event;
+        assert.equal(await updateMarketSnapshots(db, players, 2), 0);
+
+        player.transfers_in_event = 0;
+        assert.equal(await updateMarketSnapshots(db, players, 2), 1);
+    });
+});
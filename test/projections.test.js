@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, getProjectionGameweeks, projectPlayers } = require('../src/projections');
+const { fixture } = require('./support/fpl');
+
+function events(count, { current, next } = {}) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        finished: current !== undefined && index + 1 < current,
+        is_current: index + 1 === current,
+        is_next: index + 1 === next
+    }));
+}
+
+function team(id) {
+    return {
+        id,
+        strength_attack_home: 1200,
+        strength_attack_away: 1200,
+        strength_defence_home: 1200,
+        strength_defence_away: 1200
+    };
+}
+
+function match(id, event, teamH, teamA, state = {}) {
+    return fixture({ id, event, team_h: teamH, team_a: teamA, ...state });
+}
+
+function player(id, overrides = {}) {
+    return {
+        id,
+        team: 1,
+        element_type: 3,
+        status: 'a',
+        chance_of_playing_next_round: null,
+        minutes: 180,
+        expected_goals: '0.60',
+        expected_assists: '0.40',
+        saves: 0,
+        bonus: 2,
+        yellow_cards: 0,
+        form: '5.0',
+        ...overrides
+    };
+}
+
+describe('loadConfig', () => {
+    it('defaults to 5 gameweeks and accepts 0 to turn projections off', () => {
+        assert.equal(loadConfig({}).horizon, 5);
+        assert.equal(loadConfig({ PROJECTION_GAMEWEEKS: '' }).horizon, 5);
+        assert.equal(loadConfig({ PROJECTION_GAMEWEEKS: '0' }).horizon, 0);
+        assert.equal(loadConfig({ PROJECTION_GAMEWEEKS: '38' }).horizon, 38);
+    });
+
+    it('rejects anything but an integer from 0 to 38', () => {
+        for (const value of ['five', '2.5', '-1', '39']) {
+            assert.throws(() => loadConfig({ PROJECTION_GAMEWEEKS: value }), new RegExp(`got "${value}"`));
+        }
+    });
+});
+
+describe('getProjectionGameweeks', () => {
+    it('starts at the next gameweek', () => {
+        assert.deepEqual(getProjectionGameweeks(events(38, { current: 2, next: 3 }), 3), [3, 4, 5]);
+    });
+
+    it('stops at the end of the season', () => {
+        assert.deepEqual(getProjectionGameweeks(events(38, { current: 37, next: 38 }), 5), [38]);
+        assert.deepEqual(getProjectionGameweeks(events(38, { current: 38 }), 5), []);
+    });
+
+    it('starts at the first gameweek before the season', () => {
+        assert.deepEqual(getProjectionGameweeks(events(38), 2), [1, 2]);
+    });
+});
+
+describe('projectPlayers', () => {
+    const teams = [team(1), team(2), team(3)];
+    // Team 1 has played two games, blanks in gameweek 4 and has a double in gameweek 5
+    const fixtures = [
+        match(1, 1, 1, 2, { finished: true, team_h_score: 1, team_a_score: 1 }),
+        match(2, 2, 3, 1, { finished: true, team_h_score: 2, team_a_score: 0 }),
+        match(3, 3, 1, 3),
+        match(4, 4, 2, 3),
+        match(5, 5, 1, 2),
+        match(6, 5, 3, 1)
+    ];
+    const projectedAt = new Date('2024-08-30T12:00:00Z');
+
+    function project(players) {
+        return projectPlayers({ players, teams, fixtures, gameweeks: [3, 4, 5], projectedAt });
+    }
+
+    it('projects one row per player and gameweek, with 0 for a blank and both fixtures of a double', () => {
+        const rows = project([player(1)]);
+
+        assert.deepEqual(rows.map(row => [row.event, row.fixture_count]), [[3, 1], [4, 0], [5, 2]]);
+        assert.ok(rows[0].expected_points > 0);
+        assert.equal(rows[1].expected_points, 0);
+        assert.ok(rows[2].expected_points > rows[0].expected_points);
+        assert.ok(rows.every(row => row.projected_at === projectedAt));
+    });
+
+    it('scales a flagged player by the chance of playing, recovering in later gameweeks', () => {
+        const [fit] = project([player(1)]);
+        const rows = project([player(1, { status: 'd', chance_of_playing_next_round: 50 })]);
+
+        assert.deepEqual(rows.map(row => row.play_probability), [0.5, 0.75, 0.88]);
+        assert.ok(Math.abs(rows[0].expected_points - fit.expected_points / 2) <= 0.01);
+    });
+
+    it('projects nothing for a player who left the league', () => {
+        const rows = project([player(1, { status: 'u' })]);
+        assert.ok(rows.every(row => row.expected_points === 0 && row.play_probability === 0));
+    });
+
+    it('projects no minutes for a player who has not played', () => {
+        const [row] = project([player(1, { minutes: 0, form: '0.0' })]);
+        assert.equal(row.expected_minutes, 0);
+    });
+});
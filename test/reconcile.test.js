@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDatabase, compareWithFpl, queueRepairs, runRepairs } = require('../src/reconcile');
+const { createFplClient } = require('../src/fplClient');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { CAPTURE_DIR, readCapture, storeCapture } = require('./support/capture');
+
+describe('reconcile and repair', () => {
+    let dir;
+    let db;
+
+    // Overwrite stored columns of one row, as drift or a bad write would
+    async function corrupt(table, id, fields) {
+        const [row] = await db.select(table, { where: { id } });
+        await db.upsert(table, [{ ...row, ...fields }]);
+    }
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        await storeCapture();
+
+        db = createDatabase();
+        await db.connect();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('finds nothing wrong after a sync, skipping season totals until every gameweek is stored', async () => {
+        const { mismatches, skipped } = await checkDatabase(db);
+
+        assert.deepEqual(mismatches, []);
+        assert.deepEqual(skipped, [{ check: 'total_points', reason: 'gameweek(s) 1 not stored; run backfill first' }]);
+        assert.deepEqual(await compareWithFpl(db, readCapture('bootstrap-static.json'), readCapture('fixtures.json')), []);
+    });
+
+    it('finds a score that disagrees with the goals and rows that differ from FPL', async () => {
+        await corrupt(tables.fixtures, 11, { team_h_score: 3 });
+        await corrupt(tables.players, 37, { now_cost: 100 });
+        await corrupt(tables.fixtures, 30, { event: 4 });
+
+        const { mismatches } = await checkDatabase(db);
+        assert.deepEqual(mismatches, [{
+            check: 'fixture_score',
+            entity: 'fixture',
+            id: 11,
+            gameweek: 2,
+            details: 'score 3-1, goals in fixture_stats 2-1'
+        }]);
+
+        const fetched = await compareWithFpl(db, readCapture('bootstrap-static.json'), readCapture('fixtures.json'));
+        assert.deepEqual(fetched.map(mismatch => [mismatch.check, mismatch.id, mismatch.gameweek, mismatch.details]), [
+            ['fpl_player', 37, null, 'now_cost 100, FPL 106'],
+            ['fpl_fixture', 30, null, 'event 4, FPL 3']
+        ]);
+    });
+
+    it('queues one entry per entity and repairs it from a fresh fetch', async () => {
+        const { mismatches } = await checkDatabase(db);
+        mismatches.push(...await compareWithFpl(db, readCapture('bootstrap-static.json'), readCapture('fixtures.json')));
+
+        // Queuing the same mismatches again keeps one entry per entity
+        await queueRepairs(db, mismatches);
+        assert.equal(await queueRepairs(db, mismatches), 3);
+        const queued = await db.select(tables.repairQueue, { orderBy: [['entity', 'asc'], ['entity_id', 'asc']] });
+        assert.deepEqual(queued.map(entry => [entry.entity, entry.entity_id, entry.gameweek, entry.checks]), [
+            ['fixture', 11, 2, 'fixture_score'],
+            ['fixture', 30, null, 'fpl_fixture'],
+            ['player', 37, null, 'fpl_player']
+        ]);
+
+        // Refreshes the fixtures and players and re-syncs gameweek 2 from the capture
+        assert.equal(await runRepairs(createFplClient({ replayDir: CAPTURE_DIR })), 3);
+
+        const fixtures = await db.select(tables.fixtures, { where: { id: [11, 30] }, orderBy: [['id', 'asc']] });
+        assert.deepEqual(fixtures.map(fixture => [fixture.team_h_score, fixture.event]), [[2, 2], [null, 3]]);
+        const [player] = await db.select(tables.players, { where: { id: 37 } });
+        assert.equal(player.now_cost, 106);
+
+        const entries = await db.select(tables.repairQueue);
+        assert.ok(entries.every(entry => entry.resolved_at instanceof Date && entry.attempts === 1 && entry.last_error === null));
+        assert.deepEqual((await checkDatabase(db)).mismatches, []);
+        assert.equal(await runRepairs(createFplClient({ replayDir: CAPTURE_DIR })), 0);
+    });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { run } = require('../src/cli');
+const { runUpdate, updateFixtureStats } = require('../src/updateScript');
+const { updateProjections } = require('../src/projections');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { CAPTURE_DIR, readCapture } = require('./support/capture');
+const { liveElement } = require('./support/fpl');
+
+const HOME_SCORER = 37;
+const HOME_ASSIST = 30;
+const AWAY_SCORER = 10;
+const BOOKED = 3;
+
+describe('sync replaying a recorded capture', () => {
+    let dir;
+    let db;
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        process.env.FPL_REPLAY_DIR = CAPTURE_DIR;
+        process.env.PROJECTION_GAMEWEEKS = '0';
+
+        assert.equal(await run(['sync']), 0);
+
+        db = createDatabase();
+        await db.connect();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    it('stores the bootstrap tables and fixtures', async () => {
+        assert.equal(await db.count(tables.teams), 20);
+        assert.equal(await db.count(tables.elementTypes), 4);
+        assert.equal(await db.count(tables.events), 38);
+        assert.equal(await db.count(tables.players), 400);
+        assert.equal(await db.count(tables.fixtures), 380);
+
+        const [current] = await db.select(tables.events, { where: { is_current: true } });
+        assert.equal(current.id, 2);
+
+        const [fixture] = await db.select(tables.fixtures, { where: { id: 11 } });
+        assert.equal(fixture.team_h_score, 2);
+        assert.equal(fixture.team_a_score, 1);
+        assert.equal(fixture.finished, false);
+        assert.equal(fixture.finished_provisional, true);
+    });
+
+    it('keeps decimals, nulls and availability from bootstrap-static', async () => {
+        const [flagged] = await db.select(tables.players, { where: { id: 23 } });
+        assert.equal(flagged.status, 'd');
+        assert.equal(flagged.chance_of_playing_next_round, 75);
+        assert.ok(flagged.news_added instanceof Date);
+
+        const [available] = await db.select(tables.players, { where: { id: HOME_SCORER } });
+        assert.equal(available.status, 'a');
+        assert.equal(available.chance_of_playing_next_round, null);
+        assert.equal(available.news, null);
+        assert.equal(available.expected_goals, 0.2);
+        assert.equal(available.selected_by_percent, 8.1);
+    });
+
+    it('stores live stats for every player in the gameweek', async () => {
+        assert.equal(await db.count(tables.playerGameweekStats, { where: { event: 2 } }), 400);
+
+        const [scorer] = await db.select(tables.playerGameweekStats, { where: { player_id: HOME_SCORER, event: 2 } });
+        assert.equal(scorer.minutes, 90);
+        assert.equal(scorer.goals_scored, 2);
+        assert.equal(scorer.total_points, 10);
+        assert.equal(scorer.bps, 52);
+        assert.equal(scorer.expected_goals, 1.05);
+
+        const [benched] = await db.select(tables.playerGameweekStats, { where: { player_id: 40, event: 2 } });
+        assert.equal(benched.minutes, 0);
+        assert.equal(benched.total_points, 0);
+    });
+
+    it('flattens the match stats of the started fixtures', async () => {
+        const goals = await db.select(tables.fixtureStats, {
+            where: { fixture_id: 11, identifier: 'goals_scored' },
+            orderBy: [['player_id']]
+        });
+        assert.deepEqual(goals.map(row => [row.player_id, row.side, row.value]), [[AWAY_SCORER, 'a', 1], [HOME_SCORER, 'h', 2]]);
+
+        assert.equal(await db.count(tables.fixtureStats, { where: { fixture_id: 11 } }), 10);
+        assert.equal(await db.count(tables.fixtureStats, { where: { fixture_id: 12 } }), 2);
+        assert.equal(await db.count(tables.fixtureStats, { where: { fixture_id: 13 } }), 0);
+    });
+
+    it('awards provisional bonus from BPS, sharing ties', async () => {
+        const rows = await db.select(tables.playerFixturePoints, { where: { fixture_id: 11, bonus: { min: 1 } } });
+        const bonus = Object.fromEntries(rows.map(row => [row.player_id, row.bonus]));
+
+        assert.deepEqual(bonus, { [HOME_SCORER]: 3, [HOME_ASSIST]: 2, [AWAY_SCORER]: 2 });
+        assert.ok(rows.every(row => !row.bonus_confirmed));
+    });
+
+    it('logs the goals, assists and cards as player events', async () => {
+        const events = await db.select(tables.playerEvents, { where: { fixture_id: 11, event_type: ['goals_scored', 'assists', 'yellow_cards'] } });
+        const described = events.map(event => [event.player_id, event.event_type, event.new_value]).sort((a, b) => a[0] - b[0]);
+
+        assert.deepEqual(described, [
+            [BOOKED, 'yellow_cards', 1],
+            [AWAY_SCORER, 'goals_scored', 1],
+            [HOME_ASSIST, 'assists', 1],
+            [HOME_SCORER, 'goals_scored', 2]
+        ]);
+    });
+
+    it('records the sync in metadata and update_runs', async () => {
+        const [gameweek] = await db.select(tables.metadata, { where: { key_name: 'last_fpl_update_gameweek' } });
+        assert.equal(gameweek.value_int, 2);
+
+        const runs = await db.select(tables.updateRuns);
+        assert.equal(runs.length, 1);
+        assert.equal(runs[0].outcome, 'succeeded');
+        assert.equal(runs[0].gameweek, 2);
+        assert.equal(runs[0].live, true);
+    });
+
+    it('writes nothing new when the same capture is replayed again', async () => {
+        const eventCount = await db.count(tables.playerEvents);
+
+        assert.equal(await run(['sync']), 0);
+
+        const [latest] = await db.select(tables.updateRuns, { orderBy: [['started_at', 'desc']], limit: 1 });
+        const tableRows = JSON.parse(latest.table_rows);
+        for (const table of ['teams', 'players', 'fixtures', 'player_gameweek_stats', 'fixture_stats', 'player_fixture_points']) {
+            assert.equal(tableRows[table].inserted + tableRows[table].updated, 0, `${table} was rewritten`);
+        }
+        assert.equal(await db.count(tables.playerEvents), eventCount);
+    });
+
+    it('deletes the match stats FPL no longer reports in one batch', async () => {
+        // The away goal is given as an own goal by a home defender and the booking is rescinded
+        const fixtures = readCapture('fixtures.json');
+        const fixture = fixtures.find(candidate => candidate.id === 11);
+        for (const stat of fixture.stats) {
+            if (stat.identifier === 'goals_scored') {
+                stat.a = [];
+            } else if (stat.identifier === 'own_goals') {
+                stat.h = [{ value: 1, element: 33 }];
+            } else if (stat.identifier === 'yellow_cards') {
+                stat.a = [];
+            }
+        }
+
+        const changes = await db.transaction(() => updateFixtureStats(db, fixtures, 2));
+
+        assert.equal(changes, 3);
+        const stats = await db.select(tables.fixtureStats, { where: { fixture_id: 11, identifier: ['goals_scored', 'own_goals', 'yellow_cards'] } });
+        assert.deepEqual(stats.map(row => [row.player_id, row.identifier]).sort(), [[33, 'own_goals'], [HOME_SCORER, 'goals_scored']]);
+        assert.equal(await db.count(tables.fixtureStats, { where: { fixture_id: 12 } }), 2);
+    });
+
+    it('finalizes an earlier gameweek from its live data only, without a new last sync', async (t) => {
+        // As if gameweek 2 had not kicked off: nothing is live and gameweek 1 (data_checked) has
+        // not been finalized. Fetching picks would fail, as the client cannot serve them, so
+        // managers must be left out.
+        const fixtures = readCapture('fixtures.json').map(fixture => (fixture.event === 2 ? { ...fixture, started: false } : fixture));
+        const client = {
+            getBootstrap: async () => readCapture('bootstrap-static.json'),
+            getFixtures: async () => fixtures,
+            getEventLive: async (gameweekId) => {
+                assert.equal(gameweekId, 1);
+                return { elements: [liveElement(17, { fixture: 1, minutes: 90, goals_scored: 1, bonus: 3, bps: 40 })] };
+            }
+        };
+        t.after(() => delete process.env.FPL_MANAGER_IDS);
+        process.env.FPL_MANAGER_IDS = '99';
+        const [before] = await db.select(tables.metadata, { where: { key_name: 'last_fpl_update' } });
+        const teamsBefore = await db.select(tables.teams);
+
+        assert.equal(await runUpdate(client), 'finalized');
+
+        const [stats] = await db.select(tables.playerGameweekStats, { where: { player_id: 17, event: 1 } });
+        assert.equal(stats.total_points, 9);
+        const [points] = await db.select(tables.playerFixturePoints, { where: { player_id: 17, fixture_id: 1 } });
+        assert.equal(points.bonus_confirmed, true);
+        assert.deepEqual(await db.select(tables.teams), teamsBefore);
+
+        const metadata = new Map((await db.select(tables.metadata)).map(row => [row.key_name, row]));
+        assert.equal(metadata.get('last_fpl_update_gameweek').value_int, 2);
+        assert.deepEqual(metadata.get('last_fpl_update').value_datetime, before.value_datetime);
+        assert.equal(metadata.get('gameweek_1_finalized').value_text, 'data_checked');
+        assert.equal(metadata.get('gameweek_1_finalized').value_int, 10);
+    });
+
+    it('does not rewrite unchanged projections when they are recomputed', async () => {
+        assert.equal(await updateProjections({ horizon: 3 }), 1200);
+        const [before] = await db.select(tables.playerProjections, { where: { player_id: HOME_SCORER, event: 3 } });
+
+        assert.equal(await updateProjections({ horizon: 3 }), 0);
+        const [after] = await db.select(tables.playerProjections, { where: { player_id: HOME_SCORER, event: 3 } });
+        assert.deepEqual(after.projected_at, before.projected_at);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isRetryableStatus, parseMaxRetryDelay, getRetryDelay } = require('../src/retry');
+const { createFplClient } = require('../src/fplClient');
+
+function responseWithRetryAfter(value) {
+    return new Response(null, { status: 429, headers: value === undefined ? {} : { 'Retry-After': value } });
+}
+
+describe('isRetryableStatus', () => {
+    it('retries rate limiting and server errors only', () => {
+        assert.deepEqual([200, 304, 404, 429, 500, 503].map(isRetryableStatus), [false, false, false, true, true, true]);
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('honours Retry-After in seconds and as a date', () => {
+        assert.equal(getRetryDelay(responseWithRetryAfter('5'), 0, 1000), 5000);
+
+        const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+        const delay = getRetryDelay(responseWithRetryAfter(inTenSeconds), 0, 1000);
+        assert.ok(delay > 8000 && delay <= 10000, `got ${delay}`);
+    });
+
+    it('caps Retry-After at the maximum delay', () => {
+        assert.equal(getRetryDelay(responseWithRetryAfter('86400'), 0, 1000, 30000), 30000);
+        assert.equal(getRetryDelay(responseWithRetryAfter('Fri, 31 Dec 2099 23:59:59 GMT'), 0, 1000, 30000), 30000);
+        assert.equal(getRetryDelay(responseWithRetryAfter('-5'), 0, 1000, 30000), 0);
+    });
+
+    it('backs off exponentially with jitter when there is no usable Retry-After', () => {
+        for (const response of [null, responseWithRetryAfter(), responseWithRetryAfter('soon')]) {
+            const delay = getRetryDelay(response, 2, 1000);
+            assert.ok(delay >= 4000 && delay < 5000, `got ${delay}`);
+        }
+    });
+
+    it('caps the backoff at the maximum delay', () => {
+        assert.equal(getRetryDelay(null, 10, 1000, 30000), 30000);
+    });
+});
+
+describe('parseMaxRetryDelay', () => {
+    it('defaults to 30 seconds when the variable is unset or empty', () => {
+        assert.equal(parseMaxRetryDelay('FPL_MAX_RETRY_DELAY_MS', undefined), 30000);
+        assert.equal(parseMaxRetryDelay('FPL_MAX_RETRY_DELAY_MS', ''), 30000);
+        assert.equal(parseMaxRetryDelay('FPL_MAX_RETRY_DELAY_MS', '0'), 0);
+    });
+
+    it('rejects a value that is not a non-negative integer', () => {
+        for (const value of ['soon', '-1', '1.5']) {
+            assert.throws(() => parseMaxRetryDelay('FPL_MAX_RETRY_DELAY_MS', value), new RegExp(`FPL_MAX_RETRY_DELAY_MS must be a non-negative integer, got "${value}"`));
+        }
+    });
+
+    it('stops the FPL client from starting with an invalid FPL_MAX_RETRY_DELAY_MS', (t) => {
+        t.after(() => delete process.env.FPL_MAX_RETRY_DELAY_MS);
+        process.env.FPL_MAX_RETRY_DELAY_MS = 'soon';
+
+        assert.throws(() => createFplClient(), /FPL_MAX_RETRY_DELAY_MS must be a non-negative integer/);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordRun } = require('../src/runs');
+const { annotateRun, recordApiCall, recordRows, timeStep } = require('../src/metrics');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+
+describe('recordRun', () => {
+    let dir;
+    let db;
+
+    async function storedRuns() {
+        return db.select(tables.updateRuns);
+    }
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        db = createDatabase();
+        await db.connect();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        await db.deleteWhere(tables.updateRuns, {});
+    });
+
+    it('records a running row, then the outcome, API calls, step timings and row counts', async () => {
+        let duringRun = null;
+
+        const result = await recordRun({ command: 'sync', options: { force: true } }, async () => {
+            duringRun = await storedRuns();
+            annotateRun({ gameweek: 2, live: true });
+            recordApiCall('event/2/live/', 120);
+            recordApiCall('event/2/live/', 80, true);
+            await timeStep('players', async () => recordRows('players', { inserted: 3, unchanged: 397 }));
+            return 'updated';
+        });
+
+        assert.equal(result, 'updated');
+        assert.deepEqual(duringRun.map(run => run.outcome), ['running']);
+
+        const [run] = await storedRuns();
+        assert.equal(run.run_id, duringRun[0].run_id);
+        assert.equal(run.outcome, 'succeeded');
+        assert.equal(run.result, 'updated');
+        assert.equal(run.gameweek, 2);
+        assert.equal(run.live, true);
+        assert.deepEqual(JSON.parse(run.options), { force: true, only: null });
+        assert.deepEqual(JSON.parse(run.api_calls), { 'event/{id}/live/': { calls: 2, ms: 200, failed: 1 } });
+        assert.deepEqual(Object.keys(JSON.parse(run.step_timings)), ['players']);
+        assert.deepEqual(JSON.parse(run.table_rows).players, { inserted: 3, updated: 0, unchanged: 397, deleted: 0 });
+        assert.ok(run.duration_ms >= 0);
+    });
+
+    it('records a run that threw as failed, with its error, and rethrows', async () => {
+        await assert.rejects(
+            recordRun({ command: 'sync' }, async () => { throw new Error('FPL API returned status 503'); }),
+            /status 503/
+        );
+
+        const [run] = await storedRuns();
+        assert.equal(run.outcome, 'failed');
+        assert.equal(run.error, 'FPL API returned status 503');
+    });
+
+    it('records invalid FPL data as a failed run', async () => {
+        assert.equal(await recordRun({ command: 'sync' }, async () => 'invalid'), 'invalid');
+
+        const [run] = await storedRuns();
+        assert.equal(run.outcome, 'failed');
+        assert.equal(run.error, 'FPL data failed validation');
+    });
+
+    it('does not record a dry run', async () => {
+        assert.equal(await recordRun({ command: 'sync', options: { dryRun: true } }, async () => 'skipped'), 'skipped');
+        assert.deepEqual(await storedRuns(), []);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validatePayload, summarizeIssues, quarantinePayload, toDecimal } = require('../src/schemas');
+const { liveElement, summaryFixture, summaryMatch } = require('./support/fpl');
+
+describe('validatePayload', () => {
+    it('accepts the live data of a gameweek', () => {
+        const report = validatePayload('live', {
+            elements: [liveElement(37, { fixture: 11, minutes: 90, goals_scored: 2, bps: 52 }), liveElement(40)]
+        });
+        assert.deepEqual(report, { name: 'live', valid: true, issueCount: 0, issues: [] });
+    });
+
+    it('reports a wrong type by its path', () => {
+        const element = liveElement(37, { fixture: 11, minutes: 90 });
+        element.stats.expected_goals = 'n/a';
+        element.explain[0].stats[0].value = '90';
+
+        const report = validatePayload('live', { elements: [element] });
+        assert.deepEqual(report.issues.map(issue => [issue.path, issue.expected, issue.actual]), [
+            ['elements[0].stats.expected_goals', 'decimal', 'string "n/a"'],
+            ['elements[0].explain[0].stats[0].value', 'int', 'string "90"']
+        ]);
+    });
+
+    it('accepts a well-formed element summary', () => {
+        const report = validatePayload('elementSummary', {
+            fixtures: [summaryFixture({ kickoff_time: null })],
+            history: [summaryMatch()],
+            history_past: []
+        });
+        assert.deepEqual(report, { name: 'elementSummary', valid: true, issueCount: 0, issues: [] });
+    });
+
+    it('reports wrong types and missing fields by path, allowing nullable ones', () => {
+        const match = summaryMatch({ minutes: '90', expected_goals: 'n/a', team_h_score: null });
+        delete match.bps;
+        const report = validatePayload('elementSummary', { fixtures: [], history: [summaryMatch(), match] });
+
+        assert.equal(report.valid, false);
+        assert.deepEqual(report.issues.map(issue => [issue.path, issue.expected, issue.actual]), [
+            ['history[1].minutes', 'int', 'string "90"'],
+            ['history[1].bps', 'int', 'missing'],
+            ['history[1].expected_goals', 'decimal', 'string "n/a"'],
+            ['history_past', 'array', 'missing']
+        ]);
+    });
+
+    it('folds the same problem across array items into one reason', () => {
+        const report = validatePayload('fixtures', [{ id: 'a' }, { id: 'b' }]);
+        const reasons = summarizeIssues(report);
+
+        assert.ok(reasons.includes('[].id: expected int, got string (2 time(s), first at [0].id: string "a")'), reasons.join('\n'));
+    });
+});
+
+describe('quarantinePayload', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fplgenie-quarantine-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes a payload that is rejected again only once', () => {
+        const first = quarantinePayload('live', { elements: [] }, ['Empty elements'], { dir });
+        const second = quarantinePayload('live', { elements: [] }, ['Empty elements'], { dir });
+
+        assert.equal(second, first);
+        assert.equal(fs.readdirSync(dir).length, 1);
+        assert.deepEqual(JSON.parse(fs.readFileSync(first, 'utf8')).reasons, ['Empty elements']);
+    });
+
+    it('removes the oldest files beyond the limit', () => {
+        // A directory of its own holding one older file: files written in the same millisecond
+        // sort by name, so the file of the test above could pass for a newer one
+        const limited = fs.mkdtempSync(path.join(dir, 'limited-'));
+        fs.writeFileSync(path.join(limited, '2024-08-24T13-05-00.000Z-live-0123456789abcdef.json'), '{}');
+        for (let i = 0; i < 4; i++) {
+            quarantinePayload('fixtures', [{ id: i }], ['bad'], { dir: limited, maxFiles: 3 });
+        }
+
+        const files = fs.readdirSync(limited).sort();
+        assert.equal(files.length, 3);
+        assert.ok(files.every(file => file.includes('-fixtures-')), files.join('\n'));
+    });
+});
+
+describe('toDecimal', () => {
+    it('keeps null as null and zero as zero', () => {
+        assert.deepEqual([null, undefined, '', '0.0', '1.25', 3].map(toDecimal), [null, null, null, 0, 1.25, 3]);
+    });
+});
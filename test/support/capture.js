@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const { updateDatabase } = require('../../src/updateScript');
+
+// Gameweek 2 at 15:05 on its first Saturday: fixture 11 (AVL 2-1 ARS) has ended but bonus is
+// not confirmed yet, fixture 12 (BOU v WOL) is 0-0 at 55 minutes, the rest have not kicked off
+const CAPTURE_DIR = path.join(__dirname, '..', 'fixtures', 'captures', '2024-08-24T13-05-00.000Z');
+
+// The body of one recorded response, parsed afresh so a test can change it
+function readCapture(file) {
+    return JSON.parse(fs.readFileSync(path.join(CAPTURE_DIR, file), 'utf8')).body;
+}
+
+// Store the captured bootstrap-static, fixtures and gameweek 2 live data as a sync would
+async function storeCapture() {
+    const live = readCapture('event_2_live.json');
+    await updateDatabase(readCapture('bootstrap-static.json'), { gameweekId: 2, elements: live.elements }, readCapture('fixtures.json'));
+}
+
+module.exports = {
+    CAPTURE_DIR,
+    readCapture,
+    storeCapture
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const { initDatabase } = require('../../src/initDatabase');
+
+// Point the storage adapters at a new, fully migrated SQLite database in a temporary directory,
+// with rejected payloads quarantined next to it. Returns the directory.
+async function createTestDatabase() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fplgenie-test-'));
+    process.env.DB_CLIENT = 'sqlite';
+    process.env.SQLITE_PATH = path.join(dir, 'fpl.sqlite');
+    process.env.FPL_QUARANTINE_DIR = path.join(dir, 'quarantine');
+
+    await initDatabase();
+    return dir;
+}
+
+function removeTestDatabase(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// The updaters log every step; keep test output to the test results
+function silenceConsole() {
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+}
+
+module.exports = {
+    createTestDatabase,
+    removeTestDatabase,
+    silenceConsole
+};
@@ -0,0 +1,168 @@
+// Builders for the FPL API objects the tests feed the updaters. Each one fills in a fixture that
+// has not kicked off, a player who has not played or a squad where everyone played, so a test
+// only spells out what it is about.
+
+const GKP = 1;
+const DEF = 2;
+const MID = 3;
+const FWD = 4;
+
+// Points of a forward for each stat; anything else scores nothing
+function statPoints(identifier, value) {
+    switch (identifier) {
+        case 'minutes':
+            return value >= 60 ? 2 : value > 0 ? 1 : 0;
+        case 'goals_scored':
+            return 4 * value;
+        case 'assists':
+            return 3 * value;
+        case 'bonus':
+            return value;
+        case 'yellow_cards':
+            return -value;
+        default:
+            return 0;
+    }
+}
+
+// A fixture from /fixtures/: by default fixture 11 of gameweek 2, AVL (2) v ARS (1)
+function fixture(overrides = {}) {
+    return {
+        id: 11,
+        event: 2,
+        team_h: 2,
+        team_a: 1,
+        team_h_difficulty: 3,
+        team_a_difficulty: 3,
+        kickoff_time: '2024-08-24T11:30:00Z',
+        started: false,
+        finished: false,
+        finished_provisional: false,
+        team_h_score: null,
+        team_a_score: null,
+        stats: [],
+        ...overrides
+    };
+}
+
+const LIVE_COUNTS = [
+    'minutes', 'goals_scored', 'assists', 'clean_sheets', 'goals_conceded', 'own_goals', 'penalties_saved',
+    'penalties_missed', 'yellow_cards', 'red_cards', 'saves', 'bonus', 'bps', 'starts'
+];
+const LIVE_DECIMALS = [
+    'influence', 'creativity', 'threat', 'ict_index',
+    'expected_goals', 'expected_assists', 'expected_goal_involvements', 'expected_goals_conceded'
+];
+
+// A player from /event/{id}/live/ with one explain entry per match, e.g.
+// liveElement(37, { fixture: 11, minutes: 90, goals_scored: 1, bps: 30 }).
+// stats holds the totals of all matches.
+function liveElement(id, ...matches) {
+    const stats = {
+        ...Object.fromEntries(LIVE_COUNTS.map(identifier => [identifier, 0])),
+        ...Object.fromEntries(LIVE_DECIMALS.map(identifier => [identifier, '0.0'])),
+        total_points: 0,
+        in_dreamteam: false
+    };
+    const explain = matches.map(({ fixture: fixtureId, ...values }) => {
+        const explained = Object.entries(values).map(([identifier, value]) => ({ identifier, points: statPoints(identifier, value), value }));
+        for (const { identifier, points, value } of explained) {
+            stats[identifier] += value;
+            stats.total_points += points;
+        }
+        return { fixture: fixtureId, stats: explained };
+    });
+
+    return { id, stats, explain };
+}
+
+// A 3-5-2 starting XI (elements 1-11) and a bench of GK, DEF, MID, FWD (elements 12-15)
+const SQUAD_POSITIONS = [GKP, DEF, DEF, DEF, MID, MID, MID, MID, MID, FWD, FWD, GKP, DEF, MID, FWD];
+
+// The scoring context of gameweek 5 for the squad: every player is on team 1 and scored 2 points
+// in 90 minutes unless live, teams or teamDone say otherwise
+function squadContext({ live = {}, teams = {}, teamDone = {} } = {}) {
+    const players = new Map(SQUAD_POSITIONS.map((elementType, index) => [index + 1, { id: index + 1, element_type: elementType, team: teams[index + 1] || 1 }]));
+    const playerPoints = new Map([...players.keys()].map(id => [id, live[id] || { minutes: 90, points: 2 }]));
+
+    return {
+        gameweekId: 5,
+        players,
+        minPlay: new Map([[GKP, 1], [DEF, 3], [MID, 2], [FWD, 1]]),
+        playerPoints,
+        teamDone: new Map([[1, true], [2, true], ...Object.entries(teamDone).map(([team, done]) => [Number(team), done])])
+    };
+}
+
+// The picks of an entry fielding the squad, with element 6 as captain and 7 as vice-captain
+function squadEntry(entryId, overrides = {}) {
+    return {
+        entryId,
+        active_chip: null,
+        entry_history: { points: 60, total_points: 400, event_transfers_cost: 0 },
+        picks: SQUAD_POSITIONS.map((_, index) => ({
+            element: index + 1,
+            position: index + 1,
+            multiplier: index < 11 ? 1 : 0,
+            is_captain: index + 1 === 6,
+            is_vice_captain: index + 1 === 7
+        })),
+        ...overrides
+    };
+}
+
+// A match in the history of /element-summary/{id}/: player 37's two goals in fixture 11
+function summaryMatch(overrides = {}) {
+    return {
+        fixture: 11,
+        round: 2,
+        opponent_team: 1,
+        was_home: true,
+        kickoff_time: '2024-08-24T11:30:00Z',
+        team_h_score: 2,
+        team_a_score: 1,
+        total_points: 10,
+        minutes: 90,
+        goals_scored: 2,
+        assists: 0,
+        clean_sheets: 0,
+        goals_conceded: 1,
+        own_goals: 0,
+        penalties_saved: 0,
+        penalties_missed: 0,
+        yellow_cards: 0,
+        red_cards: 0,
+        saves: 0,
+        bonus: 3,
+        bps: 52,
+        starts: 1,
+        influence: '60.2',
+        creativity: '12.0',
+        threat: '71.0',
+        ict_index: '14.3',
+        expected_goals: '1.05',
+        expected_assists: '0.10',
+        expected_goal_involvements: '1.15',
+        expected_goals_conceded: '0.80',
+        value: 90,
+        selected: 1500000,
+        transfers_in: 20000,
+        transfers_out: 3000,
+        transfers_balance: 17000,
+        ...overrides
+    };
+}
+
+// An upcoming fixture in /element-summary/{id}/
+function summaryFixture(overrides = {}) {
+    return { id: 21, event: 3, kickoff_time: '2024-08-31T14:00:00Z', is_home: false, team_h: 5, team_a: 2, difficulty: 3, ...overrides };
+}
+
+module.exports = {
+    fixture,
+    liveElement,
+    squadContext,
+    squadEntry,
+    summaryMatch,
+    summaryFixture
+};
@@ -0,0 +1,164 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadWebhookConfig, retryFailedDeliveries, sendWebhooks } = require('../src/webhooks');
+const { createDatabase, tables } = require('../src/db');
+const { createTestDatabase, removeTestDatabase, silenceConsole } = require('./support/database');
+const { fixture } = require('./support/fpl');
+
+const BOOTSTRAP = {
+    teams: [{ id: 1, short_name: 'ARS' }, { id: 2, short_name: 'AVL' }],
+    elements: [{ id: 10, web_name: 'Saka', team: 1 }, { id: 37, web_name: 'Watkins', team: 2 }]
+};
+const FIXTURES = [fixture()];
+
+function playerEvent(playerId, eventType, oldValue, newValue, description, detectedAt = '2024-08-24T14:00:00Z') {
+    return {
+        player_id: playerId,
+        fixture_id: 11,
+        event: 2,
+        event_type: eventType,
+        old_value: oldValue,
+        new_value: newValue,
+        description,
+        detected_at: new Date(detectedAt)
+    };
+}
+
+describe('loadWebhookConfig', () => {
+    it('reads the retry settings, rejecting an invalid maximum delay', () => {
+        assert.equal(loadWebhookConfig({}).maxRetryDelayMs, 30000);
+        assert.equal(loadWebhookConfig({ WEBHOOK_MAX_RETRY_DELAY_MS: '5000' }).maxRetryDelayMs, 5000);
+        assert.throws(() => loadWebhookConfig({ WEBHOOK_MAX_RETRY_DELAY_MS: 'later' }), /WEBHOOK_MAX_RETRY_DELAY_MS must be a non-negative integer, got "later"/);
+    });
+});
+
+describe('webhooks', () => {
+    let dir;
+    let db;
+    let server;
+    let config;
+    // Status code of the next responses, and the bodies received
+    let status;
+    let received;
+
+    before(async () => {
+        silenceConsole();
+        dir = await createTestDatabase();
+        db = createDatabase();
+        await db.connect();
+
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                received.push(JSON.parse(body));
+                response.writeHead(status);
+                response.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        config = loadWebhookConfig({
+            WEBHOOK_URLS: `http://127.0.0.1:${server.address().port}/hook`,
+            WEBHOOK_MAX_RETRIES: '0',
+            WEBHOOK_MAX_ATTEMPTS: '2'
+        });
+    });
+
+    after(async () => {
+        await db.close();
+        await new Promise(resolve => server.close(resolve));
+        removeTestDatabase(dir);
+    });
+
+    beforeEach(async () => {
+        status = 200;
+        received = [];
+        await db.deleteWhere(tables.webhookDeliveries, { event: 2 });
+    });
+
+    it('sends the selected event types with player and fixture names', async () => {
+        const events = [
+            playerEvent(37, 'goals_scored', 0, 1, 'goal +1'),
+            playerEvent(37, 'minutes', 0, 62, 'minutes 60+')
+        ];
+
+        assert.equal(await sendWebhooks(db, events, BOOTSTRAP, FIXTURES, config), 1);
+        assert.equal(received.length, 1);
+        assert.deepEqual(received[0].events.map(event => [event.player_name, event.description, event.fixture]), [
+            ['Watkins', 'goal +1', 'AVL v ARS']
+        ]);
+    });
+
+    it('sends lost clean sheets but not gained ones', async () => {
+        const events = [
+            playerEvent(37, 'clean_sheets', 0, 1, 'clean sheet +1'),
+            playerEvent(10, 'clean_sheets', 1, 0, 'clean sheet -1'),
+            playerEvent(37, 'goals_scored', 0, 1, 'goal +1')
+        ];
+
+        assert.equal(await sendWebhooks(db, events, BOOTSTRAP, FIXTURES, config), 2);
+        assert.deepEqual(received[0].events.map(event => [event.player_name, event.description, event.fixture]), [
+            ['Saka', 'clean sheet -1', 'AVL v ARS'],
+            ['Watkins', 'goal +1', 'AVL v ARS']
+        ]);
+    });
+
+    it('sends each event only once', async () => {
+        const events = [playerEvent(37, 'goals_scored', 0, 1, 'goal +1')];
+
+        await sendWebhooks(db, events, BOOTSTRAP, FIXTURES, config);
+        assert.equal(await sendWebhooks(db, events, BOOTSTRAP, FIXTURES, config), 0);
+        assert.equal(received.length, 1);
+    });
+
+    it('sends a stat again when it was taken away and awarded again', async () => {
+        await sendWebhooks(db, [playerEvent(37, 'goals_scored', 0, 1, 'goal +1')], BOOTSTRAP, FIXTURES, config);
+        await sendWebhooks(db, [playerEvent(37, 'goals_scored', 1, 0, 'goal -1', '2024-08-24T14:02:00Z')], BOOTSTRAP, FIXTURES, config);
+        assert.equal(await sendWebhooks(db, [playerEvent(37, 'goals_scored', 0, 1, 'goal +1', '2024-08-24T14:05:00Z')], BOOTSTRAP, FIXTURES, config), 1);
+
+        assert.deepEqual(received.map(body => body.events[0].description), ['goal +1', 'goal -1', 'goal +1']);
+    });
+
+    it('resends a failed delivery on the next run', async () => {
+        status = 500;
+        assert.equal(await sendWebhooks(db, [playerEvent(37, 'goals_scored', 0, 1, 'goal +1')], BOOTSTRAP, FIXTURES, config), 0);
+
+        const [failed] = await db.select(tables.webhookDeliveries, { where: { event: 2 } });
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts, 1);
+        assert.equal(JSON.parse(failed.payload).player_name, 'Watkins');
+
+        status = 200;
+        assert.equal(await retryFailedDeliveries(db, config), 1);
+        assert.deepEqual(received[1], received[0]);
+
+        const [sent] = await db.select(tables.webhookDeliveries, { where: { event: 2 } });
+        assert.equal(sent.status, 'sent');
+        assert.equal(sent.attempts, 2);
+        assert.equal(await retryFailedDeliveries(db, config), 0);
+    });
+
+    it('keeps counting the attempts of an event sent again after failing', async () => {
+        status = 500;
+        const events = [playerEvent(37, 'goals_scored', 0, 1, 'goal +1')];
+        await sendWebhooks(db, events, BOOTSTRAP, FIXTURES, config);
+        await sendWebhooks(db, events, BOOTSTRAP, FIXTURES, config);
+
+        const [failed] = await db.select(tables.webhookDeliveries, { where: { event: 2 } });
+        assert.equal(failed.attempts, 2);
+        assert.equal(await retryFailedDeliveries(db, config), 0);
+    });
+
+    it('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+        status = 500;
+        await sendWebhooks(db, [playerEvent(37, 'goals_scored', 0, 1, 'goal +1')], BOOTSTRAP, FIXTURES, config);
+        await retryFailedDeliveries(db, config);
+        await retryFailedDeliveries(db, config);
+
+        assert.equal(received.length, 2);
+        const [failed] = await db.select(tables.webhookDeliveries, { where: { event: 2 } });
+        assert.equal(failed.attempts, 2);
+    });
+});